@@ -7,33 +7,242 @@
  */
 
 // Core modules
+const fs = require('fs');
+const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
 const { TwitterApi } = require('twitter-api-v2');
-const { Alchemy, Network } = require('alchemy-sdk');
+const { Alchemy, Network, Utils } = require('alchemy-sdk');
 const retry = require('async-retry');
 const axios = require('axios');
 require('dotenv').config();
 
-// Global tracking for recent events and debug features
-global.recentSalesEvents = [];
+// Global debug features
 const VERBOSE_LOGGING = process.env.VERBOSE_LOGGING === 'true' || false;
 
 // =========================================================
 // CONFIGURATION
 // =========================================================
 
+/**
+ * Thrown at startup when the config file or environment holds invalid
+ * settings. `problems` lists every invalid setting, not just the first.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Settings that can be overridden from the config file or the environment.
+ * Env variables have the same name as the setting unless `env` says otherwise;
+ * lists are comma-separated there. Contracts per chain are set with
+ * CHAINS.<chain>.contracts in the file, or <CHAIN>_CONTRACTS in the environment.
+ * Settings marked `restart` are not applied by a hot reload.
+ */
+const CONFIG_SCHEMA = {
+  OPENSEA_COLLECTION_SLUGS: { type: 'string[]' },
+  OPENSEA_ADDRESS: { type: 'address' },
+  MARKETPLACE_FEE_RECIPIENTS: { type: 'address[]' },
+  CONTRACT_NAMES: { type: 'addressMap' },
+  MIN_PRICE_ETH: { type: 'number', min: 0 },
+  HEALTH_CHECK_INTERVAL: { type: 'integer', min: 1000 },
+  MAX_RETRIES: { type: 'integer', min: 0 },
+  RETRY_DELAY: { type: 'integer', min: 0 },
+  ETH_PRICE_CACHE_DURATION: { type: 'integer', min: 0 },
+  MIN_TIME_BETWEEN_TWEETS: { type: 'integer', min: 0 },
+  MAX_TWEET_ATTEMPTS: { type: 'integer', min: 1 },
+  TWEET_QUEUE_HISTORY_DURATION: { type: 'integer', min: 0 },
+  DISABLE_TWEETS: { type: 'boolean' },
+  INITIAL_STARTUP_DELAY: { type: 'integer', min: 0 },
+  NFT_METADATA_CACHE_DURATION: { type: 'integer', min: 0 },
+  PROJECT_METADATA_CACHE_DURATION: { type: 'integer', min: 0 },
+  METADATA_MIN_CONFIDENCE: { type: 'string', oneOf: ['low', 'medium', 'high'] },
+  ONCHAIN_METADATA_ENABLED: { type: 'boolean', env: 'ONCHAIN_METADATA' },
+  RARITY_ENABLED: { type: 'boolean', env: 'RARITY' },
+  RARITY_REQUEST_DELAY: { type: 'integer', min: 0 },
+  RARITY_REFRESH_INTERVAL: { type: 'integer', min: 60000 },
+  RARITY_MAX_RETRIES: { type: 'integer', min: 1 },
+  OPENSEA_EVENTS_POLL_INTERVAL: { type: 'integer', min: 1000 },
+  OPENSEA_RATE_LIMIT_DELAY: { type: 'integer', min: 0 },
+  CONFIRMATION_BLOCKS: { type: 'integer', min: 0 },
+  REORG_WATCH_BLOCKS: { type: 'integer', min: 1 },
+  MINT_MODE: { type: 'boolean' },
+  MIN_MINT_PRICE_ETH: { type: 'number', min: 0 },
+  MINTER_ADDRESSES: { type: 'address[]' },
+  BACKFILL_INTERVAL: { type: 'integer', min: 1000 },
+  BACKFILL_STARTUP_DELAY: { type: 'integer', min: 0 },
+  BACKFILL_INITIAL_LOOKBACK_BLOCKS: { type: 'integer', min: 0 },
+  BACKFILL_CHUNK_BLOCKS: { type: 'integer', min: 1 },
+  BACKFILL_MAX_RETRIES: { type: 'integer', min: 1 },
+  BACKFILL_MAX_TWEET_AGE: { type: 'integer', min: 0 },
+  OPENSEA_EVENTS_PAGE_SIZE: { type: 'integer', min: 1, max: 50 },
+  OPENSEA_INITIAL_LOOKBACK: { type: 'integer', min: 0 },
+  OPENSEA_EVENT_MAX_RETRIES: { type: 'integer', min: 1 },
+  WEBHOOK_URL: { type: 'url', nullable: true },
+  ACTIVITY_ALERTS_ENABLED: { type: 'boolean', env: 'ACTIVITY_ALERTS' },
+  ACTIVITY_WEBHOOK_URL: { type: 'url', nullable: true },
+  ACTIVITY_POLL_INTERVAL: { type: 'integer', min: 1000 },
+  LISTING_ALERT_MIN_PRICE_ETH: { type: 'number', min: 0 },
+  LISTING_ALERT_FLOOR_RATIO: { type: 'number', min: 0 },
+  OFFER_ALERT_MIN_PRICE_ETH: { type: 'number', min: 0 },
+  OPENSEA_STREAM_ENABLED: { type: 'boolean', env: 'OPENSEA_STREAM' },
+  OPENSEA_STREAM_URL: { type: 'url', protocols: ['ws', 'wss'] },
+  OPENSEA_STREAM_HEARTBEAT_INTERVAL: { type: 'integer', min: 1000 },
+  OPENSEA_STREAM_MAX_RECONNECT_DELAY: { type: 'integer', min: 1000 },
+  OPENSEA_STREAM_BATCH_WINDOW: { type: 'integer', min: 0 },
+  OPENSEA_STREAM_SAFETY_POLL_INTERVAL: { type: 'integer', min: 1000 },
+  OPENSEA_VERIFICATION_ENABLED: { type: 'boolean', env: 'OPENSEA_VERIFICATION' },
+  OPENSEA_VERIFICATION_PRICE_TOLERANCE: { type: 'number', min: 0, max: 1 },
+  CONTRACT_DISCOVERY_ENABLED: { type: 'boolean', env: 'CONTRACT_DISCOVERY' },
+  CONTRACT_DISCOVERY_INTERVAL: { type: 'integer', min: 60000 },
+  CONTRACT_REGISTRY_URL: { type: 'string' },
+  WASH_TRADE_DETECTION_ENABLED: { type: 'boolean', env: 'WASH_TRADE_DETECTION' },
+  WASH_TRADE_ACTION: { type: 'string', oneOf: ['hold', 'suppress', 'flag'] },
+  WASH_TRADE_SCORE_THRESHOLD: { type: 'number', min: 0, max: 1 },
+  WASH_TRADE_LOOKBACK: { type: 'integer', min: 0 },
+  WASH_TRADE_IGNORED_FUNDERS: { type: 'address[]' },
+  DATA_DIR: { type: 'string', restart: true }
+};
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Check one setting against its schema rule. Returns a description of the
+ * problem, or null if the value is valid.
+ */
+function checkConfigValue(name, rule, value) {
+  const got = `(got ${JSON.stringify(value)})`;
+  
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return `${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} ${got}`;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `${name} must be at least ${rule.min} ${got}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `${name} must be at most ${rule.max} ${got}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false ${got}`;
+    case 'string':
+      if (rule.oneOf) {
+        return rule.oneOf.includes(value) ? null : `${name} must be one of ${rule.oneOf.join(', ')} ${got}`;
+      }
+      return typeof value === 'string' && value.trim() ? null : `${name} must be a non-empty string ${got}`;
+    case 'url': {
+      if (value === null && rule.nullable) return null;
+      // http(s) unless the rule names other protocols; the URL must also parse
+      const protocols = rule.protocols || ['http', 'https'];
+      let parsed = null;
+      try {
+        parsed = typeof value === 'string' && /^\S+$/.test(value) ? new URL(value) : null;
+      } catch (error) {
+        parsed = null;
+      }
+      return parsed && protocols.includes(parsed.protocol.slice(0, -1))
+        ? null
+        : `${name} must be a URL starting with ${protocols.map(protocol => `${protocol}://`).join(' or ')} ${got}`;
+    }
+    case 'address':
+      return typeof value === 'string' && ADDRESS_PATTERN.test(value) ? null : `${name} must be a 0x-prefixed 20-byte address ${got}`;
+    case 'string[]':
+      if (!Array.isArray(value)) return `${name} must be a list of strings ${got}`;
+      return value.every(item => typeof item === 'string' && item.trim()) ? null : `${name} must only contain non-empty strings ${got}`;
+    case 'address[]': {
+      if (!Array.isArray(value)) return `${name} must be a list of addresses ${got}`;
+      const invalid = value.filter(item => typeof item !== 'string' || !ADDRESS_PATTERN.test(item));
+      return invalid.length === 0 ? null : `${name} contains invalid addresses: ${JSON.stringify(invalid)}`;
+    }
+    case 'addressMap': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object of address -> name ${got}`;
+      const invalid = Object.entries(value).filter(([address, label]) => !ADDRESS_PATTERN.test(address) || typeof label !== 'string');
+      return invalid.length === 0 ? null : `${name} has invalid entries: ${JSON.stringify(Object.fromEntries(invalid))}`;
+    }
+    default:
+      return `${name} has unknown schema type ${rule.type}`;
+  }
+}
+
+/**
+ * Convert an environment variable string to the type its rule expects.
+ * Unparseable values are returned as-is so validation reports them.
+ */
+function parseConfigEnv(rule, raw) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return raw;
+    case 'string[]':
+    case 'address[]':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'addressMap':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
 class Config {
-  constructor() {
-    this.CONTRACT_ADDRESSES = [
-      '0x059EDD72Cd353dF5106D2B9cC5ab83a52287aC3a', // Art Blocks Flagship V0
-      '0xa7d8d9ef8D8Ce8992Df33D8b8CF4Aebabd5bD270', // Art Blocks Flagship V1
-      '0x99a9B7c1116f9ceEB1652de04d5969CcE509B069', // Art Blocks Flagship V3
-      '0xAB0000000000aa06f89B268D604a9c1C41524Ac6', // Art Blocks Curated V3.2
-      '0x145789247973c5d612bf121e9e4eef84b63eb707', // Art Blocks Collaborations
-      '0x64780ce53f6e966e18a22af13a2f97369580ec11', // Art Blocks Collaborations
-      '0x942bc2d3e7a589fe5bd4a5c6ef9727dfd82f5c8a', // Art Blocks Explorations
-      '0xea698596b6009a622c3ed00dd5a8b5d1cae4fc36', // Art Blocks Collaborations
-    ];
+  /**
+   * Built-in defaults, then the JSON config file (CONFIG_FILE, or config.json
+   * next to this script if present), then environment variables. Throws a
+   * ConfigError listing every invalid setting.
+   */
+  constructor(configFile = process.env.CONFIG_FILE || null) {
+    // Chains we monitor. Each gets its own Alchemy client; `openSeaChain` is the
+    // chain slug in OpenSea URLs and `coinGeckoPlatform` the CoinGecko asset platform.
+    this.CHAINS = {
+      ethereum: {
+        name: 'Ethereum',
+        network: Network.ETH_MAINNET,
+        openSeaChain: 'ethereum',
+        coinGeckoPlatform: 'ethereum',
+        wethAddress: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+        contracts: [
+          '0x059EDD72Cd353dF5106D2B9cC5ab83a52287aC3a', // Art Blocks Flagship V0
+          '0xa7d8d9ef8D8Ce8992Df33D8b8CF4Aebabd5bD270', // Art Blocks Flagship V1
+          '0x99a9B7c1116f9ceEB1652de04d5969CcE509B069', // Art Blocks Flagship V3
+          '0xAB0000000000aa06f89B268D604a9c1C41524Ac6', // Art Blocks Curated V3.2
+          '0x145789247973c5d612bf121e9e4eef84b63eb707', // Art Blocks Collaborations
+          '0x64780ce53f6e966e18a22af13a2f97369580ec11', // Art Blocks Collaborations
+          '0x942bc2d3e7a589fe5bd4a5c6ef9727dfd82f5c8a', // Art Blocks Explorations
+          '0xea698596b6009a622c3ed00dd5a8b5d1cae4fc36', // Art Blocks Collaborations
+        ]
+      },
+      arbitrum: {
+        name: 'Arbitrum',
+        network: Network.ARB_MAINNET,
+        openSeaChain: 'arbitrum',
+        coinGeckoPlatform: 'arbitrum-one',
+        wethAddress: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1',
+        contracts: []
+      },
+      base: {
+        name: 'Base',
+        network: Network.BASE_MAINNET,
+        openSeaChain: 'base',
+        coinGeckoPlatform: 'base',
+        wethAddress: '0x4200000000000000000000000000000000000006',
+        contracts: []
+      }
+    };
     
     // OpenSea collection slugs for Art Blocks collections
     this.OPENSEA_COLLECTION_SLUGS = [
@@ -45,18 +254,105 @@ class Config {
     ];
     
     this.OPENSEA_ADDRESS = '0x7f268357a8c2552623316e2562d90e642bb538e5';
+    
+    // Addresses that collect marketplace fees (used to split Seaport payments)
+    this.MARKETPLACE_FEE_RECIPIENTS = [
+      '0x0000a26b00c1F0DF003000390027140000fAa719', // OpenSea fees
+      '0x8De9C5A032463C561423387a9648c5C7BCC5BC90', // OpenSea fees (legacy)
+      '0x5b3256965e7C3cF26E11FCAf296DfC8807C01073', // OpenSea fees (legacy)
+    ];
     this.MIN_PRICE_ETH = 0.001;
     this.HEALTH_CHECK_INTERVAL = 3600000; // 1 hour
     this.MAX_RETRIES = 3;
     this.RETRY_DELAY = 60000; // 1 minute
     this.ETH_PRICE_CACHE_DURATION = 900000; // 15 minutes
     this.MIN_TIME_BETWEEN_TWEETS = 15 * 60 * 1000; // 15 minutes
+    this.MAX_TWEET_ATTEMPTS = 5; // Queue-level attempts before a tweet is marked failed
+    this.TWEET_QUEUE_HISTORY_DURATION = 7 * 24 * 60 * 60 * 1000; // Keep sent/failed tweets for 7 days
     this.DISABLE_TWEETS = false; // Set to false to enable actual tweets
     this.INITIAL_STARTUP_DELAY = 300000; // 5 minutes
     this.NFT_METADATA_CACHE_DURATION = 24 * 60 * 60 * 1000; // 1 day
+    this.PROJECT_METADATA_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // Project names/artists rarely change
+    this.METADATA_MIN_CONFIDENCE = 'medium'; // Sales with less certain names/artists are held for review
+    this.ONCHAIN_METADATA_ENABLED = true; // Read project IDs, names and hashes from the core contracts first
+    this.RARITY_ENABLED = false; // Build per-project trait distributions for rarity ranks (scans every token of a sold project)
+    this.RARITY_REQUEST_DELAY = 250; // Between Art Blocks token requests while building a distribution
+    this.RARITY_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // How often to look for newly minted tokens
+    this.RARITY_MAX_RETRIES = 3; // Builds a token's features can fail in before it is left out of the distribution
     this.OPENSEA_EVENTS_POLL_INTERVAL = 60000; // 1 minute
     this.OPENSEA_RATE_LIMIT_DELAY = 500; // 500ms between API calls (2 req/s)
-    this.WEBHOOK_URL = process.env.WEBHOOK_URL || null; // For alternative notifications
+    this.CONFIRMATION_BLOCKS = 3; // Blocks a Transfer log must be buried under before we process it
+    this.REORG_WATCH_BLOCKS = 64; // How long processed transactions are watched for reorgs
+    this.MINT_MODE = false; // Announce primary mints alongside secondary sales
+    this.MIN_MINT_PRICE_ETH = 0; // Mints below this aren't announced
+    // Minter contracts to trust besides the core contracts and the minters
+    // they approve on-chain
+    this.MINTER_ADDRESSES = [];
+    this.BACKFILL_INTERVAL = 15 * 60 * 1000; // How often the backfill scanner looks for missed transfers
+    this.BACKFILL_STARTUP_DELAY = 10000; // First scan 10 seconds after startup
+    this.BACKFILL_INITIAL_LOOKBACK_BLOCKS = 2000; // Where a contract with no scan cursor starts (~7 hours)
+    this.BACKFILL_CHUNK_BLOCKS = 10000; // Blocks scanned between cursor saves
+    this.BACKFILL_MAX_RETRIES = 5; // Scans a failed transaction is retried in before it is given up on
+    this.BACKFILL_MAX_TWEET_AGE = 6 * 60 * 60 * 1000; // Missed sales older than this are recorded without a tweet
+    this.OPENSEA_EVENTS_PAGE_SIZE = 50; // Events per page (OpenSea maximum)
+    this.OPENSEA_INITIAL_LOOKBACK = 24 * 60 * 60 * 1000; // How far back to look for a slug with no checkpoint
+    this.OPENSEA_EVENT_MAX_RETRIES = 5; // Polls a failed event holds its slug's checkpoint back for
+    
+    // OpenSea Stream API (websocket) ingestion. While the stream is healthy the
+    // events API is only polled occasionally as a safety net.
+    this.OPENSEA_STREAM_ENABLED = false;
+    this.OPENSEA_STREAM_URL = 'wss://stream.openseabeta.com/socket/websocket';
+    this.OPENSEA_STREAM_HEARTBEAT_INTERVAL = 30000; // 30 seconds
+    this.OPENSEA_STREAM_MAX_RECONNECT_DELAY = 5 * 60 * 1000; // Backoff cap
+    this.OPENSEA_STREAM_BATCH_WINDOW = 3000; // Collect a sweep's events before processing
+    this.OPENSEA_STREAM_SAFETY_POLL_INTERVAL = 10 * 60 * 1000; // 10 minutes
+    
+    // Confirm OpenSea sale events against the transaction receipt before tweeting
+    this.OPENSEA_VERIFICATION_ENABLED = false;
+    this.OPENSEA_VERIFICATION_PRICE_TOLERANCE = 0.01; // Allowed relative price difference
+    this.WEBHOOK_URL = null; // For alternative notifications
+    
+    // Listing / offer alerts. Never tweeted - they only go to the activity webhook.
+    this.ACTIVITY_ALERTS_ENABLED = false;
+    this.ACTIVITY_WEBHOOK_URL = null; // Alerts are only logged until one is set
+    this.ACTIVITY_POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes
+    this.LISTING_ALERT_MIN_PRICE_ETH = 1; // Ignore cheaper listings
+    this.LISTING_ALERT_FLOOR_RATIO = 1; // Alert when listed at or below floor x ratio
+    this.OFFER_ALERT_MIN_PRICE_ETH = 5; // Per-item offer size worth alerting
+    this.DATA_DIR = path.join(__dirname, 'data'); // Local persistent state
+    
+    // Contract discovery proposes registry changes; operators approve them.
+    // Off by default, since each run queries the registry and OpenSea.
+    this.CONTRACT_DISCOVERY_ENABLED = false;
+    this.CONTRACT_DISCOVERY_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+    this.CONTRACT_REGISTRY_URL = 'https://data.artblocks.io/v1/graphql'; // Or a local JSON file
+    
+    // Wash trade screening (off by default; it costs two Alchemy calls per new
+    // wallet). Sales scoring at or above the threshold are held for review,
+    // suppressed, or tweeted with the flags recorded.
+    this.WASH_TRADE_DETECTION_ENABLED = false;
+    this.WASH_TRADE_ACTION = 'hold';
+    this.WASH_TRADE_SCORE_THRESHOLD = 0.5;
+    this.WASH_TRADE_LOOKBACK = 30 * 24 * 60 * 60 * 1000; // Trade history considered for round trips
+    // Shared funders that say nothing about common ownership (exchange hot wallets, bridges)
+    this.WASH_TRADE_IGNORED_FUNDERS = [
+      '0x28C6c06298d514Db089934071355E5743bf21d60', // Binance 14
+      '0x21a31Ee1afC51d94C2eFcCAa2092aD1028285549', // Binance 15
+      '0xDFd5293D8e347dFe59E90eFd55b2956a1343963d', // Binance 16
+      '0x71660c4005BA85c37ccec55d0C4493E66Fe775d3', // Coinbase 1
+      '0x503828976D22510aad0201ac7EC88293211D23Da', // Coinbase 2
+      '0xddfAbCdc4D8FfC6d5beaf154f18B778f892A0740', // Coinbase 3
+      '0x3cD751E6b0078Be393132286c442345e5DC49699', // Coinbase 4
+      '0xb5d85CBf7cB3EE0D56b3bB207D5Fc4B82f43F511', // Coinbase 5
+      '0xeB2629a2734e272Bcc07BDA959863f316F4bD4Cf', // Coinbase 6
+      '0xA9D1e08C7793af67e9d92fe308d5697FB81d3E43', // Coinbase 10
+      '0x2910543Af39abA0Cd09dBb2D50200b3E800A63D2', // Kraken 1
+      '0x267be1C1D684F78cb4F6a176C4911b741E4Ffdc0', // Kraken 4
+      '0xd24400ae8BfEBb18cA49Be86258a3C749cf46853', // Gemini 1
+      '0x6cC5F688a315f3dC28A7781717a9A798a59fDA7b', // OKX
+      '0x742d35Cc6634C0532925a3b844Bc454e4438f44e', // Bitfinex 2
+      '0x5c7BCd6E7De5423a257D81B442095A1a6ced35C5', // Across bridge (Ethereum spoke pool)
+    ];
 
     // Contract name mapping
     this.CONTRACT_NAMES = {
@@ -70,99 +366,758 @@ class Config {
       '0xea698596b6009a622c3ed00dd5a8b5d1cae4fc36': 'Art Blocks Collaborations',
     };
 
+    this.applyOverrides(configFile);
+    this.buildContractIndex();
+    
+    // Hot reload state: settings as last loaded from defaults/file/env, and a
+    // version bumped on every applied change
+    this.loadedSettings = this.snapshotSettings();
+    this.version = 1;
+    this.history = [];
+    this.changeListeners = [];
+  }
+
+  /**
+   * Apply the config file and then environment variables on top of the
+   * defaults, validating every value that was set
+   */
+  applyOverrides(configFile) {
+    const problems = [];
+    // The path is kept even when the default file doesn't exist yet, so it can be watched and written
+    this.CONFIG_FILE = path.resolve(configFile || path.join(__dirname, 'config.json'));
+    this.CONFIG_FILE_REQUIRED = !!configFile;
+    this.envOverrides = []; // Settings pinned by environment variables
+    
+    const apply = (name, value, source) => {
+      const problem = checkConfigValue(`${name} (${source})`, CONFIG_SCHEMA[name], value);
+      if (problem) {
+        problems.push(problem);
+      } else {
+        this[name] = value;
+      }
+    };
+    
+    const applyContracts = (chain, contracts, source) => {
+      const problem = checkConfigValue(`CHAINS.${chain}.contracts (${source})`, { type: 'address[]' }, contracts);
+      if (problem) {
+        problems.push(problem);
+      } else {
+        this.CHAINS[chain].contracts = contracts;
+      }
+    };
+    
+    const readFile = this.CONFIG_FILE_REQUIRED || fs.existsSync(this.CONFIG_FILE);
+    if (readFile) {
+      let fileConfig = null;
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(this.CONFIG_FILE, 'utf8'));
+      } catch (error) {
+        problems.push(`Could not read config file ${this.CONFIG_FILE}: ${error.message}`);
+      }
+      
+      if (fileConfig && (typeof fileConfig !== 'object' || Array.isArray(fileConfig))) {
+        problems.push(`Config file ${this.CONFIG_FILE} must contain a JSON object`);
+      } else if (fileConfig) {
+        const source = path.basename(this.CONFIG_FILE);
+        
+        for (const [name, value] of Object.entries(fileConfig)) {
+          if (name === 'CHAINS') {
+            for (const [chain, chainConfig] of Object.entries(value || {})) {
+              if (!this.CHAINS[chain]) {
+                problems.push(`CHAINS.${chain} (${source}) is not a supported chain; use one of ${Object.keys(this.CHAINS).join(', ')}`);
+              } else if (!chainConfig || chainConfig.contracts === undefined) {
+                problems.push(`CHAINS.${chain} (${source}) must set "contracts"`);
+              } else {
+                applyContracts(chain, chainConfig.contracts, source);
+              }
+            }
+          } else if (!CONFIG_SCHEMA[name]) {
+            problems.push(`${name} (${source}) is not a known setting`);
+          } else {
+            apply(name, value, source);
+          }
+        }
+      }
+    }
+    
+    for (const [name, rule] of Object.entries(CONFIG_SCHEMA)) {
+      const envName = rule.env || name;
+      if (process.env[envName] !== undefined && process.env[envName] !== '') {
+        apply(name, parseConfigEnv(rule, process.env[envName]), `env ${envName}`);
+        this.envOverrides.push(name);
+      }
+    }
+    
+    for (const chain of Object.keys(this.CHAINS)) {
+      const envName = `${chain.toUpperCase()}_CONTRACTS`;
+      if (process.env[envName]) {
+        applyContracts(chain, parseConfigEnv({ type: 'address[]' }, process.env[envName]), `env ${envName}`);
+        this.envOverrides.push(`CHAINS.${chain}.contracts`);
+      }
+    }
+    
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    
+    this.DATA_DIR = path.resolve(this.DATA_DIR);
+    this.CONTRACT_NAMES = Object.fromEntries(
+      Object.entries(this.CONTRACT_NAMES).map(([address, name]) => [address.toLowerCase(), name])
+    );
+    
+    if (readFile) {
+      console.log(`Loaded configuration overrides from ${this.CONFIG_FILE}`);
+    }
+  }
+
+  /**
+   * Current value of every overridable setting, keyed as in the config file
+   * (contracts as CHAINS.<chain>.contracts)
+   */
+  snapshotSettings() {
+    const settings = {};
+    for (const name of Object.keys(CONFIG_SCHEMA)) {
+      settings[name] = this[name];
+    }
+    for (const [chain, chainConfig] of Object.entries(this.CHAINS)) {
+      settings[`CHAINS.${chain}.contracts`] = chainConfig.contracts;
+    }
+    return JSON.parse(JSON.stringify(settings));
+  }
+
+  /**
+   * Register `listener(changes, version)`, called after a reload applies changes
+   */
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  /**
+   * Re-read the config file and environment and apply the settings that
+   * changed since the last load, in place. Values changed at runtime by other
+   * means (e.g. /disable-tweets) are kept unless the file changes them too.
+   * Throws a ConfigError, keeping the current settings, if the new config is
+   * invalid. Returns the new version entry, or null if nothing changed.
+   */
+  reload(reason) {
+    const next = new Config(this.CONFIG_FILE_REQUIRED ? this.CONFIG_FILE : undefined);
+    const changes = [];
+    
+    for (const [name, value] of Object.entries(next.loadedSettings)) {
+      const previous = this.loadedSettings[name];
+      if (JSON.stringify(value) === JSON.stringify(previous)) continue;
+      
+      if (CONFIG_SCHEMA[name] && CONFIG_SCHEMA[name].restart) {
+        console.warn(`Config: ${name} changed to ${JSON.stringify(value)} but only takes effect after a restart`);
+        continue;
+      }
+      changes.push({ name, from: previous, to: value });
+    }
+    
+    this.envOverrides = next.envOverrides;
+    if (changes.length === 0) {
+      return null;
+    }
+    
+    for (const change of changes) {
+      const value = JSON.parse(JSON.stringify(change.to));
+      if (change.name.startsWith('CHAINS.')) {
+        this.CHAINS[change.name.split('.')[1]].contracts = value;
+      } else {
+        this[change.name] = value;
+      }
+      this.loadedSettings[change.name] = change.to;
+    }
+    this.buildContractIndex();
+    
+    this.version++;
+    const entry = { version: this.version, reason, timestamp: Date.now(), changes };
+    this.history.push(entry);
+    if (this.history.length > 50) {
+      this.history.shift();
+    }
+    
+    console.log(`Config version ${this.version} (${reason}):`);
+    changes.forEach(change => console.log(`  ${change.name}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`));
+    
+    for (const listener of this.changeListeners) {
+      try {
+        listener(changes, this.version);
+      } catch (error) {
+        console.error('Error applying config change:', error);
+      }
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Merge `settings` (same shape as the config file) into the config file and
+   * reload it. The file is only replaced if the merged config is valid.
+   * Settings pinned by an environment variable are rejected, since the
+   * environment would keep overriding them.
+   */
+  update(settings, reason = 'admin') {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new ConfigError(['Settings must be a JSON object']);
+    }
+    
+    const names = Object.keys(settings).flatMap(name => (name === 'CHAINS' && settings.CHAINS && typeof settings.CHAINS === 'object'
+      ? Object.keys(settings.CHAINS).map(chain => `CHAINS.${chain}.contracts`)
+      : [name]));
+    const pinned = names.filter(name => this.envOverrides.includes(name));
+    if (pinned.length > 0) {
+      throw new ConfigError(pinned.map(name => `${name} is set by an environment variable and can't be changed at runtime`));
+    }
+    
+    let fileConfig = {};
+    if (fs.existsSync(this.CONFIG_FILE)) {
+      try {
+        fileConfig = JSON.parse(fs.readFileSync(this.CONFIG_FILE, 'utf8'));
+      } catch (error) {
+        throw new ConfigError([`Could not read config file ${this.CONFIG_FILE}: ${error.message}`]);
+      }
+    }
+    
+    const merged = { ...fileConfig, ...settings };
+    if (fileConfig.CHAINS || settings.CHAINS) {
+      merged.CHAINS = { ...fileConfig.CHAINS, ...settings.CHAINS };
+    }
+    
+    // Validate the merged file before it replaces the current one
+    const tmpPath = `${this.CONFIG_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(merged, null, 2) + '\n');
+    try {
+      new Config(tmpPath);
+    } catch (error) {
+      fs.unlinkSync(tmpPath);
+      throw error;
+    }
+    fs.renameSync(tmpPath, this.CONFIG_FILE);
+    
+    return this.reload(reason);
+  }
+
+  /**
+   * Derive the flat contract list, contract -> chain map and OpenSea URLs
+   * from CHAINS
+   */
+  buildContractIndex() {
+    // Every monitored contract across all chains, and the chain each lives on
+    this.CONTRACT_ADDRESSES = [];
+    this.CONTRACT_CHAINS = {};
+    for (const [chain, chainConfig] of Object.entries(this.CHAINS)) {
+      for (const address of chainConfig.contracts) {
+        this.CONTRACT_ADDRESSES.push(address);
+        this.CONTRACT_CHAINS[address.toLowerCase()] = chain;
+      }
+    }
+    
     // OpenSea URL mapping
     this.CONTRACT_URLS = {};
     this.CONTRACT_ADDRESSES.forEach(address => {
       const normalizedAddress = address.toLowerCase();
-      this.CONTRACT_URLS[normalizedAddress] = `https://opensea.io/assets/ethereum/${normalizedAddress}/`;
+      const openSeaChain = this.CHAINS[this.getContractChain(normalizedAddress)].openSeaChain;
+      this.CONTRACT_URLS[normalizedAddress] = `https://opensea.io/assets/${openSeaChain}/${normalizedAddress}/`;
     });
   }
+
+  /**
+   * Chain a monitored contract is deployed on (ethereum for unknown contracts)
+   */
+  getContractChain(contractAddress) {
+    return (contractAddress && this.CONTRACT_CHAINS[contractAddress.toLowerCase()]) || 'ethereum';
+  }
+
+  /**
+   * Chains with at least one monitored contract
+   */
+  getActiveChains() {
+    return Object.keys(this.CHAINS).filter(chain => this.CHAINS[chain].contracts.length > 0);
+  }
 }
 
 // =========================================================
-// API SERVICES
+// LOCAL STATE
 // =========================================================
 
-class ApiServices {
-  constructor(config) {
-    this.config = config;
-    this.ethPriceCache = { price: null, timestamp: 0 };
-    this.tokenMetadataCache = {};
-    this.processedEventIds = new Set(); // Track which OpenSea events we've processed
-    this.lastEventTimestamp = Date.now() - (24 * 60 * 60 * 1000); // Start with events from last 24h
+/**
+ * Small JSON document persisted to disk. Writes go to a temp file first and
+ * are renamed into place so a crash never leaves a half-written file behind.
+ */
+class JsonStateFile {
+  constructor(filePath) {
+    this.filePath = filePath;
   }
 
-  initTwitter() {
+  read(defaultValue) {
     try {
-      this.twitter = new TwitterApi({
-        appKey: process.env.TWITTER_CONSUMER_KEY,
-        appSecret: process.env.TWITTER_CONSUMER_SECRET,
-        accessToken: process.env.TWITTER_ACCESS_TOKEN,
-        accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
-      });
-      console.log('Twitter client initialized successfully');
-      return true;
+      if (!fs.existsSync(this.filePath)) {
+        return defaultValue;
+      }
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
     } catch (error) {
-      console.error('Error initializing Twitter client:', error);
-      return false;
+      console.error(`Error reading state file ${this.filePath}:`, error.message);
+      return defaultValue;
     }
   }
 
-  initAlchemy() {
+  write(value) {
     try {
-      this.alchemy = new Alchemy({
-        apiKey: process.env.ALCHEMY_API_KEY,
-        network: Network.ETH_MAINNET,
-      });
-      console.log('Alchemy client initialized successfully');
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
       return true;
     } catch (error) {
-      console.error('Error initializing Alchemy client:', error);
+      console.error(`Error writing state file ${this.filePath}:`, error.message);
       return false;
     }
   }
+}
 
-  async getEthPrice() {
-    // Check cache first
-    const now = Date.now();
-    if (this.ethPriceCache.price && 
-        (now - this.ethPriceCache.timestamp < this.config.ETH_PRICE_CACHE_DURATION)) {
-      return this.ethPriceCache.price;
+// =========================================================
+// SALES STORE
+// =========================================================
+
+/**
+ * Durable ledger of every detected sale.
+ *
+ * Stored as an append-only JSON Lines file: each sale is written once as a
+ * `sale` entry and later changes (tweet status, etc.) are appended as `update`
+ * entries. The full history is replayed into memory on startup so it can be
+ * queried without re-reading the file.
+ */
+class SalesStore {
+  constructor(config) {
+    this.config = config;
+    this.filePath = path.join(config.DATA_DIR, 'sales.jsonl');
+    this.sales = new Map(); // Sale ID -> record, in insertion (chronological) order
+    this.saleKeys = new Set(); // Canonical keys of every recorded sale
+    this.inFlightKeys = new Set(); // Keys claimed by an ingestion path but not yet recorded
+    this.load();
+  }
+
+  /**
+   * Canonical identity of a sale, shared by every ingestion path (OpenSea
+   * polling, on-chain monitoring, backfill). OpenSea events do not expose the
+   * Transfer log index, so the key uses chain + tx hash + contract + token ID;
+   * the log index is kept on the record for reference.
+   */
+  static saleKey({ chain = 'ethereum', txHash, contract, tokenId }) {
+    if (!txHash || !contract || tokenId === undefined || tokenId === null) {
+      return null;
+    }
+    return `${chain}:${txHash}:${contract}:${BigInt(tokenId).toString()}`.toLowerCase();
+  }
+
+  hasSale(saleKey) {
+    return this.saleKeys.has(saleKey);
+  }
+
+  /**
+   * Reserve a sale key before processing so concurrent paths can't both queue
+   * the same sale. Returns false if the sale is already recorded or in flight.
+   */
+  claimSale(saleKey) {
+    if (!saleKey) {
+      return true;
     }
+    if (this.saleKeys.has(saleKey) || this.inFlightKeys.has(saleKey)) {
+      return false;
+    }
+    this.inFlightKeys.add(saleKey);
+    return true;
+  }
+
+  /**
+   * Give up a claim when the sale was skipped or processing failed
+   */
+  releaseSale(saleKey) {
+    if (saleKey) {
+      this.inFlightKeys.delete(saleKey);
+    }
+  }
 
+  load() {
     try {
-      // Try multiple price sources in sequence
-      
-      // First try CoinGecko
-      try {
-        const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
-          params: { ids: 'ethereum', vs_currencies: 'usd' }
-        });
-        
-        if (response.data?.ethereum?.usd) {
-          const ethPrice = response.data.ethereum.usd;
-          console.log(`Got ETH price from CoinGecko API: $${ethPrice}`);
-          
-          // Update cache
-          this.ethPriceCache = { price: ethPrice, timestamp: now };
-          return ethPrice;
+      fs.mkdirSync(this.config.DATA_DIR, { recursive: true });
+
+      if (!fs.existsSync(this.filePath)) {
+        console.log(`No sales ledger found at ${this.filePath}, starting fresh`);
+        return;
+      }
+
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let updateCount = 0;
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (entry.type === 'sale') {
+            this.sales.set(entry.sale.id, entry.sale);
+            if (entry.sale.saleKey) {
+              this.saleKeys.add(entry.sale.saleKey);
+            }
+          } else if (entry.type === 'update' && this.sales.has(entry.id)) {
+            Object.assign(this.sales.get(entry.id), entry.changes);
+            updateCount++;
+          }
+        } catch (parseError) {
+          // A partially written last line (e.g. crash mid-write) should not lose the rest
+          console.error('Skipping unreadable sales ledger line:', parseError.message);
         }
-      } catch (coinGeckoError) {
-        console.error('CoinGecko API error:', coinGeckoError.message);
       }
-      
-      // If CoinGecko failed, try CryptoCompare as fallback
-      try {
-        const response = await axios.get('https://min-api.cryptocompare.com/data/price', {
-          params: { fsym: 'ETH', tsyms: 'USD' }
-        });
-        
-        if (response.data?.USD) {
-          const ethPrice = response.data.USD;
-          console.log(`Got ETH price from CryptoCompare API: $${ethPrice}`);
-          
-          // Update cache
-          this.ethPriceCache = { price: ethPrice, timestamp: now };
+
+      // Retracted sales no longer count as recorded, so a re-mined sale can be picked up again
+      for (const sale of this.sales.values()) {
+        if (sale.retracted && sale.saleKey) {
+          this.saleKeys.delete(sale.saleKey);
+        }
+      }
+
+      console.log(`Loaded ${this.sales.size} sales from ledger`);
+
+      // Fold updates back into the sale entries once they outnumber them
+      if (updateCount > this.sales.size) {
+        this.compact();
+      }
+    } catch (error) {
+      console.error('Error loading sales ledger:', error);
+    }
+  }
+
+  append(entry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('Error writing to sales ledger:', error);
+    }
+  }
+
+  compact() {
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      const content = Array.from(this.sales.values())
+        .map(sale => JSON.stringify({ type: 'sale', sale }))
+        .join('\n');
+      fs.writeFileSync(tmpPath, content ? content + '\n' : '');
+      fs.renameSync(tmpPath, this.filePath);
+      console.log(`Compacted sales ledger (${this.sales.size} sales)`);
+    } catch (error) {
+      console.error('Error compacting sales ledger:', error);
+    }
+  }
+
+  /**
+   * Record a newly detected sale and return the stored record
+   */
+  recordSale(sale) {
+    const record = {
+      id: `sale-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      saleKey: sale.saleKey || null,
+      timestamp: sale.timestamp || Date.now(),
+      chain: sale.chain || 'ethereum',
+      contract: sale.contract ? sale.contract.toLowerCase() : null,
+      tokenId: sale.tokenId !== undefined && sale.tokenId !== null ? String(sale.tokenId) : null,
+      txHash: sale.txHash || null,
+      logIndex: sale.logIndex !== undefined ? sale.logIndex : null,
+      priceEth: sale.priceEth,
+      currency: sale.currency || 'ETH',
+      amount: sale.amount ?? sale.priceEth,
+      paymentToken: sale.paymentToken ? sale.paymentToken.toLowerCase() : null,
+      usdPrice: sale.usdPrice || null,
+      marketplace: sale.marketplace || null,
+      sellerProceedsEth: sale.sellerProceedsEth ?? null,
+      marketplaceFeeEth: sale.marketplaceFeeEth ?? null,
+      royaltyEth: sale.royaltyEth ?? null,
+      buyer: sale.buyer ? sale.buyer.toLowerCase() : null,
+      buyerDisplay: sale.buyerDisplay || null,
+      seller: sale.seller ? sale.seller.toLowerCase() : null,
+      source: sale.source,
+      metadata: sale.metadata || {},
+      bundle: sale.bundle || null, // { id, type, size, totalEth } when bought together with other tokens
+      washTrade: sale.washTrade || null, // { score, signals } when wash trade screening flagged the sale
+      verification: sale.verification || null, // { status, problems, onChain } for OpenSea events checked on-chain
+      tweetStatus: sale.tweetStatus || 'pending',
+      tweetId: null
+    };
+
+    this.sales.set(record.id, record);
+    if (record.saleKey) {
+      this.saleKeys.add(record.saleKey);
+      this.inFlightKeys.delete(record.saleKey);
+    }
+    this.append({ type: 'sale', sale: record });
+
+    console.log(`Recorded sale ${record.id}: ${record.metadata.projectName || record.contract} #${record.metadata.tokenNumber || record.tokenId}`);
+    return record;
+  }
+
+  updateSale(id, changes) {
+    const record = this.sales.get(id);
+    if (!record) {
+      console.log(`Cannot update unknown sale ${id}`);
+      return null;
+    }
+
+    Object.assign(record, changes);
+    this.append({ type: 'update', id, changes });
+    return record;
+  }
+
+  updateTweetStatus(id, tweetStatus, tweetId = null) {
+    const changes = { tweetStatus, tweetStatusUpdatedAt: Date.now() };
+    if (tweetId) {
+      changes.tweetId = tweetId;
+    }
+    return this.updateSale(id, changes);
+  }
+
+  /**
+   * Withdraw a sale that turned out not to have happened (e.g. its block was
+   * reorganised away). The record is kept for the audit trail but its key is
+   * freed so the sale can be recorded again if it is re-mined.
+   */
+  retractSale(id, reason) {
+    const existing = this.sales.get(id);
+    if (!existing || existing.retracted) {
+      return existing || null;
+    }
+
+    const changes = { retracted: true, retractedAt: Date.now(), retractReason: reason };
+    // A tweet that already went out stays visible as such
+    if (existing.tweetStatus !== 'sent' && existing.tweetStatus !== 'preview') {
+      changes.tweetStatus = 'retracted';
+    }
+
+    if (existing.saleKey) {
+      this.saleKeys.delete(existing.saleKey);
+    }
+    console.log(`Retracted sale ${id} (${reason})`);
+    return this.updateSale(id, changes);
+  }
+
+  getSale(id) {
+    return this.sales.get(id) || null;
+  }
+
+  count() {
+    return this.sales.size;
+  }
+
+  /**
+   * Most recent sales first
+   */
+  getRecentSales(limit = 20) {
+    return this.querySales({ limit });
+  }
+
+  /**
+   * Filter sales by any combination of chain, contract, txHash, tokenId, buyer,
+   * seller, source, marketplace, tweetStatus and a since/until timestamp range.
+   * Newest first.
+   */
+  querySales(filters = {}) {
+    const results = [];
+    const records = Array.from(this.sales.values());
+
+    for (let i = records.length - 1; i >= 0; i--) {
+      const sale = records[i];
+
+      if (filters.chain && (sale.chain || 'ethereum') !== filters.chain) continue;
+      if (filters.contract && sale.contract !== filters.contract.toLowerCase()) continue;
+      if (filters.txHash && (sale.txHash || '').toLowerCase() !== filters.txHash.toLowerCase()) continue;
+      if (filters.tokenId !== undefined && filters.tokenId !== null && sale.tokenId !== String(filters.tokenId)) continue;
+      if (filters.buyer && sale.buyer !== filters.buyer.toLowerCase()) continue;
+      if (filters.seller && sale.seller !== filters.seller.toLowerCase()) continue;
+      if (filters.source && sale.source !== filters.source) continue;
+      if (filters.marketplace && sale.marketplace !== filters.marketplace) continue;
+      if (filters.tweetStatus && sale.tweetStatus !== filters.tweetStatus) continue;
+      if (filters.since && sale.timestamp < filters.since) continue;
+      if (filters.until && sale.timestamp > filters.until) continue;
+
+      results.push(sale);
+
+      if (filters.limit && results.length >= filters.limit) break;
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Group prepared sales by transaction and buyer so that several tokens bought
+ * together can be announced as one bundle or sweep
+ */
+function groupSalesByBuyer(sales) {
+  const groups = new Map();
+  for (const sale of sales) {
+    const key = `${sale.txHash || sale.saleKey}-${(sale.buyer || '').toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(sale);
+  }
+  return Array.from(groups.values());
+}
+
+// =========================================================
+// API SERVICES
+// =========================================================
+
+// Payment currencies we know how to price, keyed by lowercase token address.
+// `ethPegged` tokens are valued 1:1 with ETH, `usdPegged` ones 1:1 with USD.
+const PAYMENT_CURRENCIES = {
+  '0x0000000000000000000000000000000000000000': { symbol: 'ETH', decimals: 18, ethPegged: true },
+  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18, ethPegged: true },
+  '0x0000000000a39bb272e79075ade125fd351887ac': { symbol: 'Blur Pool ETH', decimals: 18, ethPegged: true },
+  '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6, usdPegged: true },
+  '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6, usdPegged: true },
+  '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18, usdPegged: true },
+  // L2s (addresses don't collide with mainnet ones)
+  '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': { symbol: 'WETH', decimals: 18, ethPegged: true }, // Arbitrum
+  '0xaf88d065e77c8cc2239327c5edb3a432268e5831': { symbol: 'USDC', decimals: 6, usdPegged: true }, // Arbitrum
+  '0x4200000000000000000000000000000000000006': { symbol: 'WETH', decimals: 18, ethPegged: true }, // Base
+  '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { symbol: 'USDC', decimals: 6, usdPegged: true }, // Base
+};
+
+// Project mint progress on Art Blocks core contracts. V3 exposes projectStateData;
+// V0/V1 return invocations from projectTokenInfo (only the leading fields are
+// declared, which is all we decode).
+const artBlocksV3ProgressInterface = new Utils.Interface([
+  'function projectStateData(uint256 projectId) view returns (uint256 invocations, uint256 maxInvocations, bool active, bool paused, uint256 completedTimestamp, bool locked)'
+]);
+const artBlocksLegacyProgressInterface = new Utils.Interface([
+  'function projectTokenInfo(uint256 projectId) view returns (address artistAddress, uint256 pricePerTokenInWei, uint256 invocations, uint256 maxInvocations, bool active)'
+]);
+
+// Art Blocks' public GraphQL API lists every core and Engine contract they
+// deploy; chain ids map to our chain keys.
+const ARTBLOCKS_CONTRACTS_QUERY = '{ contracts_metadata { address name type chain_id } }';
+const REGISTRY_CHAIN_IDS = { 1: 'ethereum', 42161: 'arbitrum', 8453: 'base' };
+
+class ApiServices {
+  constructor(config) {
+    this.config = config;
+    this.ethPriceCache = { price: null, timestamp: 0 };
+    this.tokenPriceCache = {}; // ERC-20 address -> { price, timestamp } in USD
+    this.historicalEthPriceCache = {}; // dd-mm-yyyy -> ETH/USD price that day
+    this.collectionFloorCache = {}; // OpenSea slug -> { floor, timestamp }
+    this.erc20MetadataCache = {}; // ERC-20 address -> { symbol, decimals }
+    this.tokenMetadataCache = {};
+    this.processedEventIds = new Set(); // Track which OpenSea events we've processed
+    this.failedEventAttempts = new Map(); // OpenSea event id -> failed processing attempts
+    
+    // Per-slug polling checkpoints (ms timestamps of the newest event seen), persisted across restarts
+    this.checkpointFile = new JsonStateFile(path.join(config.DATA_DIR, 'opensea-checkpoints.json'));
+    this.eventCheckpoints = this.checkpointFile.read({});
+    this.lastEventTimestamp = Math.max(
+      Date.now() - config.OPENSEA_INITIAL_LOOKBACK,
+      ...Object.values(this.eventCheckpoints)
+    ); // Newest event seen across all slugs, for status pages
+  }
+
+  initTwitter() {
+    try {
+      this.twitter = new TwitterApi({
+        appKey: process.env.TWITTER_CONSUMER_KEY,
+        appSecret: process.env.TWITTER_CONSUMER_SECRET,
+        accessToken: process.env.TWITTER_ACCESS_TOKEN,
+        accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+      });
+      console.log('Twitter client initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Error initializing Twitter client:', error);
+      return false;
+    }
+  }
+
+  initAlchemy() {
+    try {
+      // One client per chain we monitor; `this.alchemy` stays the mainnet
+      // client, which is also used for ENS. Calling this again after a config
+      // change only adds clients for newly monitored chains.
+      this.alchemyClients = this.alchemyClients || {};
+      const chains = new Set(['ethereum', ...this.config.getActiveChains()]);
+      for (const chain of chains) {
+        if (this.alchemyClients[chain]) continue;
+        this.alchemyClients[chain] = new Alchemy({
+          apiKey: process.env.ALCHEMY_API_KEY,
+          network: this.config.CHAINS[chain].network,
+        });
+      }
+      this.alchemy = this.alchemyClients.ethereum;
+      console.log(`Alchemy clients initialized successfully (${Array.from(chains).join(', ')})`);
+      return true;
+    } catch (error) {
+      console.error('Error initializing Alchemy client:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Alchemy client for a chain
+   */
+  getAlchemy(chain = 'ethereum') {
+    const client = this.alchemyClients && this.alchemyClients[chain];
+    if (!client) {
+      throw new Error(`No Alchemy client for chain ${chain}`);
+    }
+    return client;
+  }
+
+  /**
+   * Alchemy client for the chain a contract is deployed on
+   */
+  getContractAlchemy(contractAddress) {
+    return this.getAlchemy(this.config.getContractChain(contractAddress));
+  }
+
+  async getEthPrice() {
+    // Check cache first
+    const now = Date.now();
+    if (this.ethPriceCache.price && 
+        (now - this.ethPriceCache.timestamp < this.config.ETH_PRICE_CACHE_DURATION)) {
+      return this.ethPriceCache.price;
+    }
+
+    try {
+      // Try multiple price sources in sequence
+      
+      // First try CoinGecko
+      try {
+        const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+          params: { ids: 'ethereum', vs_currencies: 'usd' }
+        });
+        
+        if (response.data?.ethereum?.usd) {
+          const ethPrice = response.data.ethereum.usd;
+          console.log(`Got ETH price from CoinGecko API: $${ethPrice}`);
+          
+          // Update cache
+          this.ethPriceCache = { price: ethPrice, timestamp: now };
+          return ethPrice;
+        }
+      } catch (coinGeckoError) {
+        console.error('CoinGecko API error:', coinGeckoError.message);
+      }
+      
+      // If CoinGecko failed, try CryptoCompare as fallback
+      try {
+        const response = await axios.get('https://min-api.cryptocompare.com/data/price', {
+          params: { fsym: 'ETH', tsyms: 'USD' }
+        });
+        
+        if (response.data?.USD) {
+          const ethPrice = response.data.USD;
+          console.log(`Got ETH price from CryptoCompare API: $${ethPrice}`);
+          
+          // Update cache
+          this.ethPriceCache = { price: ethPrice, timestamp: now };
           return ethPrice;
         }
       } catch (cryptoCompareError) {
@@ -197,6 +1152,143 @@ class ApiServices {
     }
   }
 
+  /**
+   * Symbol and decimals for a payment token, from the known list or on-chain
+   */
+  async getPaymentCurrency(tokenAddress, hints = {}, chain = 'ethereum') {
+    const address = (tokenAddress || '0x0000000000000000000000000000000000000000').toLowerCase();
+    
+    if (PAYMENT_CURRENCIES[address]) {
+      return { address, chain, ...PAYMENT_CURRENCIES[address] };
+    }
+    
+    // Trust symbol/decimals supplied alongside the payment (e.g. by OpenSea)
+    if (hints.symbol && hints.decimals !== undefined && hints.decimals !== null) {
+      return { address, chain, symbol: hints.symbol, decimals: Number(hints.decimals) };
+    }
+    
+    const cacheKey = `${chain}:${address}`;
+    if (!this.erc20MetadataCache[cacheKey]) {
+      try {
+        const metadata = await this.getAlchemy(chain).core.getTokenMetadata(address);
+        this.erc20MetadataCache[cacheKey] = { symbol: metadata.symbol, decimals: metadata.decimals };
+        console.log(`Looked up ERC-20 ${address} on ${chain}: ${metadata.symbol} (${metadata.decimals} decimals)`);
+      } catch (error) {
+        console.error(`Error getting token metadata for ${address}:`, error.message);
+        return null;
+      }
+    }
+    
+    return { address, chain, ...this.erc20MetadataCache[cacheKey] };
+  }
+
+  /**
+   * USD price of one unit of an ERC-20 token (cached like the ETH price)
+   */
+  async getTokenUsdPrice(currency) {
+    if (currency.usdPegged) {
+      return 1;
+    }
+    if (currency.ethPegged) {
+      return this.getEthPrice();
+    }
+    
+    const now = Date.now();
+    const cacheKey = `${currency.chain || 'ethereum'}:${currency.address}`;
+    const cached = this.tokenPriceCache[cacheKey];
+    if (cached && (now - cached.timestamp < this.config.ETH_PRICE_CACHE_DURATION)) {
+      return cached.price;
+    }
+    
+    try {
+      const platform = this.config.CHAINS[currency.chain || 'ethereum'].coinGeckoPlatform;
+      const response = await axios.get(`https://api.coingecko.com/api/v3/simple/token_price/${platform}`, {
+        params: { contract_addresses: currency.address, vs_currencies: 'usd' }
+      });
+      
+      const price = response.data?.[currency.address]?.usd;
+      if (price) {
+        console.log(`Got ${currency.symbol} price from CoinGecko API: $${price}`);
+        this.tokenPriceCache[cacheKey] = { price, timestamp: now };
+        return price;
+      }
+    } catch (error) {
+      console.error(`CoinGecko token price error for ${currency.symbol}:`, error.message);
+    }
+    
+    return cached ? cached.price : null;
+  }
+
+  /**
+   * Convert a raw payment (smallest units of any currency) into the amount
+   * actually paid plus its ETH and USD equivalents. priceEth/priceUsd are
+   * null when the currency can't be priced.
+   */
+  async normalizePayment({ quantity, tokenAddress, symbol, decimals, chain = 'ethereum' }) {
+    const currency = await this.getPaymentCurrency(tokenAddress, { symbol, decimals }, chain);
+    if (!currency) {
+      return null;
+    }
+    
+    const amount = Number(BigInt(quantity)) / Math.pow(10, currency.decimals);
+    const ethPrice = await this.getEthPrice();
+    
+    let priceEth = null;
+    let priceUsd = null;
+    
+    if (currency.ethPegged) {
+      priceEth = amount;
+      priceUsd = ethPrice ? amount * ethPrice : null;
+    } else {
+      const tokenUsdPrice = await this.getTokenUsdPrice(currency);
+      if (tokenUsdPrice) {
+        priceUsd = amount * tokenUsdPrice;
+        priceEth = ethPrice ? priceUsd / ethPrice : null;
+      }
+    }
+    
+    return {
+      amount,
+      symbol: currency.symbol,
+      decimals: currency.decimals,
+      tokenAddress: currency.address,
+      ethPegged: !!currency.ethPegged,
+      priceEth,
+      priceUsd
+    };
+  }
+
+  /**
+   * Minted count and edition size for an Art Blocks project, read on-chain
+   */
+  async getProjectInvocations(contractAddress, projectId) {
+    const attempts = [
+      [artBlocksV3ProgressInterface, 'projectStateData'],
+      [artBlocksLegacyProgressInterface, 'projectTokenInfo']
+    ];
+    
+    for (const [contractInterface, method] of attempts) {
+      try {
+        const data = await this.getContractAlchemy(contractAddress).core.call({
+          to: contractAddress,
+          data: contractInterface.encodeFunctionData(method, [projectId])
+        });
+        const result = contractInterface.decodeFunctionResult(method, data);
+        return {
+          invocations: result.invocations.toNumber(),
+          maxInvocations: result.maxInvocations.toNumber()
+        };
+      } catch (error) {
+        if (VERBOSE_LOGGING) {
+          console.log(`${method} not available on ${contractAddress}: ${error.message}`);
+        }
+      }
+    }
+    
+    console.log(`Could not read mint progress for project ${projectId} on ${contractAddress}`);
+    return null;
+  }
+
   async getEnsName(address) {
     try {
       const ensName = await this.alchemy.core.lookupAddress(address);
@@ -230,7 +1322,7 @@ class ApiServices {
       console.log(`Fetching OpenSea metadata for ${contractAddress}/${tokenId}`);
       
       const response = await axios.get(
-        `https://api.opensea.io/api/v2/chain/ethereum/contract/${contractAddress}/nfts/${tokenId}`,
+        `https://api.opensea.io/api/v2/chain/${this.config.CHAINS[this.config.getContractChain(contractAddress)].openSeaChain}/contract/${contractAddress}/nfts/${tokenId}`,
         { headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY } }
       );
       
@@ -254,10 +1346,12 @@ class ApiServices {
       
       // More thorough collection name extraction
       let projectName = '';
+      const rules = { projectName: null, artistName: null }; // Which extraction rule produced each field
       
       // Method 1: Try to get from collection.name directly
       if (nftData.collection && typeof nftData.collection === 'object' && nftData.collection.name) {
         projectName = nftData.collection.name;
+        rules.projectName = 'collection.name';
         console.log(`Found collection name in OpenSea data object: ${projectName}`);
       } 
       // Method 2: Try to get from collection string (often a slug)
@@ -268,6 +1362,7 @@ class ApiServices {
           .map(word => word.charAt(0).toUpperCase() + word.slice(1))
           .join(' ')
           .replace(/By\s/, 'by '); // Fix capitalization in "by"
+        rules.projectName = 'collection-slug';
         
         console.log(`Extracted project name from collection slug: ${projectName}`);
       } 
@@ -282,6 +1377,7 @@ class ApiServices {
           projectName = nftData.name.replace(/ #\d+$/, '');
           console.log(`Used modified token name: ${projectName}`);
         }
+        rules.projectName = 'token-name';
       }
       
       // Extract artist name from traits
@@ -291,12 +1387,15 @@ class ApiServices {
       if (nftData.creator) {
         if (typeof nftData.creator === 'string') {
           artistName = nftData.creator;
+          rules.artistName = 'creator';
           console.log(`Found artist name in creator string: ${artistName}`);
         } else if (nftData.creator.user?.username) {
           artistName = nftData.creator.user.username;
+          rules.artistName = 'creator.user.username';
           console.log(`Found artist name in creator.user.username: ${artistName}`);
         } else if (nftData.creator.address) {
           artistName = nftData.creator.address;
+          rules.artistName = 'creator.address';
           console.log(`Using creator address as artist: ${artistName}`);
         }
       }
@@ -313,6 +1412,7 @@ class ApiServices {
         
         if (artistTrait?.value) {
           artistName = artistTrait.value;
+          rules.artistName = 'artist-trait';
           console.log(`Found artist name in traits: ${artistName}`);
         } else {
           // Look through all traits for artist info
@@ -321,6 +1421,7 @@ class ApiServices {
               const byParts = trait.value.split('by ');
               if (byParts.length > 1) {
                 artistName = byParts[1].trim();
+                rules.artistName = 'by-in-trait';
                 console.log(`Extracted artist from 'by' in trait: ${artistName}`);
                 break;
               }
@@ -335,6 +1436,7 @@ class ApiServices {
         const byMatch = desc.match(/by\s+([a-z0-9\s]+)/i);
         if (byMatch && byMatch[1]) {
           artistName = byMatch[1].trim();
+          rules.artistName = 'description-regex';
           console.log(`Extracted artist from description: ${artistName}`);
         }
       }
@@ -344,6 +1446,7 @@ class ApiServices {
         const byMatch = projectName.match(/by\s+([a-z0-9\s]+)/i);
         if (byMatch && byMatch[1]) {
           artistName = byMatch[1].trim();
+          rules.artistName = 'collection-name-regex';
           console.log(`Extracted artist from collection name: ${artistName}`);
         }
       }
@@ -356,6 +1459,7 @@ class ApiServices {
         imageUrl: nftData.image_url || nftData.display_image_url || nftData.animation_url || null,
         collection: typeof nftData.collection === 'string' ? nftData.collection : nftData.collection?.name || null,
         tokenId: tokenId,
+        rules,
         fullData: data
       };
     } catch (error) {
@@ -369,6 +1473,16 @@ class ApiServices {
     }
   }
 
+  /**
+   * Just the features (traits) of a token from the Art Blocks API, without
+   * the logging of getArtBlocksTokenInfo. Used to scan whole projects.
+   */
+  async getArtBlocksTokenFeatures(tokenId, contractAddress) {
+    const response = await axios.get(`https://token.artblocks.io/${contractAddress}/${tokenId}`);
+    const features = response.data?.features;
+    return features && typeof features === 'object' && !Array.isArray(features) ? features : {};
+  }
+
   async getArtBlocksTokenInfo(tokenId, contractAddress) {
     try {
       console.log(`Fetching from Art Blocks API for token ${tokenId}`);
@@ -388,20 +1502,25 @@ class ApiServices {
       
       // Extract project name - more thorough approach
       let projectName = null;
+      const rules = { projectName: null, artistName: null }; // Which extraction rule produced each field
       // First try the most reliable sources
       if (data.project?.name) {
         projectName = data.project.name;
+        rules.projectName = 'project.name';
         console.log(`Found project name in project object: ${projectName}`);
       } else if (data.collection?.name) {
         projectName = data.collection.name;
+        rules.projectName = 'collection.name';
         console.log(`Found project name in collection object: ${projectName}`);
       } else if (data.title) {
         // Remove token number if present
         projectName = data.title.replace(/ #\d+$/, '');
+        rules.projectName = 'title';
         console.log(`Using title as project name: ${projectName}`);
       } else if (data.name) {
         // Remove token number if present
         projectName = data.name.replace(/ #\d+$/, '');
+        rules.projectName = 'name';
         console.log(`Using name as project name: ${projectName}`);
       }
       
@@ -413,6 +1532,7 @@ class ApiServices {
           if (data.script_type && data.script_type !== 'p5js' && data.script_type !== 'js') {
             // Only use script_type if it's not just a generic engine name
             projectName = data.script_type;
+            rules.projectName = 'script_type';
             console.log(`Using script_type as project name: ${projectName}`);
           }
         }
@@ -423,6 +1543,7 @@ class ApiServices {
             if (typeof data[key] === 'object' && data[key] !== null) {
               if (data[key].name) {
                 projectName = data[key].name;
+                rules.projectName = 'nested-name';
                 console.log(`Found name in nested object ${key}: ${projectName}`);
                 break;
               }
@@ -433,6 +1554,9 @@ class ApiServices {
       
       // Extract artist name - more thorough approach
       let artistName = data.project?.artist_name || data.project?.artist || data.artist || null;
+      if (artistName) {
+        rules.artistName = data.project?.artist_name || data.project?.artist ? 'project.artist' : 'artist';
+      }
       
       if (!artistName) {
         // Look for artist in any nested objects
@@ -440,6 +1564,7 @@ class ApiServices {
           if (typeof data[key] === 'object' && data[key] !== null) {
             if (data[key].artist || data[key].artist_name) {
               artistName = data[key].artist || data[key].artist_name;
+              rules.artistName = 'nested-artist';
               console.log(`Found artist in nested object ${key}: ${artistName}`);
               break;
             }
@@ -451,6 +1576,7 @@ class ApiServices {
           const byMatch = data.description.match(/by\s+([a-z0-9\s]+)/i);
           if (byMatch && byMatch[1]) {
             artistName = byMatch[1].trim();
+            rules.artistName = 'description-regex';
             console.log(`Extracted artist from description: ${artistName}`);
           }
         }
@@ -464,6 +1590,7 @@ class ApiServices {
         projectId: data.project_id || data.project?.projectId || null,
         tokenId: data.tokenId || tokenId,
         imageUrl: data.image || data.imageUrl || data.media?.image || data.primary_asset_url || null,
+        rules,
         fullData: data
       };
     } catch (error) {
@@ -475,7 +1602,7 @@ class ApiServices {
   async getAlchemyMetadata(contractAddress, tokenId) {
     try {
       console.log(`Fetching NFT metadata from Alchemy for token ${tokenId}`);
-      const nftMetadata = await this.alchemy.nft.getNftMetadata(
+      const nftMetadata = await this.getContractAlchemy(contractAddress).nft.getNftMetadata(
         contractAddress,
         tokenId
       );
@@ -490,10 +1617,12 @@ class ApiServices {
       
       // More thorough extraction of collection name
       let projectName = '';
+      const rules = { projectName: null, artistName: null }; // Which extraction rule produced each field
       
       // Try various sources for collection name
       if (nftMetadata.contract && nftMetadata.contract.name) {
         projectName = nftMetadata.contract.name;
+        rules.projectName = 'contract.name';
         console.log(`Using Alchemy contract name: ${projectName}`);
       }
       
@@ -504,6 +1633,7 @@ class ApiServices {
         } else {
           projectName = nftMetadata.rawMetadata.collection;
         }
+        rules.projectName = 'rawMetadata.collection';
         console.log(`Using collection from rawMetadata: ${projectName}`);
       }
       
@@ -511,11 +1641,14 @@ class ApiServices {
       if (!projectName && nftMetadata.title) {
         // Remove token number pattern (e.g., "#123")
         projectName = nftMetadata.title.replace(/ #\d+$/, '');
+        rules.projectName = 'title';
         console.log(`Using Alchemy title: ${projectName}`);
       }
       
       // Extract artist name using the helper function
-      const artistName = this._extractArtistFromAlchemy(nftMetadata);
+      const artist = this._extractArtistFromAlchemy(nftMetadata);
+      const artistName = artist ? artist.value : null;
+      rules.artistName = artist ? artist.rule : null;
       const tokenNumber = nftMetadata.tokenId || tokenId;
       
       return {
@@ -525,6 +1658,7 @@ class ApiServices {
         tokenNumber,
         description: nftMetadata.description,
         imageUrl: nftMetadata.media?.[0]?.gateway || null,
+        rules,
         fullData: nftMetadata
       };
     } catch (error) {
@@ -533,6 +1667,9 @@ class ApiServices {
     }
   }
 
+  /**
+   * Artist from Alchemy metadata as { value, rule }, or null
+   */
   _extractArtistFromAlchemy(nftMetadata) {
     if (!nftMetadata) return null;
     
@@ -543,7 +1680,7 @@ class ApiServices {
     );
     
     if (artistAttribute?.value) {
-      return artistAttribute.value;
+      return { value: artistAttribute.value, rule: 'artist-attribute' };
     }
     
     // Method 2: Look for any attribute containing the word "artist" or "creator"
@@ -562,19 +1699,19 @@ class ApiServices {
     );
     
     if (artistLikeAttribute?.value) {
-      return artistLikeAttribute.value;
+      return { value: artistLikeAttribute.value, rule: 'artist-like-attribute' };
     }
     
     // Method 3: Check for 'creator' field in the rawMetadata
     if (nftMetadata.rawMetadata?.creator) {
-      return nftMetadata.rawMetadata.creator;
+      return { value: nftMetadata.rawMetadata.creator, rule: 'rawMetadata.creator' };
     }
     
     // Method 4: Check if the title contains "by [name]" pattern
     if (nftMetadata.title) {
       const titleMatch = nftMetadata.title.match(/by\s+([a-z0-9\s]+)/i);
       if (titleMatch && titleMatch[1]) {
-        return titleMatch[1].trim();
+        return { value: titleMatch[1].trim(), rule: 'title-regex' };
       }
     }
     
@@ -582,52 +1719,43 @@ class ApiServices {
   }
 
   /**
-   * Get OpenSea sales events for Art Blocks collections
+   * Timestamp (ms) of an OpenSea event. v2 events carry `event_timestamp` in
+   * seconds; older payloads used `created_date`.
+   */
+  getEventTimestamp(event) {
+    if (event.event_timestamp) {
+      return Number(event.event_timestamp) * 1000;
+    }
+    return new Date(event.created_date || event.timestamp).getTime() || 0;
+  }
+
+  getEventCheckpoint(collectionSlug) {
+    return this.eventCheckpoints[collectionSlug] || (Date.now() - this.config.OPENSEA_INITIAL_LOOKBACK);
+  }
+
+  /**
+   * Get OpenSea sales events for Art Blocks collections. Returns the new
+   * events plus, per slug, the checkpoint to save once they are processed
+   * (see saveEventCheckpoints).
    */
   async getOpenSeaSalesEvents() {
+    const newEvents = [];
+    const fetches = [];
+    
     try {
-      console.log(`Fetching OpenSea sales events since ${new Date(this.lastEventTimestamp).toISOString()}`);
-      
-      const newEvents = [];
-      
       // Process each collection slug
       for (const collectionSlug of this.config.OPENSEA_COLLECTION_SLUGS) {
         try {
-          // Using updated OpenSea API v2 endpoint format and parameters
-          const response = await axios.get(
-            `https://api.opensea.io/api/v2/events`, {
-              headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY },
-              params: {
-                collection_slug: collectionSlug,
-                event_type: 'sale',
-                after: Math.floor(this.lastEventTimestamp / 1000), // Unix timestamp in seconds
-                limit: 50
-              }
-            }
-          );
+          const { events, newestTimestamp } = await this.getOpenSeaSalesEventsForSlug(collectionSlug);
+          fetches.push({ collectionSlug, events, newestTimestamp });
           
-          if (response.data && response.data.events) {
-            const events = response.data.events;
-            console.log(`Found ${events.length} events for collection ${collectionSlug}`);
-            
-            // Filter out events we've already processed
-            for (const event of events) {
-              if (!this.processedEventIds.has(event.id)) {
-                newEvents.push(event);
-                this.processedEventIds.add(event.id);
-                
-                // Update last event timestamp if this is more recent
-                const eventTimestamp = new Date(event.created_date || event.timestamp).getTime();
-                if (eventTimestamp > this.lastEventTimestamp) {
-                  this.lastEventTimestamp = eventTimestamp;
-                }
-              }
+          // Filter out events we've already processed
+          for (const event of events) {
+            if (!this.processedEventIds.has(event.id)) {
+              newEvents.push(event);
+              this.processedEventIds.add(event.id);
             }
           }
-          
-          // Respect rate limits
-          await new Promise(resolve => setTimeout(resolve, this.config.OPENSEA_RATE_LIMIT_DELAY));
-          
         } catch (error) {
           console.error(`Error fetching events for ${collectionSlug}:`, error.message);
           // Log more detailed error info
@@ -635,1242 +1763,5629 @@ class ApiServices {
             console.error(`Response status: ${error.response.status}`);
             console.error(`Response data:`, JSON.stringify(error.response.data, null, 2));
           }
-          // Continue with next collection
+          // Continue with next collection - its checkpoint is untouched so the
+          // same window is fetched again next poll
         }
       }
       
       console.log(`Found ${newEvents.length} new sales events`);
-      return newEvents;
+      return { events: newEvents, fetches };
       
     } catch (error) {
       console.error('Error fetching OpenSea events:', error.message);
-      return [];
+      return { events: [], fetches: [] };
     }
   }
 
-  clearCaches() {
-    this.tokenMetadataCache = {};
-    this.ethPriceCache = { price: null, timestamp: 0 };
-    return true;
-  }
-}
-
-// =========================================================
-// METADATA MANAGER
-// =========================================================
-
-class MetadataManager {
-  constructor(apiServices, config) {
-    this.api = apiServices;
-    this.config = config;
+  /**
+   * Advance each fetched slug's checkpoint once its events were processed.
+   * A slug with failed events only moves up to the oldest of them, and those
+   * are fetched and processed again on the next poll, until they have failed
+   * OPENSEA_EVENT_MAX_RETRIES times.
+   */
+  saveEventCheckpoints(fetches, failedEventIds) {
+    for (const { collectionSlug, events, newestTimestamp } of fetches) {
+      let checkpoint = newestTimestamp;
+      
+      for (const event of events) {
+        if (!failedEventIds.has(event.id)) {
+          this.failedEventAttempts.delete(event.id);
+          continue;
+        }
+        
+        const attempts = (this.failedEventAttempts.get(event.id) || 0) + 1;
+        if (attempts >= this.config.OPENSEA_EVENT_MAX_RETRIES) {
+          console.error(`Giving up on OpenSea event ${event.id} (${collectionSlug}) after ${attempts} failed attempts`);
+          this.failedEventAttempts.delete(event.id);
+          continue;
+        }
+        
+        this.failedEventAttempts.set(event.id, attempts);
+        this.processedEventIds.delete(event.id);
+        checkpoint = Math.min(checkpoint, this.getEventTimestamp(event));
+      }
+      
+      // Never move backwards past the checkpoint this fetch started from
+      this.eventCheckpoints[collectionSlug] = Math.max(checkpoint, this.getEventCheckpoint(collectionSlug));
+      this.lastEventTimestamp = Math.max(this.lastEventTimestamp, newestTimestamp);
+    }
+    
+    this.checkpointFile.write(this.eventCheckpoints);
   }
 
-  async getProjectDetails(tokenId, contractAddress) {
-    const normalizedAddress = contractAddress.toLowerCase();
-    const cacheKey = `${normalizedAddress}-${tokenId}`;
-    
-    // Check cache first
-    const now = Date.now();
-    if (this.api.tokenMetadataCache[cacheKey] && 
-        (now - this.api.tokenMetadataCache[cacheKey].timestamp < this.config.NFT_METADATA_CACHE_DURATION)) {
-      console.log(`Using cached metadata for ${cacheKey}`);
-      return this.api.tokenMetadataCache[cacheKey].data;
-    }
+  /**
+   * Fetch every sale event for one collection since its checkpoint, following
+   * the `next` cursor page by page. Returns the events and the newest event
+   * timestamp; the checkpoint itself is only saved after processing.
+   */
+  async getOpenSeaSalesEventsForSlug(collectionSlug) {
+    const checkpoint = this.getEventCheckpoint(collectionSlug);
     
-    console.log(`Getting project details for token ${tokenId} (contract: ${contractAddress})`);
+    console.log(`Fetching OpenSea sales events for ${collectionSlug} since ${new Date(checkpoint).toISOString()}`);
     
-    // Calculate project ID and token number for fallback
-    const projectId = Math.floor(tokenId / 1000000);
-    const tokenNumber = tokenId % 1000000;
-    console.log(`Token breakdown: Project #${projectId}, Token #${tokenNumber}`);
+    // Overlap by a second so events sharing the checkpoint's timestamp aren't lost
+    const events = await this.fetchOpenSeaEvents(collectionSlug, {
+      after: Math.floor(checkpoint / 1000) - 1
+    });
     
-    let projectName = '';
-    let artistName = '';
-    let description = '';
+    const newestTimestamp = events.reduce(
+      (newest, event) => Math.max(newest, this.getEventTimestamp(event)),
+      checkpoint
+    );
     
-    // Try OpenSea API first (most up-to-date marketplace info)
-    const openSeaData = await this.api.getOpenSeaAssetMetadata(normalizedAddress, tokenId);
+    return { events, newestTimestamp };
+  }
+
+  /**
+   * Page through OpenSea events of one type (sales by default) for a
+   * collection, newest first, until the `after` boundary (Unix seconds).
+   * `before` bounds the other end and `onPage` is awaited with each page's
+   * events as they arrive.
+   */
+  async fetchOpenSeaEvents(collectionSlug, { eventType = 'sale', after, before = null, onPage = null }) {
+    const events = [];
+    let cursor = null;
+    let page = 0;
     
-    if (openSeaData && openSeaData.success) {
-      projectName = openSeaData.projectName || '';
-      artistName = openSeaData.artistName || '';
-      description = openSeaData.description || '';
-      console.log(`OpenSea API returned - Project: ${projectName}, Artist: ${artistName}`);
+    do {
+      // Respect rate limits between every request, pages included
+      await new Promise(resolve => setTimeout(resolve, this.config.OPENSEA_RATE_LIMIT_DELAY));
       
-      // Log full token name for debugging
-      if (openSeaData.fullData?.name) {
-        console.log(`OpenSea full token name: ${openSeaData.fullData.name}`);
+      // Using updated OpenSea API v2 endpoint format and parameters
+      const response = await axios.get(
+        `https://api.opensea.io/api/v2/events`, {
+          headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY },
+          params: {
+            collection_slug: collectionSlug,
+            event_type: eventType,
+            after, // Unix timestamp in seconds
+            ...(before ? { before } : {}),
+            limit: this.config.OPENSEA_EVENTS_PAGE_SIZE,
+            ...(cursor ? { next: cursor } : {})
+          }
+        }
+      );
+      page++;
+      
+      const pageEvents = [];
+      let reachedBoundary = false;
+      
+      for (const event of response.data?.events || []) {
+        const eventTimestamp = this.getEventTimestamp(event);
+        if (eventTimestamp && eventTimestamp < after * 1000) {
+          // Events come newest first, so everything from here on is older than the boundary
+          reachedBoundary = true;
+          break;
+        }
+        pageEvents.push(event);
       }
-    } else {
-      console.log('OpenSea API did not return useful metadata, trying Art Blocks API...');
+      
+      console.log(`Page ${page}: ${pageEvents.length} ${eventType} events for collection ${collectionSlug}`);
+      events.push(...pageEvents);
+      
+      if (onPage) {
+        await onPage(pageEvents);
+      }
+      
+      cursor = reachedBoundary ? null : (response.data?.next || null);
+    } while (cursor);
+    
+    console.log(`Found ${events.length} ${eventType} events for collection ${collectionSlug} across ${page} page(s)`);
+    return events;
+  }
+
+  /**
+   * Floor price (ETH) of an OpenSea collection, cached like the ETH price
+   */
+  async getCollectionFloor(collectionSlug) {
+    const now = Date.now();
+    const cached = this.collectionFloorCache[collectionSlug];
+    if (cached && (now - cached.timestamp < this.config.ETH_PRICE_CACHE_DURATION)) {
+      return cached.floor;
     }
     
-    // Check if we need Art Blocks API
-    if (!projectName || !artistName) {
-      const artBlocksData = await this.api.getArtBlocksTokenInfo(tokenId, normalizedAddress);
+    try {
+      const response = await axios.get(`https://api.opensea.io/api/v2/collections/${collectionSlug}/stats`, {
+        headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY }
+      });
       
-      if (artBlocksData && artBlocksData.success) {
-        if (!projectName && artBlocksData.projectName) {
-          projectName = artBlocksData.projectName;
-          console.log(`Using Art Blocks API for project name: ${projectName}`);
-        }
-        
-        if (!artistName && artBlocksData.artistName) {
-          artistName = artBlocksData.artistName;
-          console.log(`Using Art Blocks API for artist name: ${artistName}`);
-        }
-        
-        if (!description && artBlocksData.description) {
-          description = artBlocksData.description;
-        }
-      } else {
-        console.log('Art Blocks API did not return useful metadata');
-      }
-    } else {
-      console.log(`Using OpenSea metadata, skipping Art Blocks API call`);
+      const floor = response.data?.total?.floor_price ?? null;
+      this.collectionFloorCache[collectionSlug] = { floor, timestamp: now };
+      return floor;
+    } catch (error) {
+      console.error(`Error fetching floor for ${collectionSlug}:`, error.message);
+      return cached ? cached.floor : null;
     }
+  }
+
+  /**
+   * Core and Engine contracts in Art Blocks' contract registry, as
+   * [{ chain, address, name, type }]. CONTRACT_REGISTRY_URL is their GraphQL
+   * API, or a local JSON file holding the same response (or a plain list).
+   */
+  async getArtBlocksContractRegistry() {
+    const source = this.config.CONTRACT_REGISTRY_URL;
+    let data;
     
-    // Try Alchemy as a final fallback
-    if (!projectName || !artistName) {
-      console.log('OpenSea and Art Blocks APIs incomplete, trying Alchemy...');
-      try {
-        const alchemyData = await this.api.getAlchemyMetadata(normalizedAddress, tokenId);
-        
-        if (alchemyData && alchemyData.success) {
-          if (!projectName && alchemyData.projectName) {
-            projectName = alchemyData.projectName;
-            console.log(`Using Alchemy data for project name: ${projectName}`);
-          }
-          
-          if (!artistName && alchemyData.artistName) {
-            artistName = alchemyData.artistName;
-            console.log(`Using Alchemy data for artist name: ${artistName}`);
-          }
-          
-          if (!description && alchemyData.description) {
-            description = alchemyData.description;
-          }
-        }
-      } catch (alchemyError) {
-        console.error('Error fetching from Alchemy:', alchemyError.message);
+    if (/^https?:\/\//.test(source)) {
+      const response = await axios.post(source, { query: ARTBLOCKS_CONTRACTS_QUERY });
+      if (response.data.errors) {
+        throw new Error(`Registry query failed: ${response.data.errors.map(error => error.message).join('; ')}`);
       }
+      data = response.data;
+    } else {
+      data = JSON.parse(fs.readFileSync(source, 'utf8'));
     }
     
-    // Final fallbacks if still missing data
-    if (!projectName) {
-      // Special case for token 1506 - known to be Chromie Squiggle
-      if (tokenId === '1506' || tokenId === 1506) {
-        projectName = 'Chromie Squiggle';
-        console.log(`Applied special case for token 1506: ${projectName}`);
-      } else {
-        const contractType = this.config.CONTRACT_NAMES[normalizedAddress] || 'Art Blocks';
-        projectName = `${contractType} Project #${projectId}`;
-        console.log(`Using fallback naming: ${projectName}`);
+    const entries = Array.isArray(data) ? data : (data?.data?.contracts_metadata || []);
+    return entries
+      .filter(entry => entry.address && (!entry.type || entry.type.startsWith('GEN_ART')))
+      .map(entry => ({
+        chain: entry.chain_id !== undefined ? REGISTRY_CHAIN_IDS[entry.chain_id] : (entry.chain || 'ethereum'),
+        address: entry.address.toLowerCase(),
+        name: entry.name || null,
+        type: entry.type || null
+      }))
+      .filter(entry => this.config.CHAINS[entry.chain]);
+  }
+
+  /**
+   * OpenSea collection slug of a contract, or null if OpenSea doesn't know it
+   */
+  async getOpenSeaContractSlug(contractAddress, chain = 'ethereum') {
+    try {
+      const response = await axios.get(
+        `https://api.opensea.io/api/v2/chain/${this.config.CHAINS[chain].openSeaChain}/contract/${contractAddress}`,
+        { headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY } }
+      );
+      return response.data?.collection || null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
       }
+      throw error;
+    }
+  }
+
+  /**
+   * OpenSea collection details (including its contracts), or null
+   */
+  async getOpenSeaCollection(collectionSlug) {
+    try {
+      const response = await axios.get(`https://api.opensea.io/api/v2/collections/${collectionSlug}`, {
+        headers: { 'X-API-KEY': process.env.OPENSEA_API_KEY }
+      });
+      return response.data || null;
+    } catch (error) {
+      console.error(`Error fetching OpenSea collection ${collectionSlug}:`, error.message);
+      return null;
     }
+  }
+
+  /**
+   * ETH/USD price on the day of a past timestamp (ms), for historical sales
+   */
+  async getHistoricalEthPrice(timestamp) {
+    const date = new Date(timestamp);
+    // CoinGecko wants dd-mm-yyyy
+    const day = `${String(date.getUTCDate()).padStart(2, '0')}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${date.getUTCFullYear()}`;
     
-    if (!artistName) {
-      // Special case for token 1506 - known to be by Snowfro
-      if (tokenId === '1506' || tokenId === 1506) {
-        artistName = 'Snowfro';
-        console.log(`Applied special case for token 1506 artist: ${artistName}`);
-      } else {
-        // Try to extract from project name
-        if (projectName) {
-          const nameParts = projectName.match(/(.+) by (.+?)(\s+#\d+)?$/i);
-          if (nameParts && nameParts[2]) {
-            artistName = nameParts[2].trim();
-            console.log(`Extracted artist from project name: ${artistName}`);
-          }
-        }
-        
-        // Try description as last resort
-        if (!artistName && description) {
-          const descMatch = description.match(/by\s+([a-z0-9\s]+)/i);
-          if (descMatch && descMatch[1]) {
-            artistName = descMatch[1].trim();
-            console.log(`Extracted artist from description: ${artistName}`);
-          }
-        }
-        
-        // Ultimate fallback
-        if (!artistName) {
-          artistName = 'Unknown Artist';
-          console.log('Using fallback artist name: Unknown Artist');
-        }
-      }
+    if (this.historicalEthPriceCache[day]) {
+      return this.historicalEthPriceCache[day];
     }
     
-    // Check if artist name is an ETH address and we have a better alternative
-    if (artistName && artistName.startsWith('0x') && artistName.length === 42) {
-      console.log(`Artist name appears to be an ETH address: ${artistName}`);
-      
-      // Try to extract from project name
-      if (projectName) {
-        const byMatch = projectName.match(/(.+) by (.+?)(\s+#\d+)?$/i);
-        if (byMatch && byMatch[2]) {
-          const extractedArtist = byMatch[2].trim();
-          if (extractedArtist.length > 0 && !extractedArtist.startsWith('0x')) {
-            console.log(`Replacing ETH address with artist name from project: ${extractedArtist}`);
-            artistName = extractedArtist;
-          }
-        }
-      }
+    try {
+      const response = await axios.get('https://api.coingecko.com/api/v3/coins/ethereum/history', {
+        params: { date: day, localization: false }
+      });
       
-      // Special case lookups for known contracts
-      if (artistName.toLowerCase() === '0xf3860788d1597cecf938424baabe976fac87dc26'.toLowerCase()) {
-        artistName = 'Snowfro';
-        console.log(`Mapped known creator address to: ${artistName}`);
+      const price = response.data?.market_data?.current_price?.usd;
+      if (price) {
+        this.historicalEthPriceCache[day] = price;
+        return price;
       }
+    } catch (error) {
+      console.error(`CoinGecko history error for ${day}:`, error.message);
     }
     
-    // Create result object
-    const result = {
-      projectId,
-      tokenNumber,
-      projectName: projectName.trim(),
-      artistName: artistName.trim(),
-      contractAddress: normalizedAddress,
-      artBlocksUrl: `https://www.artblocks.io/token/${normalizedAddress}/${tokenId}`
-    };
+    return null;
+  }
+
+  /**
+   * First block mined at or after a timestamp (ms) on a chain, by binary search
+   */
+  async findBlockByTimestamp(timestamp, chain = 'ethereum') {
+    const alchemy = this.getAlchemy(chain);
+    const target = Math.floor(timestamp / 1000);
+    let low = 0;
+    let high = await alchemy.core.getBlockNumber();
     
-    // Cache the result
-    this.api.tokenMetadataCache[cacheKey] = {
-      data: result,
-      timestamp: Date.now()
-    };
+    const latest = await alchemy.core.getBlock(high);
+    if (latest.timestamp < target) {
+      return high;
+    }
     
-    console.log(`Final metadata - Project: ${result.projectName}, Artist: ${result.artistName}, Token: ${result.tokenNumber}`);
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const block = await alchemy.core.getBlock(mid);
+      if (block.timestamp < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
     
-    return result;
+    return low;
+  }
+
+  /**
+   * Address that sent a wallet its first ETH, or null if it never received any
+   */
+  async getFirstFunder(address, chain = 'ethereum') {
+    const response = await this.getAlchemy(chain).core.getAssetTransfers({
+      fromBlock: '0x0',
+      toAddress: address,
+      category: ['external'],
+      excludeZeroValue: true,
+      order: 'asc',
+      maxCount: 1
+    });
+    const transfer = (response.transfers || [])[0];
+    return transfer ? transfer.from.toLowerCase() : null;
+  }
+
+  clearCaches() {
+    this.tokenMetadataCache = {};
+    this.ethPriceCache = { price: null, timestamp: 0 };
+    this.tokenPriceCache = {};
+    return true;
   }
 }
 
 // =========================================================
-// TWEET MANAGER
+// ART BLOCKS ON-CHAIN METADATA
 // =========================================================
 
-class TweetManager {
+// Core contract getters by version; only what we read is declared. V0 keeps a
+// list of hashes per token, later versions a single hash. V3 and Engine
+// report mint progress through projectStateData rather than projectTokenInfo.
+const artBlocksV3CoreInterface = new Utils.Interface([
+  'function tokenIdToProjectId(uint256 tokenId) view returns (uint256)',
+  'function projectDetails(uint256 projectId) view returns (string projectName, string artist, string description, string website, string license)',
+  'function projectStateData(uint256 projectId) view returns (uint256 invocations, uint256 maxInvocations, bool active, bool paused, uint256 completedTimestamp, bool locked)',
+  'function tokenIdToHash(uint256 tokenId) view returns (bytes32)',
+  'function minterContract() view returns (address)'
+]);
+const ARTBLOCKS_CORE_INTERFACES = {
+  v0: new Utils.Interface([
+    'function tokenIdToProjectId(uint256 tokenId) view returns (uint256)',
+    'function projectDetails(uint256 projectId) view returns (string projectName, string artist, string description, string website, string license, bool dynamic)',
+    'function projectTokenInfo(uint256 projectId) view returns (address artistAddress, uint256 pricePerTokenInWei, uint256 invocations, uint256 maxInvocations, bool active, address additionalPayee, uint256 additionalPayeePercentage)',
+    'function showTokenHashes(uint256 tokenId) view returns (bytes32[])',
+    'function isMintWhitelisted(address minter) view returns (bool)'
+  ]),
+  v1: new Utils.Interface([
+    'function tokenIdToProjectId(uint256 tokenId) view returns (uint256)',
+    'function projectDetails(uint256 projectId) view returns (string projectName, string artist, string description, string website, string license)',
+    'function projectTokenInfo(uint256 projectId) view returns (address artistAddress, uint256 pricePerTokenInWei, uint256 invocations, uint256 maxInvocations, bool active, address additionalPayee, uint256 additionalPayeePercentage, string currency, address currencyAddress)',
+    'function tokenIdToHash(uint256 tokenId) view returns (bytes32)',
+    'function isMintWhitelisted(address minter) view returns (bool)'
+  ]),
+  v3: artBlocksV3CoreInterface,
+  engine: artBlocksV3CoreInterface
+};
+const artBlocksCoreTypeInterface = new Utils.Interface([
+  'function coreType() view returns (string)'
+]);
+// V3 cores mint through a minter filter, which approves the minters users call.
+// Older filters approve minters globally, V2 per core contract.
+const artBlocksMinterFilterInterface = new Utils.Interface([
+  'function isApprovedMinter(address minter) view returns (bool)',
+  'function isApprovedMinterForContract(address coreContract, address minter) view returns (bool)'
+]);
+
+// Flagship contracts from before coreType() existed. Other contracts without
+// it are read as V1, whose getters the legacy PBAB contracts share.
+const ARTBLOCKS_LEGACY_CORE_VERSIONS = {
+  '0x059edd72cd353df5106d2b9cc5ab83a52287ac3a': 'v0',
+  '0xa7d8d9ef8d8ce8992df33d8b8cf4aebabd5bd270': 'v1'
+};
+
+class ArtBlocksOnChainResolver {
   constructor(apiServices, config) {
     this.api = apiServices;
     this.config = config;
-    this.tweetQueue = [];
-    this.isTweetProcessing = false;
-    this.lastTweetTime = 0;
-    this.tweetFailures = 0;
-    this.lastRateLimitTime = 0;
-    this.appStartTime = Date.now();
-  }
-
-  formatAddress(address) {
-    if (!address) return 'Unknown';
-    return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+    this.versions = new Map(); // contract -> core version, detected once
+    this.minters = new Map(); // contract:caller -> whether the caller may mint
   }
 
-  formatPrice(price) {
-    return price.toLocaleString('en-US', { 
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
+  /**
+   * Read a view function. `chain` defaults to the chain of the monitored
+   * contract; other contracts (minter filters) pass their core's.
+   */
+  async call(contractAddress, contractInterface, method, args = [], chain = this.config.getContractChain(contractAddress)) {
+    const data = await this.api.getAlchemy(chain).core.call({
+      to: contractAddress,
+      data: contractInterface.encodeFunctionData(method, args)
     });
+    return contractInterface.decodeFunctionResult(method, data);
   }
 
-  async checkTwitterStatus() {
-    // Check if we're still in a rate limit cooldown
-    const now = Date.now();
-    const timeSinceLastRateLimit = now - this.lastRateLimitTime;
+  /**
+   * Core contract version: 'v0', 'v1', 'v3' or 'engine'. Only a reverted
+   * coreType() marks a contract as legacy; network errors are rethrown so a
+   * transient failure isn't remembered.
+   */
+  async getVersion(contractAddress) {
+    if (ARTBLOCKS_LEGACY_CORE_VERSIONS[contractAddress]) {
+      return ARTBLOCKS_LEGACY_CORE_VERSIONS[contractAddress];
+    }
+    if (this.versions.has(contractAddress)) {
+      return this.versions.get(contractAddress);
+    }
     
-    if (this.lastRateLimitTime > 0 && timeSinceLastRateLimit < 30 * 60 * 1000) {
-      const remainingCooldown = 30 * 60 * 1000 - timeSinceLastRateLimit;
-      const minutes = Math.ceil(remainingCooldown / 60000);
-      console.log(`Twitter appears to be rate limited. Recommended to wait ${minutes} more minutes.`);
-      return false;
+    let version;
+    try {
+      const [coreType] = await this.call(contractAddress, artBlocksCoreTypeInterface, 'coreType');
+      version = /engine/i.test(coreType) ? 'engine' : 'v3';
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION' && !/revert/i.test(error.message)) {
+        throw error;
+      }
+      version = 'v1';
     }
     
-    return true;
+    console.log(`Core contract ${contractAddress} detected as ${version}`);
+    this.versions.set(contractAddress, version);
+    return version;
   }
 
-  async sendTweet(message) {
-    // Preview mode if tweets are disabled
-    if (this.config.DISABLE_TWEETS) {
-      console.log('\n--- TWEET PREVIEW (DISABLED) ---\n');
-      console.log(message);
-      console.log('\n---------------------\n');
+  /**
+   * A token's project ID and hash as the core contract records them, as
+   * { version, projectId, tokenHash }, or null if the contract can't be read
+   */
+  async getTokenInfo(contractAddress, tokenId) {
+    const address = contractAddress.toLowerCase();
+    try {
+      const version = await this.getVersion(address);
+      const contractInterface = ARTBLOCKS_CORE_INTERFACES[version];
+      const [projectId] = await this.call(address, contractInterface, 'tokenIdToProjectId', [tokenId]);
+      
+      let tokenHash;
+      if (version === 'v0') {
+        const [hashes] = await this.call(address, contractInterface, 'showTokenHashes', [tokenId]);
+        tokenHash = hashes[0] || null;
+      } else {
+        [tokenHash] = await this.call(address, contractInterface, 'tokenIdToHash', [tokenId]);
+      }
       
-      return { data: { id: 'preview-only-' + Date.now() } };
+      return {
+        version,
+        projectId: projectId.toNumber(),
+        // V3 assigns hashes asynchronously; all zeroes means not yet
+        tokenHash: tokenHash && !/^0x0+$/.test(tokenHash) ? tokenHash : null
+      };
+    } catch (error) {
+      console.log(`Could not read token ${tokenId} from core contract ${address}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a contract is one the core contract mints through: whitelisted on
+   * V0/V1, or the minter filter or a minter it approves on V3. Answers are
+   * remembered; a contract that can't be read gives false without caching.
+   */
+  async isApprovedMinter(contractAddress, caller) {
+    const address = contractAddress.toLowerCase();
+    const minter = caller.toLowerCase();
+    const key = `${address}:${minter}`;
+    if (this.minters.has(key)) {
+      return this.minters.get(key);
     }
     
-    // Proceed with actual tweeting
-    if (!this.api.twitter) {
-      console.error('Cannot send tweet - Twitter client not initialized');
+    let approved;
+    try {
+      const version = await this.getVersion(address);
+      const contractInterface = ARTBLOCKS_CORE_INTERFACES[version];
+      
+      if (version === 'v0' || version === 'v1') {
+        [approved] = await this.call(address, contractInterface, 'isMintWhitelisted', [minter]);
+      } else {
+        const [filter] = await this.call(address, contractInterface, 'minterContract');
+        approved = filter.toLowerCase() === minter || await this.isApprovedByFilter(filter, address, minter);
+      }
+    } catch (error) {
+      console.log(`Could not check minter ${minter} on core contract ${address}: ${error.message}`);
+      return false;
+    }
+    
+    this.minters.set(key, approved);
+    return approved;
+  }
+
+  async isApprovedByFilter(filter, contractAddress, minter) {
+    const chain = this.config.getContractChain(contractAddress);
+    try {
+      const [approved] = await this.call(filter, artBlocksMinterFilterInterface, 'isApprovedMinterForContract', [contractAddress, minter], chain);
+      return approved;
+    } catch (error) {
+      const [approved] = await this.call(filter, artBlocksMinterFilterInterface, 'isApprovedMinter', [minter], chain);
+      return approved;
+    }
+  }
+
+  /**
+   * Name, artist, description, website, license and mint progress of a
+   * project from projectDetails plus projectTokenInfo/projectStateData, or
+   * null if the contract can't be read or has no such project
+   */
+  async getProjectInfo(contractAddress, projectId) {
+    const address = contractAddress.toLowerCase();
+    try {
+      const version = await this.getVersion(address);
+      const contractInterface = ARTBLOCKS_CORE_INTERFACES[version];
+      const details = await this.call(address, contractInterface, 'projectDetails', [projectId]);
+      const progress = await this.call(address, contractInterface,
+        version === 'v0' || version === 'v1' ? 'projectTokenInfo' : 'projectStateData', [projectId]);
+      
+      if (!details.projectName) {
+        console.log(`Core contract ${address} has no project ${projectId}`);
+        return null;
+      }
+      
+      return {
+        version,
+        projectId: Number(projectId),
+        projectName: details.projectName,
+        artistName: details.artist,
+        description: details.description,
+        website: details.website || null,
+        license: details.license || null,
+        invocations: progress.invocations.toNumber(),
+        maxInvocations: progress.maxInvocations.toNumber()
+      };
+    } catch (error) {
+      console.log(`Could not read project ${projectId} from core contract ${address}: ${error.message}`);
       return null;
     }
+  }
+}
 
-    return retry(async (bail, attempt) => {
-      try {
-        console.log(`Attempting to tweet (attempt ${attempt})...`);
-        const tweet = await this.api.twitter.v2.tweet(message);
-        console.log('Tweet sent successfully:', tweet.data.id);
-        return tweet;
-      } catch (error) {
-        // Don't retry permission issues
-        if (error.code === 403) {
-          console.error('Permission error when tweeting:', error.message);
-          bail(error);
-          return null;
-        }
-        
-        // Special handling for rate limits
-        if (error.code === 429 || error.message.includes('rate limit') || error.message.includes('429')) {
-          // Fixed delay calculation - ensure we have a number
-          const delaySeconds = attempt * 120; // 2, 4, 6 minutes between retries
-          console.error(`Rate limit exceeded (attempt ${attempt}). Will retry after ${delaySeconds} seconds.`);
-          
-          this.lastRateLimitTime = Date.now();
-          await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
-        }
-        
-        console.error(`Tweet attempt ${attempt} failed:`, error.message);
-        throw error; // Trigger retry
-      }
-    }, {
-      retries: this.config.MAX_RETRIES,
-      minTimeout: this.config.RETRY_DELAY,
-      maxTimeout: 360000, // 6 minutes max
-      factor: 2, // Exponential backoff factor
-      onRetry: (error) => {
-        // Ensure we have a valid number for attempt
-        const attemptNumber = error.attemptNumber || 1;
-        const seconds = Math.min(60 * attemptNumber, 360);
-        console.log(`Retrying tweet after ${seconds} seconds due to error: ${error.message}`);
-      }
-    });
+// =========================================================
+// TRAIT RARITY
+// =========================================================
+
+/**
+ * Trait distributions per project, built from every token's Art Blocks
+ * features and kept in data/rarity/ (one file per project). Lookups are
+ * synchronous and only answer for projects whose scan is complete; a missing
+ * or outdated distribution is (re)built in the background, so the first
+ * sales of a project go out without rarity.
+ */
+class RarityEngine {
+  constructor(apiServices, config) {
+    this.api = apiServices;
+    this.config = config;
+    this.dir = path.join(config.DATA_DIR, 'rarity');
+    this.projects = new Map(); // projectKey -> { tokens: { tokenId: features }, invocations, checkedAt, ... }
+    this.stats = new Map(); // projectKey -> { size, counts, ranks }, recomputed when tokens are added
+    this.building = new Map(); // projectKey -> build promise
   }
 
-  queueTweet(message) {
-    console.log('Adding tweet to queue:', message);
-    this.tweetQueue.push(message);
+  file(projectKey) {
+    return new JsonStateFile(path.join(this.dir, `${projectKey.replace(/:/g, '-')}.json`));
+  }
+
+  getProject(projectKey) {
+    if (!this.projects.has(projectKey)) {
+      this.projects.set(projectKey, this.file(projectKey).read(null));
+    }
+    return this.projects.get(projectKey);
+  }
+
+  static traitKey(traitType, value) {
+    return `${traitType}\u0000${value}`;
+  }
+
+  /**
+   * Trait counts and rarity ranks for a project. A token's score is the sum
+   * of 1/frequency over its traits; rank 1 is the rarest token.
+   */
+  getStats(projectKey, project) {
+    const tokenIds = Object.keys(project.tokens);
+    const cached = this.stats.get(projectKey);
+    if (cached && cached.size === tokenIds.length) {
+      return cached;
+    }
     
-    // Start processing if not already running
-    if (!this.isTweetProcessing) {
-      this.processTweetQueue();
+    const counts = new Map();
+    for (const features of Object.values(project.tokens)) {
+      for (const [traitType, value] of Object.entries(features)) {
+        const key = RarityEngine.traitKey(traitType, value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
     }
     
-    return true;
+    const scores = tokenIds.map(tokenId => ({
+      tokenId,
+      score: Object.entries(project.tokens[tokenId])
+        .reduce((sum, [traitType, value]) => sum + tokenIds.length / counts.get(RarityEngine.traitKey(traitType, value)), 0)
+    }));
+    scores.sort((a, b) => b.score - a.score);
+    
+    const ranks = new Map(scores.map((entry, index) => [entry.tokenId, { rank: index + 1, score: entry.score }]));
+    const stats = { size: tokenIds.length, counts, ranks };
+    this.stats.set(projectKey, stats);
+    return stats;
   }
 
-  async processTweetQueue() {
-    if (this.isTweetProcessing || this.tweetQueue.length === 0) {
-      return;
+  /**
+   * Rank and rarest trait of a token, as { rank, total, score, rarestTrait:
+   * { traitType, value, count, percentage } }, or null while the project's
+   * distribution isn't complete. `traits` are the token's [{ trait_type, value }].
+   */
+  getTokenRarity(chain, contractAddress, projectId, tokenId, traits = []) {
+    if (!this.config.RARITY_ENABLED) {
+      return null;
     }
     
-    // Don't process queue during initial startup delay
-    const now = Date.now();
-    if (now - this.appStartTime < this.config.INITIAL_STARTUP_DELAY) {
-      const remainingDelay = Math.ceil((this.config.INITIAL_STARTUP_DELAY - (now - this.appStartTime)) / 1000);
-      console.log(`App recently started; waiting another ${remainingDelay} seconds before processing tweet queue`);
-      setTimeout(() => this.processTweetQueue(), 60000); // Check again in 1 minute
-      return;
+    const projectKey = MetadataManager.projectKey(chain, contractAddress, projectId);
+    const project = this.getProject(projectKey);
+    
+    if (!project || Date.now() - project.checkedAt > this.config.RARITY_REFRESH_INTERVAL) {
+      this.buildInBackground(projectKey, contractAddress, projectId);
+    }
+    if (!project || !project.complete) {
+      return null;
     }
     
-    this.isTweetProcessing = true;
+    const stats = this.getStats(projectKey, project);
+    const features = project.tokens[String(tokenId)]
+      || Object.fromEntries(traits.map(trait => [trait.trait_type, trait.value]));
     
-    try {
-      // Check Twitter status first
-      const twitterReady = await this.checkTwitterStatus();
-      if (!twitterReady) {
-        console.log("Twitter appears to be rate limited. Delaying queue processing.");
-        setTimeout(() => this.processTweetQueue(), 5 * 60 * 1000);
-        this.isTweetProcessing = false;
-        return;
-      }
-      
-      // Check if we need to wait before sending next tweet
-      const timeSinceLastTweet = now - this.lastTweetTime;
-      
-      if (timeSinceLastTweet < this.config.MIN_TIME_BETWEEN_TWEETS && this.lastTweetTime > 0) {
-        const waitTime = this.config.MIN_TIME_BETWEEN_TWEETS - timeSinceLastTweet;
-        const waitMinutes = Math.ceil(waitTime / 60000);
-        console.log(`Waiting ${waitMinutes} minutes before sending next tweet due to rate limiting...`);
-        
-        // Release the processing lock and try again later
-        this.isTweetProcessing = false;
-        setTimeout(() => this.processTweetQueue(), waitTime);
-        return;
+    let rarestTrait = null;
+    for (const [traitType, value] of Object.entries(features)) {
+      const count = stats.counts.get(RarityEngine.traitKey(traitType, value));
+      if (count && (!rarestTrait || count < rarestTrait.count)) {
+        rarestTrait = { traitType, value, count, percentage: (count / stats.size) * 100 };
       }
-      
-      // Get next tweet from queue
-      const message = this.tweetQueue.shift();
-      
-      // Add extra delay if we've had failures
-      if (this.tweetFailures > 0) {
-        const extraDelay = this.tweetFailures * 3 * 60 * 1000; // 3, 6, 9 minutes based on failures
-        console.log(`Adding extra ${extraDelay/60000} minutes delay due to previous ${this.tweetFailures} failed attempts`);
-        await new Promise(resolve => setTimeout(resolve, extraDelay));
+    }
+    
+    const rank = stats.ranks.get(String(tokenId));
+    return {
+      rank: rank ? rank.rank : null,
+      total: stats.size,
+      score: rank ? rank.score : null,
+      rarestTrait
+    };
+  }
+
+  buildInBackground(projectKey, contractAddress, projectId) {
+    if (this.building.has(projectKey)) {
+      return;
+    }
+    const build = this.build(projectKey, contractAddress, projectId)
+      .catch(error => console.error(`Error building trait distribution for ${projectKey}:`, error.message))
+      .finally(() => this.building.delete(projectKey));
+    this.building.set(projectKey, build);
+  }
+
+  /**
+   * Fetch features for every minted token not yet in the distribution,
+   * saving progress every 100 tokens so a restart resumes where it stopped.
+   * Tokens that fail are retried on the next build, and left out of the
+   * distribution after RARITY_MAX_RETRIES failed builds.
+   */
+  async build(projectKey, contractAddress, projectId) {
+    const progress = await this.api.getProjectInvocations(contractAddress, projectId);
+    if (!progress) {
+      return;
+    }
+    
+    const project = this.getProject(projectKey) || { contractAddress, projectId, tokens: {} };
+    project.failures = project.failures || {}; // tokenId -> failed builds
+    project.skipped = project.skipped || [];
+    const missing = [];
+    for (let n = 0; n < progress.invocations; n++) {
+      const tokenId = String(projectId * 1000000 + n);
+      if (!project.tokens[tokenId] && !project.skipped.includes(tokenId)) {
+        missing.push(tokenId);
       }
-      
-      // Send the tweet
+    }
+    
+    console.log(`Building trait distribution for ${projectKey}: ${missing.length} of ${progress.invocations} tokens to fetch`);
+    
+    let fetched = 0;
+    const failed = [];
+    for (const tokenId of missing) {
       try {
-        console.log("Attempting to send tweet now...");
-        await this.sendTweet(message);
-        this.tweetFailures = 0; // Reset on success
-        console.log("Tweet sent successfully!");
+        project.tokens[tokenId] = await this.api.getArtBlocksTokenFeatures(tokenId, contractAddress);
+        delete project.failures[tokenId];
+        fetched++;
       } catch (error) {
-        this.tweetFailures++;
-        console.error(`Tweet failed (total failures: ${this.tweetFailures}):`, error);
-        // Put message back in queue if not a permanent error
-        if (!error.message.includes('403')) {
-          this.tweetQueue.unshift(message);
+        failed.push({ tokenId, notFound: error.response?.status === 404 });
+        if (VERBOSE_LOGGING) {
+          console.log(`Could not fetch features for token ${tokenId}: ${error.message}`);
         }
       }
       
-      this.lastTweetTime = Date.now();
-    } catch (error) {
-      console.error('Error processing tweet queue:', error);
-    } finally {
-      this.isTweetProcessing = false;
-      
-      // Process next tweet if available
-      if (this.tweetQueue.length > 0) {
-        const nextDelay = this.tweetFailures > 0 ? 5 * 60 * 1000 : 60 * 1000; // 5 min if failures, 1 min otherwise
-        console.log(`Scheduling next tweet attempt in ${nextDelay/60000} minutes...`);
-        setTimeout(() => this.processTweetQueue(), nextDelay);
-      } else {
-        console.log("Tweet queue is empty. Waiting for new tweets to process.");
+      if (fetched > 0 && fetched % 100 === 0) {
+        this.save(projectKey, project, progress.invocations, false);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.config.RARITY_REQUEST_DELAY));
+    }
+    
+    // A failure only counts against a token if it was a 404 or other tokens
+    // fetched fine, so an API outage doesn't get every token given up on
+    for (const { tokenId, notFound } of failed) {
+      if (!notFound && fetched === 0) continue;
+      
+      project.failures[tokenId] = (project.failures[tokenId] || 0) + 1;
+      if (project.failures[tokenId] >= this.config.RARITY_MAX_RETRIES) {
+        console.error(`Leaving token ${tokenId} out of the ${projectKey} trait distribution after ${project.failures[tokenId]} failed builds`);
+        delete project.failures[tokenId];
+        project.skipped.push(tokenId);
       }
     }
+    
+    const retrying = failed.filter(({ tokenId }) => !project.skipped.includes(tokenId)).length;
+    this.save(projectKey, project, progress.invocations, retrying === 0);
+    console.log(`Trait distribution for ${projectKey}: ${Object.keys(project.tokens).length} tokens${retrying ? `, ${retrying} failed (retried next time)` : ''}`);
   }
 
-  async sendTestTweet() {
-    return this.queueTweet(`Art Blocks sales bot is monitoring OpenSea sales for ${this.config.CONTRACT_ADDRESSES.length} contracts! (${new Date().toLocaleTimeString()})`);
+  save(projectKey, project, invocations, complete) {
+    project.invocations = invocations;
+    project.complete = complete;
+    // An incomplete scan is retried on the next lookup rather than after the refresh interval
+    project.checkedAt = complete ? Date.now() : 0;
+    this.projects.set(projectKey, project);
+    this.file(projectKey).write(project);
   }
 
-  async formatSaleTweet(details, priceEth, usdPrice, buyerDisplay) {
-    // Clean up the project name - remove any "by Artist" suffix if artist name is already provided
-    let projectName = details.projectName.replace(/ #\d+$/, '');
+  getStatus() {
+    return {
+      loadedProjects: this.projects.size,
+      building: [...this.building.keys()]
+    };
+  }
+}
+
+// =========================================================
+// METADATA OVERRIDES
+// =========================================================
+
+const OVERRIDE_SCOPES = ['contract', 'project', 'token'];
+const OVERRIDE_FIELDS = ['projectName', 'artistName', 'artistTwitter', 'contractLabel'];
+
+// Written to a fresh overrides file; they replace special cases that used to
+// be hardcoded in the metadata resolution
+const DEFAULT_METADATA_OVERRIDES = [
+  {
+    scope: 'project',
+    contract: '0x059edd72cd353df5106d2b9cc5ab83a52287ac3a', // Art Blocks Flagship V0
+    projectId: 0,
+    fields: { projectName: 'Chromie Squiggle', artistName: 'Snowfro', artistTwitter: 'snowfro' },
+    note: 'Sources often return the collection or the creator address instead'
+  }
+];
+
+/**
+ * Admin-maintained corrections to resolved metadata, persisted in
+ * data/metadata-overrides.json. Each override targets a whole contract, one
+ * project or one token; when several apply, the most specific wins per field.
+ */
+class MetadataOverrides {
+  constructor(config) {
+    this.config = config;
+    this.file = new JsonStateFile(path.join(config.DATA_DIR, 'metadata-overrides.json'));
+    this.overrides = this.file.read(null); // key -> { key, scope, contract, projectId, tokenId, fields, note, updatedAt }
     
-    // Remove redundant artist mentions in project name
-    if (details.artistName && projectName.toLowerCase().includes(' by ' + details.artistName.toLowerCase())) {
-      projectName = projectName.replace(new RegExp(` by ${details.artistName}`, 'i'), '');
-      console.log(`Removed redundant artist name from project name: ${projectName}`);
-    } else if (details.artistName && projectName.toLowerCase().includes(' by ')) {
-      // Generic "by" handling - might need to clean up
-      projectName = projectName.replace(/ by .+$/i, '');
-      console.log(`Removed generic "by..." from project name: ${projectName}`);
+    if (!this.overrides) {
+      this.overrides = {};
+      DEFAULT_METADATA_OVERRIDES.forEach(seed => this.set(seed));
+      console.log(`Seeded ${DEFAULT_METADATA_OVERRIDES.length} metadata override(s)`);
     }
+  }
+
+  static key(scope, contract, id = null) {
+    return scope === 'contract' ? `contract:${contract}` : `${scope}:${contract}:${id}`;
+  }
+
+  /**
+   * Field values that apply to a token, and the scope each one came from
+   */
+  lookup(contractAddress, projectId, tokenId) {
+    const contract = contractAddress.toLowerCase();
+    const fields = {};
+    const scopes = {};
     
-    // Make sure we're not using an ETH address as artist name
-    let artistName = details.artistName;
-    if (artistName && artistName.startsWith('0x') && artistName.length === 42) {
-      // This looks like an ETH address, try to get a better artist name
-      if (projectName.toLowerCase().includes(' by ')) {
-        const byMatch = projectName.match(/ by ([^#]+)$/i);
-        if (byMatch && byMatch[1]) {
-          artistName = byMatch[1].trim();
-          console.log(`Extracted better artist name from project name: ${artistName}`);
-        }
+    // Least to most specific, so later scopes overwrite earlier ones
+    const keys = [
+      MetadataOverrides.key('contract', contract),
+      MetadataOverrides.key('project', contract, projectId),
+      MetadataOverrides.key('token', contract, String(tokenId))
+    ];
+    for (const key of keys) {
+      const override = this.overrides[key];
+      if (!override) continue;
+      for (const [name, value] of Object.entries(override.fields)) {
+        fields[name] = value;
+        scopes[name] = override.scope;
       }
     }
     
-    // For Art Blocks tokens, the tokenNumber field might have the full ID
-    // We want just the edition number part (the last 6 digits)
-    const tokenNumber = details.tokenNumber % 1000000 || details.tokenNumber;
-    
-    // This is the line that needs to be properly included in the output
-    let tweetText = `${projectName} #${tokenNumber} by ${artistName}\n`;
-    
-    // Add price info
-    tweetText += `sold for ${this.formatPrice(priceEth)} ETH`;
-    
-    if (usdPrice) {
-      tweetText += ` (${this.formatPrice(usdPrice)})`;
+    return { fields, scopes };
+  }
+
+  list() {
+    return Object.values(this.overrides).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Create or update an override. Fields set to null or '' are removed; an
+   * override left with no fields is deleted. Throws if the entry is invalid.
+   */
+  set({ scope, contract, projectId = null, tokenId = null, fields = {}, note = null }) {
+    if (!OVERRIDE_SCOPES.includes(scope)) {
+      throw new Error(`scope must be one of ${OVERRIDE_SCOPES.join(', ')}`);
     }
-    
-    // Add buyer info
-    tweetText += `\nto ${buyerDisplay}`;
-    
-    // Log AI context status for debugging
-    console.log(`formatSaleTweet called with aiContext: '${details.aiContext || "NONE"}'`);
-    
-    // Add AI context if available
-    if (details.aiContext) {
-      tweetText += `\n\n🤖 "${details.aiContext}"`;
+    if (typeof contract !== 'string' || !ADDRESS_PATTERN.test(contract)) {
+      throw new Error('contract must be a 0x-prefixed 20-byte address');
+    }
+    if (scope === 'project' && !/^\d+$/.test(String(projectId))) {
+      throw new Error('projectId must be a non-negative integer for project overrides');
+    }
+    if (scope === 'token' && !/^\d+$/.test(String(tokenId))) {
+      throw new Error('tokenId must be a numeric token ID for token overrides');
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('fields must be an object');
     }
     
-    // Add URL (with an extra line break if we added AI context)
-    tweetText += `\n\n${details.artBlocksUrl}`;
+    const unknown = Object.keys(fields).filter(name => !OVERRIDE_FIELDS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown override fields: ${unknown.join(', ')} (expected ${OVERRIDE_FIELDS.join(', ')})`);
+    }
     
-    // Debug output to verify the tweet format
-    console.log('\n--- FORMATTED TWEET ---\n');
-    console.log(`${projectName} #${tokenNumber} by ${artistName}`);
-    console.log(`sold for ${this.formatPrice(priceEth)} ETH${usdPrice ? ` (${this.formatPrice(usdPrice)})` : ''}`);
-    console.log(`to ${buyerDisplay}`);
+    const normalizedContract = contract.toLowerCase();
+    const id = scope === 'project' ? Number(projectId) : scope === 'token' ? String(tokenId) : null;
+    const key = MetadataOverrides.key(scope, normalizedContract, id);
+    const existing = this.overrides[key];
+    const merged = { ...(existing ? existing.fields : {}) };
     
-    if (details.aiContext) {
-      console.log(`\n🤖 "${details.aiContext}"`);
+    for (const [name, raw] of Object.entries(fields)) {
+      if (raw === null || raw === '') {
+        delete merged[name];
+        continue;
+      }
+      if (typeof raw !== 'string' || !raw.trim()) {
+        throw new Error(`${name} must be a string`);
+      }
+      
+      let value = raw.trim();
+      if (name === 'artistTwitter') {
+        value = value.replace(/^@/, '');
+        if (!/^[A-Za-z0-9_]{1,15}$/.test(value)) {
+          throw new Error(`artistTwitter must be a Twitter handle (got ${JSON.stringify(raw)})`);
+        }
+      }
+      merged[name] = value;
     }
     
-    console.log();
-    console.log(details.artBlocksUrl);
-    console.log('\n---------------------\n');
+    if (Object.keys(merged).length === 0) {
+      this.remove(key);
+      return null;
+    }
     
-    return tweetText;
+    this.overrides[key] = {
+      key,
+      scope,
+      contract: normalizedContract,
+      projectId: scope === 'project' ? id : null,
+      tokenId: scope === 'token' ? id : null,
+      fields: merged,
+      note: note ?? existing?.note ?? null,
+      updatedAt: Date.now()
+    };
+    this.file.write(this.overrides);
+    console.log(`Saved metadata override ${key}: ${JSON.stringify(merged)}`);
+    return this.overrides[key];
   }
 
-  // UPDATED: Simplified and more reliable AI context generation
-  async generateAIContext(details, projectName, artistName) {
-    try {
-      // Check if OpenAI is configured
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('OpenAI API key not configured, skipping AI context');
-        return "A unique piece from the Art Blocks collection."; // Default fallback
-      }
+  remove(key) {
+    if (!this.overrides[key]) {
+      throw new Error(`No metadata override ${key}`);
+    }
+    delete this.overrides[key];
+    this.file.write(this.overrides);
+    console.log(`Removed metadata override ${key}`);
+  }
+}
 
-      // Extract basic trait information
-      let traits = [];
-      if (details.fullData) {
-        // Find traits in any of these common locations
-        const possibleTraitLocations = [
-          details.fullData.traits,
-          details.fullData.attributes,
-          details.fullData.features,
-          details.fullData.nft?.traits,
-          details.fullData.metadata?.attributes,
-          details.fullData.rawMetadata?.attributes
-        ];
+// =========================================================
+// METADATA MANAGER
+// =========================================================
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// How far to trust each metadata extraction rule, keyed by source/rule.
+// Anything not listed (regex guesses, fallbacks) counts as low.
+const METADATA_RULE_CONFIDENCE = {
+  'onchain/projectDetails.projectName': 'high',
+  'onchain/projectDetails.artist': 'high',
+  'onchain/description': 'high',
+  'opensea/collection.name': 'high',
+  'opensea/collection-slug': 'medium',
+  'opensea/token-name': 'medium',
+  'opensea/creator': 'medium',
+  'opensea/creator.user.username': 'medium',
+  'opensea/artist-trait': 'high',
+  'opensea/by-in-trait': 'medium',
+  'opensea/collection-name-regex': 'medium',
+  'opensea/description': 'high',
+  'artblocks/project.name': 'high',
+  'artblocks/collection.name': 'high',
+  'artblocks/title': 'medium',
+  'artblocks/name': 'medium',
+  'artblocks/project.artist': 'high',
+  'artblocks/artist': 'high',
+  'artblocks/nested-artist': 'medium',
+  'artblocks/description': 'high',
+  'alchemy/rawMetadata.collection': 'medium',
+  'alchemy/title': 'medium',
+  'alchemy/artist-attribute': 'high',
+  'alchemy/artist-like-attribute': 'medium',
+  'alchemy/rawMetadata.creator': 'medium',
+  'alchemy/description': 'high',
+  'derived/project-name-by': 'medium'
+};
+
+class MetadataManager {
+  constructor(apiServices, config) {
+    this.api = apiServices;
+    this.config = config;
+    // Project-level facts shared by every token in a project, kept across restarts
+    this.projectCacheFile = new JsonStateFile(path.join(config.DATA_DIR, 'project-metadata.json'));
+    this.projectCache = this.projectCacheFile.read({}); // chain:contract:projectId -> { data, timestamp }
+    this.cacheStats = { projectHits: 0, projectMisses: 0, tokenHits: 0, tokenMisses: 0 };
+    this.overrides = new MetadataOverrides(config);
+    this.onChain = new ArtBlocksOnChainResolver(apiServices, config);
+    this.rarity = new RarityEngine(apiServices, config);
+  }
+
+  static projectKey(chain, contractAddress, projectId) {
+    return `${chain}:${contractAddress}:${projectId}`.toLowerCase();
+  }
+
+  getCachedProject(projectKey) {
+    const entry = this.projectCache[projectKey];
+    if (entry && Date.now() - entry.timestamp < this.config.PROJECT_METADATA_CACHE_DURATION) {
+      return entry.data;
+    }
+    return null;
+  }
+
+  cacheProject(projectKey, data) {
+    this.projectCache[projectKey] = { data, timestamp: Date.now() };
+    this.projectCacheFile.write(this.projectCache);
+  }
+
+  /**
+   * Forget cached project facts, for one project or all of them
+   */
+  clearProjectCache(projectKey = null) {
+    if (projectKey) {
+      delete this.projectCache[projectKey];
+    } else {
+      this.projectCache = {};
+    }
+    this.projectCacheFile.write(this.projectCache);
+  }
+
+  getCacheStats() {
+    return {
+      ...this.cacheStats,
+      projects: Object.keys(this.projectCache).length,
+      tokens: Object.keys(this.api.tokenMetadataCache).length,
+      rarity: this.rarity.getStatus()
+    };
+  }
+
+  /**
+   * Project and token metadata for a sale. The core contract is read first
+   * and is authoritative for the project ID, name, artist and hash; HTTP
+   * providers fill in the rest. Project-level facts (name, artist,
+   * description, edition size, license, script type) are cached per project
+   * for PROJECT_METADATA_CACHE_DURATION; token-level data (traits, image,
+   * hash) per token for NFT_METADATA_CACHE_DURATION. A token in an already
+   * cached project costs a single Art Blocks API call.
+   */
+  async getProjectDetails(tokenId, contractAddress) {
+    const normalizedAddress = contractAddress.toLowerCase();
+    const cacheKey = `${normalizedAddress}-${tokenId}`;
+    
+    // Check cache first
+    const now = Date.now();
+    if (this.api.tokenMetadataCache[cacheKey] && 
+        (now - this.api.tokenMetadataCache[cacheKey].timestamp < this.config.NFT_METADATA_CACHE_DURATION)) {
+      console.log(`Using cached metadata for ${cacheKey}`);
+      this.cacheStats.tokenHits++;
+      return this.finalizeDetails(this.api.tokenMetadataCache[cacheKey].data, tokenId);
+    }
+    this.cacheStats.tokenMisses++;
+    
+    console.log(`Getting project details for token ${tokenId} (contract: ${contractAddress})`);
+    
+    // The core contract knows the token's project; dividing by a million is the fallback
+    const onChainToken = this.config.ONCHAIN_METADATA_ENABLED
+      ? await this.onChain.getTokenInfo(normalizedAddress, tokenId)
+      : null;
+    const projectId = onChainToken ? onChainToken.projectId : Math.floor(tokenId / 1000000);
+    const tokenNumber = tokenId % 1000000;
+    console.log(`Token breakdown: Project #${projectId}${onChainToken ? '' : ' (derived from token ID)'}, Token #${tokenNumber}`);
+    
+    const chain = this.config.getContractChain(normalizedAddress);
+    const projectKey = MetadataManager.projectKey(chain, normalizedAddress, projectId);
+    const responses = {}; // Successful API responses, reused for token-level data
+    if (onChainToken) {
+      responses.onChain = onChainToken;
+    }
+    
+    let project = this.getCachedProject(projectKey);
+    if (project) {
+      console.log(`Using cached project metadata for ${projectKey}`);
+      this.cacheStats.projectHits++;
+      
+      // Only token-level data is needed; the Art Blocks API has all of it
+      const artBlocksData = await this.api.getArtBlocksTokenInfo(tokenId, normalizedAddress);
+      if (artBlocksData && artBlocksData.success) {
+        responses.artBlocks = artBlocksData;
+      }
+    } else {
+      this.cacheStats.projectMisses++;
+      if (onChainToken) {
+        const onChainProject = await this.onChain.getProjectInfo(normalizedAddress, projectId);
+        if (onChainProject) {
+          responses.onChain = { ...onChainToken, ...onChainProject };
+        }
+      }
+      
+      const resolved = await this.resolveProjectMetadata(normalizedAddress, tokenId, projectId, responses);
+      
+      // Traits, images and script type only come from the Art Blocks API
+      if (!responses.artBlocks) {
+        const artBlocksData = await this.api.getArtBlocksTokenInfo(tokenId, normalizedAddress);
+        if (artBlocksData && artBlocksData.success) {
+          responses.artBlocks = artBlocksData;
+        }
+      }
+      
+      project = {
+        projectName: resolved.projectName.trim(),
+        artistName: resolved.artistName.trim(),
+        description: resolved.description || '',
+        ...this.extractProjectFacts(responses),
+        provenance: resolved.provenance,
+        metadataConfidence: MetadataManager.lowestConfidence(resolved.provenance, ['projectName', 'artistName'])
+      };
+      
+      // Guesses would otherwise stick for the whole project TTL
+      if (this.meetsConfidence(project.metadataConfidence)) {
+        this.cacheProject(projectKey, project);
+      }
+    }
+    
+    // Create result object. L2 tokens link to their chain's OpenSea page.
+    const result = {
+      projectId,
+      tokenNumber,
+      ...project,
+      ...this.extractTokenFacts(responses),
+      contractAddress: normalizedAddress,
+      chain,
+      coreVersion: responses.onChain?.version || null,
+      artBlocksUrl: chain === 'ethereum'
+        ? `https://www.artblocks.io/token/${normalizedAddress}/${tokenId}`
+        : `${this.config.CONTRACT_URLS[normalizedAddress]}${tokenId}`
+    };
+    
+    // Cache the result as resolved; overrides are applied on the way out so edits take effect at once
+    this.api.tokenMetadataCache[cacheKey] = {
+      data: result,
+      timestamp: Date.now()
+    };
+    
+    const details = this.finalizeDetails(result, tokenId);
+    console.log(`Final metadata - Project: ${details.projectName}, Artist: ${details.artistName}, Token: ${details.tokenNumber} (confidence: ${details.metadataConfidence})`);
+    
+    return details;
+  }
+
+  /**
+   * Apply metadata overrides to a resolved result, add its trait rarity and
+   * decide whether it is certain enough to tweet. Returns a copy.
+   */
+  finalizeDetails(resolved, tokenId) {
+    const details = { ...resolved, provenance: { ...resolved.provenance } };
+    const { fields, scopes } = this.overrides.lookup(details.contractAddress, details.projectId, tokenId);
+    
+    for (const [name, value] of Object.entries(fields)) {
+      details[name] = value;
+      details.provenance[name] = { value, source: 'override', rule: scopes[name], confidence: 'high' };
+    }
+    
+    // Contract labels replace the configured contract name, including in
+    // project names that could only be derived from it
+    details.contractName = this.getContractName(details.contractAddress, fields);
+    if (!fields.projectName && details.provenance.projectName?.rule === 'contract-name') {
+      details.projectName = `${details.contractName} Project #${details.projectId}`;
+      details.provenance.projectName = { ...details.provenance.projectName, value: details.projectName };
+    }
+    
+    // Looked up on every call, since distributions fill in after the token cache
+    details.rarity = this.rarity.getTokenRarity(details.chain, details.contractAddress, details.projectId, tokenId, details.traits);
+    
+    // Sales with guessed names or artists are held rather than tweeted
+    details.lowConfidenceFields = ['projectName', 'artistName']
+      .filter(name => !this.meetsConfidence(details.provenance[name]?.confidence || 'low'));
+    details.needsReview = details.lowConfidenceFields.length > 0;
+    details.metadataConfidence = MetadataManager.lowestConfidence(details.provenance, ['projectName', 'artistName']);
+    
+    return details;
+  }
+
+  /**
+   * Display name of a contract: its contractLabel override, else the
+   * configured name. Pass override fields already looked up to skip the lookup.
+   */
+  getContractName(contractAddress, fields = null) {
+    const label = (fields || this.overrides.lookup(contractAddress, null, null).fields).contractLabel;
+    return label || this.config.CONTRACT_NAMES[contractAddress.toLowerCase()] || 'Art Blocks';
+  }
+
+  static lowestConfidence(provenance, fields) {
+    return fields
+      .map(name => provenance[name]?.confidence || 'low')
+      .reduce((lowest, confidence) => CONFIDENCE_LEVELS.indexOf(confidence) < CONFIDENCE_LEVELS.indexOf(lowest) ? confidence : lowest, 'high');
+  }
+
+  meetsConfidence(confidence) {
+    return CONFIDENCE_LEVELS.indexOf(confidence) >= CONFIDENCE_LEVELS.indexOf(this.config.METADATA_MIN_CONFIDENCE);
+  }
+
+  /**
+   * Edition size, license and script type, from the core contract and the
+   * Art Blocks API when we have their responses
+   */
+  extractProjectFacts(responses) {
+    const onChain = responses.onChain || {};
+    const data = responses.artBlocks?.fullData || {};
+    return {
+      editionSize: onChain.maxInvocations ?? data.project?.max_invocations ?? data.max_invocations ?? data.series_size ?? null,
+      license: onChain.license || data.project?.license || data.license || null,
+      scriptType: data.project?.script_type || data.script_type || null
+    };
+  }
+
+  /**
+   * Traits, image and token hash from whichever responses we have. Traits
+   * are normalized to [{ trait_type, value }].
+   */
+  extractTokenFacts(responses) {
+    const artBlocks = responses.artBlocks?.fullData;
+    const openSea = responses.openSea?.fullData?.nft || responses.openSea?.fullData;
+    const alchemy = responses.alchemy?.fullData;
+    
+    let traits = [];
+    if (artBlocks?.features && typeof artBlocks.features === 'object' && !Array.isArray(artBlocks.features)) {
+      traits = Object.entries(artBlocks.features).map(([traitType, value]) => ({ trait_type: traitType, value }));
+    } else if (Array.isArray(openSea?.traits)) {
+      traits = openSea.traits.map(trait => ({ trait_type: trait.trait_type, value: trait.value }));
+    } else if (Array.isArray(alchemy?.rawMetadata?.attributes)) {
+      traits = alchemy.rawMetadata.attributes.map(attr => ({ trait_type: attr.trait_type, value: attr.value }));
+    }
+    
+    return {
+      traits,
+      imageUrl: responses.artBlocks?.imageUrl || responses.openSea?.imageUrl || responses.alchemy?.imageUrl || null,
+      tokenHash: responses.onChain?.tokenHash || artBlocks?.token_hash || artBlocks?.tokenHash || artBlocks?.hash || null
+    };
+  }
+
+  /**
+   * Work out a project's name, artist and description from the core contract
+   * (already in `responses.onChain`), then OpenSea, the Art Blocks API and
+   * Alchemy for whatever is still missing, falling back to names derived from
+   * the contract. Successful responses are stored in `responses`. Returns the
+   * values plus `provenance`: the source, extraction rule and confidence
+   * behind each field.
+   */
+  async resolveProjectMetadata(normalizedAddress, tokenId, projectId, responses) {
+    const provenance = {};
+    const field = name => provenance[name]?.value || '';
+    const set = (name, value, source, rule) => {
+      const confidence = METADATA_RULE_CONFIDENCE[`${source}/${rule}`] || 'low';
+      provenance[name] = { value, source, rule, confidence };
+    };
+    
+    // The core contract is authoritative; HTTP providers only fill gaps
+    const onChain = responses.onChain;
+    if (onChain?.projectName) {
+      set('projectName', onChain.projectName, 'onchain', 'projectDetails.projectName');
+      if (onChain.artistName) set('artistName', onChain.artistName, 'onchain', 'projectDetails.artist');
+      if (onChain.description) set('description', onChain.description, 'onchain', 'description');
+      console.log(`Core contract (${onChain.version}) returned - Project: ${field('projectName')}, Artist: ${field('artistName')}`);
+    }
+    
+    // Then OpenSea (most up-to-date marketplace info)
+    if (!field('projectName') || !field('artistName')) {
+      const openSeaData = await this.api.getOpenSeaAssetMetadata(normalizedAddress, tokenId);
+      
+      if (openSeaData && openSeaData.success) {
+        responses.openSea = openSeaData;
+        if (!field('projectName') && openSeaData.projectName) set('projectName', openSeaData.projectName, 'opensea', openSeaData.rules.projectName);
+        if (!field('artistName') && openSeaData.artistName) set('artistName', openSeaData.artistName, 'opensea', openSeaData.rules.artistName);
+        if (!field('description') && openSeaData.description) set('description', openSeaData.description, 'opensea', 'description');
+        console.log(`OpenSea API returned - Project: ${field('projectName')}, Artist: ${field('artistName')}`);
         
-        // Use the first non-empty array of traits we find
-        for (const location of possibleTraitLocations) {
-          if (Array.isArray(location) && location.length > 0) {
-            traits = location;
-            console.log(`Found ${traits.length} traits`);
-            break;
+        // Log full token name for debugging
+        if (openSeaData.fullData?.name) {
+          console.log(`OpenSea full token name: ${openSeaData.fullData.name}`);
+        }
+      } else {
+        console.log('OpenSea API did not return useful metadata, trying Art Blocks API...');
+      }
+    }
+    
+    // Check if we need Art Blocks API
+    if (!field('projectName') || !field('artistName')) {
+      const artBlocksData = await this.api.getArtBlocksTokenInfo(tokenId, normalizedAddress);
+      
+      if (artBlocksData && artBlocksData.success) {
+        responses.artBlocks = artBlocksData;
+        if (!field('projectName') && artBlocksData.projectName) {
+          set('projectName', artBlocksData.projectName, 'artblocks', artBlocksData.rules.projectName);
+          console.log(`Using Art Blocks API for project name: ${field('projectName')}`);
+        }
+        
+        if (!field('artistName') && artBlocksData.artistName) {
+          set('artistName', artBlocksData.artistName, 'artblocks', artBlocksData.rules.artistName);
+          console.log(`Using Art Blocks API for artist name: ${field('artistName')}`);
+        }
+        
+        if (!field('description') && artBlocksData.description) {
+          set('description', artBlocksData.description, 'artblocks', 'description');
+        }
+      } else {
+        console.log('Art Blocks API did not return useful metadata');
+      }
+    } else {
+      console.log(`Project name and artist resolved, skipping Art Blocks API call`);
+    }
+    
+    // Try Alchemy as a final fallback
+    if (!field('projectName') || !field('artistName')) {
+      console.log('OpenSea and Art Blocks APIs incomplete, trying Alchemy...');
+      try {
+        const alchemyData = await this.api.getAlchemyMetadata(normalizedAddress, tokenId);
+        
+        if (alchemyData && alchemyData.success) {
+          responses.alchemy = alchemyData;
+          if (!field('projectName') && alchemyData.projectName) {
+            set('projectName', alchemyData.projectName, 'alchemy', alchemyData.rules.projectName);
+            console.log(`Using Alchemy data for project name: ${field('projectName')}`);
+          }
+          
+          if (!field('artistName') && alchemyData.artistName) {
+            set('artistName', alchemyData.artistName, 'alchemy', alchemyData.rules.artistName);
+            console.log(`Using Alchemy data for artist name: ${field('artistName')}`);
+          }
+          
+          if (!field('description') && alchemyData.description) {
+            set('description', alchemyData.description, 'alchemy', 'description');
           }
         }
+      } catch (alchemyError) {
+        console.error('Error fetching from Alchemy:', alchemyError.message);
+      }
+    }
+    
+    // Final fallbacks if still missing data. Known problem tokens are fixed
+    // with metadata overrides rather than special cases here.
+    if (!field('projectName')) {
+      const contractType = this.config.CONTRACT_NAMES[normalizedAddress] || 'Art Blocks';
+      set('projectName', `${contractType} Project #${projectId}`, 'fallback', 'contract-name');
+      console.log(`Using fallback naming: ${field('projectName')}`);
+    }
+    
+    if (!field('artistName')) {
+      // Try to extract from project name
+      const nameParts = field('projectName').match(/(.+) by (.+?)(\s+#\d+)?$/i);
+      if (nameParts && nameParts[2]) {
+        set('artistName', nameParts[2].trim(), 'derived', 'project-name-by');
+        console.log(`Extracted artist from project name: ${field('artistName')}`);
+      }
+      
+      // Try description as last resort
+      if (!field('artistName') && field('description')) {
+        const descMatch = field('description').match(/by\s+([a-z0-9\s]+)/i);
+        if (descMatch && descMatch[1]) {
+          set('artistName', descMatch[1].trim(), 'derived', 'description-regex');
+          console.log(`Extracted artist from description: ${field('artistName')}`);
+        }
+      }
+      
+      // Ultimate fallback
+      if (!field('artistName')) {
+        set('artistName', 'Unknown Artist', 'fallback', 'unknown-artist');
+        console.log('Using fallback artist name: Unknown Artist');
+      }
+    }
+    
+    // Check if artist name is an ETH address and we have a better alternative
+    const artistName = field('artistName');
+    if (artistName.startsWith('0x') && artistName.length === 42) {
+      console.log(`Artist name appears to be an ETH address: ${artistName}`);
+      
+      // Try to extract from project name
+      const byMatch = field('projectName').match(/(.+) by (.+?)(\s+#\d+)?$/i);
+      if (byMatch && byMatch[2]) {
+        const extractedArtist = byMatch[2].trim();
+        if (extractedArtist.length > 0 && !extractedArtist.startsWith('0x')) {
+          console.log(`Replacing ETH address with artist name from project: ${extractedArtist}`);
+          set('artistName', extractedArtist, 'derived', 'project-name-by');
+        }
+      }
+      
+      // An address we couldn't replace is never a trustworthy artist name
+      if (field('artistName').startsWith('0x')) {
+        provenance.artistName.confidence = 'low';
+      }
+    }
+    
+    return {
+      projectName: field('projectName'),
+      artistName: field('artistName'),
+      description: field('description'),
+      provenance
+    };
+  }
+}
+
+// =========================================================
+// TWEET MANAGER
+// =========================================================
+
+class TweetManager {
+  constructor(apiServices, config, salesStore, metadataManager = null) {
+    this.api = apiServices;
+    this.config = config;
+    this.sales = salesStore;
+    this.metadata = metadataManager; // Used to rebuild held tweets from current metadata
+    this.queueFile = new JsonStateFile(path.join(config.DATA_DIR, 'tweet-queue.json'));
+    this.tweetQueue = []; // All queue items, including recently sent/failed ones
+    this.isTweetProcessing = false;
+    this.lastTweetTime = 0;
+    this.tweetFailures = 0;
+    this.lastRateLimitTime = 0;
+    this.appStartTime = Date.now();
+    this.loadQueue();
+  }
+
+  /**
+   * Restore the queue and tweet pacing state from disk
+   */
+  loadQueue() {
+    const state = this.queueFile.read({ items: [], lastTweetTime: 0, lastRateLimitTime: 0 });
+    
+    this.tweetQueue = (state.items || []).map(item => ({
+      ...item,
+      saleIds: item.saleIds || (item.saleId ? [item.saleId] : [])
+    }));
+    this.lastTweetTime = state.lastTweetTime || 0;
+    this.lastRateLimitTime = state.lastRateLimitTime || 0;
+    
+    // An item still marked as sending was interrupted mid-post. Twitter may or
+    // may not have published it, so never retry it automatically.
+    for (const item of this.tweetQueue) {
+      if (item.state === 'sending') {
+        console.log(`Tweet ${item.id} was interrupted while sending; marking failed to avoid a duplicate post`);
+        this.updateQueueItem(item, { state: 'failed', lastError: 'Interrupted while sending' });
+        this.updateSaleTweetStatus(item, 'failed');
+      }
+    }
+    
+    this.pruneQueue();
+    console.log(`Loaded tweet queue: ${this.getPendingCount()} pending, ${this.tweetQueue.length} total`);
+  }
+
+  saveQueue() {
+    this.queueFile.write({
+      items: this.tweetQueue,
+      lastTweetTime: this.lastTweetTime,
+      lastRateLimitTime: this.lastRateLimitTime
+    });
+  }
+
+  updateQueueItem(item, changes) {
+    Object.assign(item, changes, { updatedAt: Date.now() });
+    this.saveQueue();
+  }
+
+  updateSaleTweetStatus(item, tweetStatus, tweetId = null) {
+    for (const saleId of item.saleIds) {
+      this.sales.updateTweetStatus(saleId, tweetStatus, tweetId);
+    }
+  }
+
+  /**
+   * Drop finished items once they are older than the history window. Pending
+   * and held tweets are kept until they are sent or reviewed.
+   */
+  pruneQueue() {
+    const cutoff = Date.now() - this.config.TWEET_QUEUE_HISTORY_DURATION;
+    this.tweetQueue = this.tweetQueue.filter(item => 
+      item.state === 'pending' || item.state === 'held' || item.updatedAt > cutoff
+    );
+    this.saveQueue();
+  }
+
+  getPendingTweets() {
+    return this.tweetQueue.filter(item => item.state === 'pending');
+  }
+
+  getPendingCount() {
+    return this.getPendingTweets().length;
+  }
+
+  getQueueCounts() {
+    const counts = { pending: 0, held: 0, sending: 0, sent: 0, failed: 0, cancelled: 0, suppressed: 0 };
+    for (const item of this.tweetQueue) {
+      counts[item.state] = (counts[item.state] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Withdraw queued tweets announcing any of the given sales. Returns the
+   * number cancelled; tweets already sent (or being sent) can't be pulled back.
+   */
+  cancelTweetsForSales(saleIds, reason) {
+    let cancelled = 0;
+    
+    for (const item of this.tweetQueue) {
+      if (!item.saleIds.some(saleId => saleIds.includes(saleId))) continue;
+      
+      if (item.state === 'pending' || item.state === 'held') {
+        this.updateQueueItem(item, { state: 'cancelled', lastError: reason });
+        cancelled++;
+        console.log(`Cancelled queued tweet ${item.id}: ${reason}`);
+      } else if (item.state === 'sending' || item.state === 'sent') {
+        console.warn(`Tweet ${item.id} is already ${item.state} and can't be cancelled (${reason})`);
+      }
+    }
+    
+    return cancelled;
+  }
+
+  /**
+   * Pick up any tweets left pending by a previous run
+   */
+  resumeTweetQueue() {
+    const pending = this.getPendingCount();
+    if (pending > 0) {
+      console.log(`Resuming tweet queue with ${pending} pending tweets`);
+      this.processTweetQueue();
+    }
+  }
+
+  formatAddress(address) {
+    if (!address) return 'Unknown';
+    return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+  }
+
+  formatPrice(price) {
+    return price.toLocaleString('en-US', { 
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  }
+
+  async checkTwitterStatus() {
+    // Check if we're still in a rate limit cooldown
+    const now = Date.now();
+    const timeSinceLastRateLimit = now - this.lastRateLimitTime;
+    
+    if (this.lastRateLimitTime > 0 && timeSinceLastRateLimit < 30 * 60 * 1000) {
+      const remainingCooldown = 30 * 60 * 1000 - timeSinceLastRateLimit;
+      const minutes = Math.ceil(remainingCooldown / 60000);
+      console.log(`Twitter appears to be rate limited. Recommended to wait ${minutes} more minutes.`);
+      return false;
+    }
+    
+    return true;
+  }
+
+  async sendTweet(message) {
+    // Preview mode if tweets are disabled
+    if (this.config.DISABLE_TWEETS) {
+      console.log('\n--- TWEET PREVIEW (DISABLED) ---\n');
+      console.log(message);
+      console.log('\n---------------------\n');
+      
+      return { data: { id: 'preview-only-' + Date.now() } };
+    }
+    
+    // Proceed with actual tweeting
+    if (!this.api.twitter) {
+      console.error('Cannot send tweet - Twitter client not initialized');
+      return null;
+    }
+
+    return retry(async (bail, attempt) => {
+      try {
+        console.log(`Attempting to tweet (attempt ${attempt})...`);
+        const tweet = await this.api.twitter.v2.tweet(message);
+        console.log('Tweet sent successfully:', tweet.data.id);
+        return tweet;
+      } catch (error) {
+        // Don't retry permission issues
+        if (error.code === 403) {
+          console.error('Permission error when tweeting:', error.message);
+          bail(error);
+          return null;
+        }
+        
+        // Special handling for rate limits
+        if (error.code === 429 || error.message.includes('rate limit') || error.message.includes('429')) {
+          // Fixed delay calculation - ensure we have a number
+          const delaySeconds = attempt * 120; // 2, 4, 6 minutes between retries
+          console.error(`Rate limit exceeded (attempt ${attempt}). Will retry after ${delaySeconds} seconds.`);
+          
+          this.lastRateLimitTime = Date.now();
+          this.saveQueue();
+          await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+        }
+        
+        console.error(`Tweet attempt ${attempt} failed:`, error.message);
+        throw error; // Trigger retry
+      }
+    }, {
+      retries: this.config.MAX_RETRIES,
+      minTimeout: this.config.RETRY_DELAY,
+      maxTimeout: 360000, // 6 minutes max
+      factor: 2, // Exponential backoff factor
+      onRetry: (error) => {
+        // Ensure we have a valid number for attempt
+        const attemptNumber = error.attemptNumber || 1;
+        const seconds = Math.min(60 * attemptNumber, 360);
+        console.log(`Retrying tweet after ${seconds} seconds due to error: ${error.message}`);
+      }
+    });
+  }
+
+  createQueueItem(message, saleIds, state, lastError = null, extra = {}) {
+    const now = Date.now();
+    const item = {
+      id: `tweet-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      message,
+      saleIds: [].concat(saleIds || []),
+      state,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      tweetId: null,
+      lastError,
+      ...extra
+    };
+    this.tweetQueue.push(item);
+    this.saveQueue();
+    return item;
+  }
+
+  queueTweet(message, saleIds = []) {
+    console.log('Adding tweet to queue:', message);
+    const item = this.createQueueItem(message, saleIds, 'pending');
+    
+    // Mark the related sales as waiting for their tweet
+    this.updateSaleTweetStatus(item, 'queued');
+    
+    // Start processing if not already running
+    if (!this.isTweetProcessing) {
+      this.processTweetQueue();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Queue a sale tweet unless wash trade screening flagged the sale or its
+   * metadata (`details`, one per token) is too uncertain to publish. Such
+   * tweets are parked as held (awaiting review) or suppressed, depending on
+   * the wash trade review's action, and can still be released from the admin API.
+   */
+  queueSaleTweet(message, saleIds, review = null, details = []) {
+    const reasons = [];
+    let state = null;
+    
+    if (review && review.flagged && review.action !== 'flag') {
+      state = review.action === 'suppress' ? 'suppressed' : 'held';
+      reasons.push(`Possible wash trade (score ${review.score}): ${review.signals.map(signal => signal.signal).join(', ')}`);
+    }
+    
+    const uncertain = [].concat(details || []).filter(detail => detail && detail.needsReview);
+    if (uncertain.length > 0) {
+      state = state || 'held';
+      reasons.push(`Low-confidence metadata: ${uncertain.map(detail => 
+        `${detail.projectName} #${detail.tokenNumber} (${detail.lowConfidenceFields.map(name => 
+          `${name} "${detail[name]}" from ${detail.provenance[name].source}/${detail.provenance[name].rule}`).join(', ')})`
+      ).join('; ')}`);
+    }
+    
+    if (!state) {
+      return this.queueTweet(message, saleIds);
+    }
+    
+    const reason = reasons.join('. ');
+    // Metadata holds are rebuilt from current metadata on release, so fixes made meanwhile show up
+    const item = this.createQueueItem(message, saleIds, state, reason, { metadataReview: uncertain.length > 0 });
+    this.updateSaleTweetStatus(item, state);
+    console.log(`Tweet ${item.id} ${state}: ${reason}`);
+    return false;
+  }
+
+  getHeldTweets() {
+    return this.tweetQueue.filter(item => item.state === 'held');
+  }
+
+  /**
+   * Send a held or suppressed tweet after review. Tweets held for uncertain
+   * metadata are rebuilt from current metadata (overrides included) first,
+   * and stay held while any name or artist is still low-confidence.
+   */
+  async releaseTweet(id) {
+    const item = this.tweetQueue.find(item => item.id === id);
+    if (!item || (item.state !== 'held' && item.state !== 'suppressed')) {
+      throw new Error(`No held tweet ${id}`);
+    }
+    
+    const message = item.metadataReview ? await this.rebuildSaleTweet(item) : item.message;
+    
+    this.updateQueueItem(item, { message, state: 'pending', lastError: null });
+    this.updateSaleTweetStatus(item, 'queued');
+    console.log(`Released tweet ${item.id} after review`);
+    
+    if (!this.isTweetProcessing) {
+      this.processTweetQueue();
+    }
+    return item;
+  }
+
+  /**
+   * Format a held tweet again from its sale records and freshly resolved
+   * metadata. Throws if the metadata is still too uncertain to publish.
+   */
+  async rebuildSaleTweet(item) {
+    if (!this.metadata) {
+      throw new Error('Metadata is unavailable, cannot rebuild the tweet');
+    }
+    
+    const records = item.saleIds.map(saleId => this.sales.getSale(saleId)).filter(Boolean);
+    if (records.length === 0) {
+      throw new Error(`No sale records for tweet ${item.id}`);
+    }
+    
+    const details = [];
+    for (const record of records) {
+      details.push(await this.metadata.getProjectDetails(record.tokenId, record.contract));
+    }
+    
+    const uncertain = details.filter(detail => detail.needsReview);
+    if (uncertain.length > 0) {
+      throw new Error(`Metadata is still low-confidence for ${uncertain.map(detail => 
+        `${detail.contractAddress}/${detail.projectId} (${detail.lowConfidenceFields.join(', ')})`).join('; ')}; add a metadata override first`);
+    }
+    
+    // Pegged currencies are recorded with amount equal to the ETH price
+    const payment = record => ({
+      amount: record.amount,
+      currency: record.currency,
+      paymentToken: record.paymentToken,
+      ethPegged: record.currency === 'ETH' || record.amount === record.priceEth
+    });
+    const first = records[0];
+    const buyerDisplay = first.buyerDisplay || this.formatAddress(first.buyer);
+    
+    if (first.source === 'Mint') {
+      const progress = await this.api.getProjectInvocations(first.contract, details[0].projectId);
+      return this.formatMintTweet(details, {
+        amount: first.amount,
+        symbol: first.currency,
+        priceEth: first.priceEth,
+        priceUsd: first.usdPrice,
+        ethPegged: payment(first).ethPegged
+      }, buyerDisplay, progress);
+    }
+    
+    if (records.length > 1) {
+      const marketplaces = new Set(records.map(record => record.marketplace).filter(Boolean));
+      return this.formatBundleTweet(records.map((record, index) => ({
+        seller: record.seller,
+        priceEth: record.priceEth,
+        usdPrice: record.usdPrice,
+        payment: payment(record),
+        details: details[index]
+      })), buyerDisplay, marketplaces.size === 1 ? Array.from(marketplaces)[0] : null);
+    }
+    
+    details[0].aiContext = await this.generateAIContext(details[0], details[0].projectName, details[0].artistName);
+    return this.formatSaleTweet(details[0], first.priceEth, first.usdPrice, buyerDisplay, first.marketplace, payment(first));
+  }
+
+  /**
+   * Drop a held tweet after review
+   */
+  suppressTweet(id, reason = 'Suppressed after review') {
+    const item = this.tweetQueue.find(item => item.id === id);
+    if (!item || item.state !== 'held') {
+      throw new Error(`No held tweet ${id}`);
+    }
+    
+    this.updateQueueItem(item, { state: 'suppressed', lastError: reason });
+    this.updateSaleTweetStatus(item, 'suppressed');
+    console.log(`Suppressed tweet ${item.id}: ${reason}`);
+    return item;
+  }
+
+  async processTweetQueue() {
+    if (this.isTweetProcessing || this.getPendingCount() === 0) {
+      return;
+    }
+    
+    // Don't process queue during initial startup delay
+    const now = Date.now();
+    if (now - this.appStartTime < this.config.INITIAL_STARTUP_DELAY) {
+      const remainingDelay = Math.ceil((this.config.INITIAL_STARTUP_DELAY - (now - this.appStartTime)) / 1000);
+      console.log(`App recently started; waiting another ${remainingDelay} seconds before processing tweet queue`);
+      setTimeout(() => this.processTweetQueue(), 60000); // Check again in 1 minute
+      return;
+    }
+    
+    this.isTweetProcessing = true;
+    
+    try {
+      // Check Twitter status first
+      const twitterReady = await this.checkTwitterStatus();
+      if (!twitterReady) {
+        console.log("Twitter appears to be rate limited. Delaying queue processing.");
+        setTimeout(() => this.processTweetQueue(), 5 * 60 * 1000);
+        this.isTweetProcessing = false;
+        return;
+      }
+      
+      // Check if we need to wait before sending next tweet
+      const timeSinceLastTweet = now - this.lastTweetTime;
+      
+      if (timeSinceLastTweet < this.config.MIN_TIME_BETWEEN_TWEETS && this.lastTweetTime > 0) {
+        const waitTime = this.config.MIN_TIME_BETWEEN_TWEETS - timeSinceLastTweet;
+        const waitMinutes = Math.ceil(waitTime / 60000);
+        console.log(`Waiting ${waitMinutes} minutes before sending next tweet due to rate limiting...`);
+        
+        // Release the processing lock and try again later
+        this.isTweetProcessing = false;
+        setTimeout(() => this.processTweetQueue(), waitTime);
+        return;
+      }
+      
+      // Get next tweet from queue and mark it in flight before posting
+      const queueItem = this.getPendingTweets()[0];
+      this.updateQueueItem(queueItem, { state: 'sending', attempts: queueItem.attempts + 1 });
+      
+      // Add extra delay if we've had failures
+      if (this.tweetFailures > 0) {
+        const extraDelay = this.tweetFailures * 3 * 60 * 1000; // 3, 6, 9 minutes based on failures
+        console.log(`Adding extra ${extraDelay/60000} minutes delay due to previous ${this.tweetFailures} failed attempts`);
+        await new Promise(resolve => setTimeout(resolve, extraDelay));
+      }
+      
+      // Send the tweet
+      try {
+        console.log("Attempting to send tweet now...");
+        const tweet = await this.sendTweet(queueItem.message);
+        if (!tweet) {
+          throw new Error('Tweet was not sent');
+        }
+        
+        this.tweetFailures = 0; // Reset on success
+        console.log("Tweet sent successfully!");
+        
+        this.updateQueueItem(queueItem, { state: 'sent', sentAt: Date.now(), tweetId: tweet.data.id, lastError: null });
+        this.updateSaleTweetStatus(queueItem, this.config.DISABLE_TWEETS ? 'preview' : 'sent', tweet.data.id);
+      } catch (error) {
+        this.tweetFailures++;
+        console.error(`Tweet failed (total failures: ${this.tweetFailures}):`, error);
+        // Put message back in queue if not a permanent error
+        const permanent = error.message.includes('403') || queueItem.attempts >= this.config.MAX_TWEET_ATTEMPTS;
+        this.updateQueueItem(queueItem, { state: permanent ? 'failed' : 'pending', lastError: error.message });
+        if (permanent) {
+          this.updateSaleTweetStatus(queueItem, 'failed');
+        }
+      }
+      
+      this.lastTweetTime = Date.now();
+      this.pruneQueue();
+    } catch (error) {
+      console.error('Error processing tweet queue:', error);
+    } finally {
+      this.isTweetProcessing = false;
+      
+      // Process next tweet if available
+      if (this.getPendingCount() > 0) {
+        const nextDelay = this.tweetFailures > 0 ? 5 * 60 * 1000 : 60 * 1000; // 5 min if failures, 1 min otherwise
+        console.log(`Scheduling next tweet attempt in ${nextDelay/60000} minutes...`);
+        setTimeout(() => this.processTweetQueue(), nextDelay);
+      } else {
+        console.log("Tweet queue is empty. Waiting for new tweets to process.");
+      }
+    }
+  }
+
+  async sendTestTweet() {
+    return this.queueTweet(`Art Blocks sales bot is monitoring OpenSea sales for ${this.config.CONTRACT_ADDRESSES.length} contracts! (${new Date().toLocaleTimeString()})`);
+  }
+
+  /**
+   * Tweet prefix naming the chain of an L2 sale or mint; empty for Ethereum
+   */
+  chainTag(chain) {
+    if (!chain || chain === 'ethereum' || !this.config.CHAINS[chain]) {
+      return '';
+    }
+    return `[${this.config.CHAINS[chain].name}] `;
+  }
+
+  /**
+   * Artist as written in tweets: their Twitter handle when a metadata
+   * override sets one, so the artist gets tagged
+   */
+  artistDisplay(details, artistName = details.artistName) {
+    return details.artistTwitter ? `@${details.artistTwitter}` : artistName;
+  }
+
+  /**
+   * "rarest trait: Color Mode Luxe (1.8%)", or null without rarity data
+   */
+  formatRarestTrait(rarity) {
+    const trait = rarity?.rarestTrait;
+    if (!trait) {
+      return null;
+    }
+    const percentage = Number(trait.percentage.toFixed(trait.percentage < 1 ? 2 : 1));
+    return `rarest trait: ${trait.traitType} ${trait.value} (${percentage}%)`;
+  }
+
+  /**
+   * Format a single sale. `payment` ({ amount, currency, ethPegged }) is the
+   * amount actually paid when it wasn't plain ETH; priceEth is always the
+   * ETH-equivalent.
+   */
+  async formatSaleTweet(details, priceEth, usdPrice, buyerDisplay, marketplace = null, payment = null) {
+    // Clean up the project name - remove any "by Artist" suffix if artist name is already provided
+    let projectName = details.projectName.replace(/ #\d+$/, '');
+    
+    // Remove redundant artist mentions in project name
+    if (details.artistName && projectName.toLowerCase().includes(' by ' + details.artistName.toLowerCase())) {
+      projectName = projectName.replace(new RegExp(` by ${details.artistName}`, 'i'), '');
+      console.log(`Removed redundant artist name from project name: ${projectName}`);
+    } else if (details.artistName && projectName.toLowerCase().includes(' by ')) {
+      // Generic "by" handling - might need to clean up
+      projectName = projectName.replace(/ by .+$/i, '');
+      console.log(`Removed generic "by..." from project name: ${projectName}`);
+    }
+    
+    // Make sure we're not using an ETH address as artist name
+    let artistName = details.artistName;
+    if (artistName && artistName.startsWith('0x') && artistName.length === 42) {
+      // This looks like an ETH address, try to get a better artist name
+      if (projectName.toLowerCase().includes(' by ')) {
+        const byMatch = projectName.match(/ by ([^#]+)$/i);
+        if (byMatch && byMatch[1]) {
+          artistName = byMatch[1].trim();
+          console.log(`Extracted better artist name from project name: ${artistName}`);
+        }
+      }
+    }
+    
+    // For Art Blocks tokens, the tokenNumber field might have the full ID
+    // We want just the edition number part (the last 6 digits)
+    const tokenNumber = details.tokenNumber % 1000000 || details.tokenNumber;
+    
+    // This is the line that needs to be properly included in the output
+    let tweetText = `${this.chainTag(details.chain)}${projectName} #${tokenNumber} by ${this.artistDisplay(details, artistName)}\n`;
+    
+    // Add price info, in the currency actually paid
+    tweetText += `sold for ${this.formatPaymentAmount(priceEth, payment)}`;
+    if (usdPrice && !this.paidInOtherCurrency(payment)) {
+      tweetText += ` (${this.formatPrice(usdPrice)})`;
+    }
+    
+    // Add where the sale happened
+    if (marketplace) {
+      tweetText += ` on ${marketplace}`;
+    }
+    
+    // Add buyer info
+    tweetText += `\nto ${buyerDisplay}`;
+    
+    const rarestTrait = this.formatRarestTrait(details.rarity);
+    if (rarestTrait) {
+      tweetText += `\n${rarestTrait}`;
+    }
+    
+    // Log AI context status for debugging
+    console.log(`formatSaleTweet called with aiContext: '${details.aiContext || "NONE"}'`);
+    
+    // Add AI context if available
+    if (details.aiContext) {
+      tweetText += `\n\n🤖 "${details.aiContext}"`;
+    }
+    
+    // Add URL (with an extra line break if we added AI context)
+    tweetText += `\n\n${details.artBlocksUrl}`;
+    
+    // Debug output to verify the tweet format
+    console.log('\n--- FORMATTED TWEET ---\n');
+    console.log(`${projectName} #${tokenNumber} by ${artistName}`);
+    console.log(`sold for ${this.formatPrice(priceEth)} ETH${usdPrice ? ` (${this.formatPrice(usdPrice)})` : ''}${marketplace ? ` on ${marketplace}` : ''}`);
+    console.log(`to ${buyerDisplay}`);
+    if (rarestTrait) {
+      console.log(rarestTrait);
+    }
+    
+    if (details.aiContext) {
+      console.log(`\n🤖 "${details.aiContext}"`);
+    }
+    
+    console.log();
+    console.log(details.artBlocksUrl);
+    console.log('\n---------------------\n');
+    
+    return tweetText;
+  }
+
+  /**
+   * Whether a payment was in a currency that isn't ETH or pegged to it
+   */
+  paidInOtherCurrency(payment) {
+    return !!(payment && payment.currency && payment.currency !== 'ETH' && !payment.ethPegged);
+  }
+
+  /**
+   * Amount in the currency actually paid, e.g. "1.50 WETH" or
+   * "2,500.00 USDC (≈1.00 ETH)". `approxEth: false` leaves off the ETH value.
+   */
+  formatPaymentAmount(priceEth, payment = null, { approxEth = true } = {}) {
+    if (this.paidInOtherCurrency(payment)) {
+      const amount = `${this.formatPrice(payment.amount)} ${payment.currency}`;
+      return approxEth ? `${amount} (≈${this.formatPrice(priceEth)} ETH)` : amount;
+    }
+    return `${this.formatPrice(priceEth)} ${payment?.currency || 'ETH'}`;
+  }
+
+  /**
+   * Total of a bundle in the currency paid when every token used the same
+   * one, otherwise its ETH equivalent
+   */
+  formatBundleTotal(sales, totalEth, totalUsd) {
+    const currencies = new Set(sales.map(sale => sale.payment?.currency || 'ETH'));
+    if (currencies.size > 1) {
+      return `≈${this.formatPrice(totalEth)} ETH${totalUsd ? ` (${this.formatPrice(totalUsd)})` : ''} in mixed currencies`;
+    }
+    
+    const payment = {
+      ...sales[0].payment,
+      amount: sales.reduce((sum, sale) => sum + (sale.payment?.amount ?? sale.priceEth), 0)
+    };
+    let text = this.formatPaymentAmount(totalEth, payment);
+    if (totalUsd && !this.paidInOtherCurrency(payment)) {
+      text += ` (${this.formatPrice(totalUsd)})`;
+    }
+    return text;
+  }
+
+  /**
+   * Format one tweet for several tokens bought by the same collector in one
+   * transaction, e.g. "collector.eth swept 5 Fidenzas for 120.00 ETH"
+   */
+  formatBundleTweet(sales, buyerDisplay, marketplace = null) {
+    const totalEth = sales.reduce((sum, sale) => sum + sale.priceEth, 0);
+    const totalUsd = sales.every(sale => sale.usdPrice) 
+      ? sales.reduce((sum, sale) => sum + sale.usdPrice, 0) 
+      : null;
+    const sellers = new Set(sales.map(sale => sale.seller));
+    const verb = sellers.size > 1 ? 'swept' : 'bought a bundle of';
+    const projects = new Set(sales.map(sale => sale.details.projectName));
+    
+    let tweetText = this.chainTag(sales[0].details.chain);
+    if (projects.size === 1) {
+      // Single project: name it once and list the token numbers
+      const details = sales[0].details;
+      const projectName = details.projectName.replace(/ by .+$/i, '');
+      const plural = projectName.endsWith('s') ? projectName : `${projectName}s`;
+      
+      tweetText += `${buyerDisplay} ${verb} ${sales.length} ${plural} by ${this.artistDisplay(details)}\n`;
+      tweetText += `for ${this.formatBundleTotal(sales, totalEth, totalUsd)}`;
+      if (marketplace) {
+        tweetText += ` on ${marketplace}`;
+      }
+      tweetText += `\n\n${sales.map(sale => `#${sale.details.tokenNumber % 1000000}`).join(', ')}`;
+    } else {
+      // Mixed projects: one line per token, named after their contract if it has a label
+      const labels = new Set(sales.map(sale => sale.details.contractLabel || 'Art Blocks'));
+      const collection = labels.size === 1 ? [...labels][0] : 'Art Blocks';
+      tweetText += `${buyerDisplay} ${verb} ${sales.length} ${collection} pieces for ${this.formatBundleTotal(sales, totalEth, totalUsd)}`;
+      if (marketplace) {
+        tweetText += ` on ${marketplace}`;
+      }
+      tweetText += '\n';
+      for (const sale of sales) {
+        tweetText += `\n${sale.details.projectName} #${sale.details.tokenNumber % 1000000} (${this.formatPaymentAmount(sale.priceEth, sale.payment, { approxEth: false })})`;
+      }
+    }
+    
+    tweetText += `\n\n${sales[0].details.artBlocksUrl}`;
+    
+    console.log('\n--- FORMATTED BUNDLE TWEET ---\n');
+    console.log(tweetText);
+    console.log('\n---------------------\n');
+    
+    return tweetText;
+  }
+
+  /**
+   * Primary mint announcement. `mints` are the project details of every token
+   * one wallet minted from a project in a transaction; `payment` is the
+   * normalized price per token and `progress` the on-chain invocation counts.
+   */
+  formatMintTweet(mints, payment, minterDisplay, progress = null) {
+    const details = mints[0];
+    const projectName = details.projectName.replace(/ #\d+$/, '').replace(/ by .+$/i, '');
+    const tokenNumbers = mints.map(mint => `#${mint.tokenNumber % 1000000}`).join(', ');
+    
+    let tweetText = `${this.chainTag(details.chain)}${projectName} ${tokenNumbers} by ${this.artistDisplay(details)}\n`;
+    
+    // Price per token, in the currency the minter charged
+    const price = payment.ethPegged || payment.symbol === 'ETH'
+      ? `${this.formatPrice(payment.priceEth)} ETH`
+      : `${this.formatPrice(payment.amount)} ${payment.symbol}`;
+    tweetText += mints.length > 1 ? `${mints.length} minted for ${price} each` : `minted for ${price}`;
+    if (payment.priceUsd) {
+      tweetText += ` (${this.formatPrice(payment.priceUsd)})`;
+    }
+    
+    tweetText += `\nby ${minterDisplay}`;
+    
+    if (progress) {
+      tweetText += `\n\n${projectName}: ${progress.invocations}/${progress.maxInvocations} minted`;
+    }
+    
+    tweetText += `\n\n${details.artBlocksUrl}`;
+    
+    console.log('\n--- FORMATTED MINT TWEET ---\n');
+    console.log(tweetText);
+    console.log('\n---------------------\n');
+    
+    return tweetText;
+  }
+
+  /**
+   * Best display name for a wallet: ENS, then OpenSea username, then short address
+   */
+  async getBuyerDisplay(address) {
+    const ensName = await this.api.getEnsName(address);
+    if (ensName) {
+      return ensName;
+    }
+    
+    const osName = await this.api.getOpenseaUserName(address);
+    if (osName) {
+      return osName;
+    }
+    
+    return this.formatAddress(address);
+  }
+
+  // UPDATED: Simplified and more reliable AI context generation
+  async generateAIContext(details, projectName, artistName) {
+    try {
+      // Check if OpenAI is configured
+      if (!process.env.OPENAI_API_KEY) {
+        console.log('OpenAI API key not configured, skipping AI context');
+        return "A unique piece from the Art Blocks collection."; // Default fallback
+      }
+
+      // Extract basic trait information
+      let traits = [];
+      if (details.fullData) {
+        // Find traits in any of these common locations
+        const possibleTraitLocations = [
+          details.fullData.traits,
+          details.fullData.attributes,
+          details.fullData.features,
+          details.fullData.nft?.traits,
+          details.fullData.metadata?.attributes,
+          details.fullData.rawMetadata?.attributes
+        ];
+        
+        // Use the first non-empty array of traits we find
+        for (const location of possibleTraitLocations) {
+          if (Array.isArray(location) && location.length > 0) {
+            traits = location;
+            console.log(`Found ${traits.length} traits`);
+            break;
+          }
+        }
+      }
+      
+      // Create a simple trait text string
+      let traitsText = '';
+      if (traits.length > 0) {
+        traitsText = traits.map(trait => {
+          const type = trait.trait_type || trait.type || Object.keys(trait)[0];
+          const value = trait.value || trait[trait.trait_type];
+          if (type && value) return `${type}: ${value}`;
+          return '';
+        }).filter(Boolean).join(', ');
+      }
+      
+      console.log(`Traits found: ${traitsText || 'None'}`);
+      
+      // How rare the token is within its project, when we know
+      let rarityText = '';
+      if (details.rarity?.rarestTrait) {
+        const { traitType, value, percentage } = details.rarity.rarestTrait;
+        rarityText = `Rarest trait: ${traitType}: ${value} (${percentage.toFixed(1)}% of the project)`;
+        if (details.rarity.rank) {
+          rarityText += `, rarity rank ${details.rarity.rank} of ${details.rarity.total}`;
+        }
+      }
+
+      const { OpenAI } = require('openai');
+      const openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+      
+      // Add collection-specific context
+      let collectionContext = '';
+      if (projectName) {
+        if (projectName.toLowerCase().includes('squiggle')) {
+          collectionContext = "Chromie Squiggle is Art Blocks' genesis project, embodying the essence of generative art.";
+        } else if (projectName.toLowerCase().includes('fidenza')) {
+          collectionContext = "Fidenza revolutionized on-chain art with its complex flow field algorithms.";
+        } else if (projectName.toLowerCase().includes('ringers')) {
+          collectionContext = "Ringers explores the nearly infinite variations of wrapping strings around pegs.";
+        } else if (projectName.toLowerCase() === 'automatism') {
+          collectionContext = "Automatism features algorithmic compositions inspired by subconscious artistic expression.";
+        }
+      }
+      
+      // Simplified, reliable prompt
+      const prompt = `
+Project: "${projectName}" by ${artistName}
+${collectionContext ? `Project Context: ${collectionContext}` : ''}
+${traitsText ? `Token Traits: ${traitsText}` : ''}
+${rarityText}
+
+Write a brief, interesting comment about this artwork (under 30 words).
+If traits are available, mention at least one specific trait.
+Make it feel like a human observation, not AI-generated.
+Be specific about this exact artwork, not generic to all Art Blocks pieces.
+`;
+      
+      // Use a reliable model with moderate temperature
+      const response = await openai.chat.completions.create({
+        model: "gpt-3.5-turbo", // More reliable than gpt-4o-mini
+        messages: [
+          {role: "system", content: "You write brief, engaging art commentary that highlights unique features of NFT artworks."},
+          {role: "user", content: prompt}
+        ],
+        max_tokens: 60,
+        temperature: 0.7,
+      });
+      
+      // Get response with minimal processing
+      let artContext = response.choices[0].message.content.trim();
+      
+      // Only remove quotes if they're at the beginning and end
+      if (artContext.startsWith('"') && artContext.endsWith('"')) {
+        artContext = artContext.slice(1, -1);
+      }
+      
+      // Log the result and return
+      console.log(`Generated art context: ${artContext}`);
+      return artContext || "A distinctive piece from the Art Blocks collection."; // Fallback if empty
+      
+    } catch (error) {
+      console.error('OpenAI API error:', error.message);
+      return "A distinctive piece from the Art Blocks collection."; // Fallback on error
+    }
+  }
+  
+  // Helper method to recursively search for traits in complex objects
+  _findTraitsRecursively(obj, depth = 0) {
+    // Prevent infinite recursion
+    if (depth > 5) return [];
+    
+    // If we found an array that looks like traits, return it
+    if (Array.isArray(obj) && obj.length > 0 && 
+        (obj[0].trait_type || obj[0].type || obj[0].key || obj[0].attribute_type)) {
+      return obj;
+    }
+    
+    // If this is an object, search its properties
+    if (obj && typeof obj === 'object') {
+      // Look for property names that suggest traits
+      const traitKeys = ['traits', 'attributes', 'features', 'metadata', 'properties'];
+      
+      for (const key of traitKeys) {
+        if (obj[key]) {
+          if (Array.isArray(obj[key]) && obj[key].length > 0) {
+            // Check if this looks like a traits array
+            if (obj[key][0] && typeof obj[key][0] === 'object') {
+              return obj[key];
+            }
+          } else if (typeof obj[key] === 'object') {
+            // Recurse into this property
+            const result = this._findTraitsRecursively(obj[key], depth + 1);
+            if (result.length > 0) return result;
+          }
+        }
+      }
+      
+      // If we haven't found traits yet, try all properties
+      for (const key in obj) {
+        if (obj[key] && typeof obj[key] === 'object') {
+          const result = this._findTraitsRecursively(obj[key], depth + 1);
+          if (result.length > 0) return result;
+        }
+      }
+    }
+    
+    return [];
+  }
+}
+
+// =========================================================
+// WASH TRADE DETECTION
+// =========================================================
+
+// Weight each signal adds to a sale's wash trade score (capped at 1)
+const WASH_TRADE_SIGNALS = {
+  'self-transfer': 1,     // Buyer and seller are the same wallet
+  'direct-funding': 0.6,  // One side sent the other its first ETH
+  'shared-funder': 0.3,   // Both wallets got their first ETH from the same address (only flags alongside another signal)
+  'round-trip': 0.6,      // Token sold back to a wallet that recently sold it to this seller
+  'repeated-trades': 0.3, // Token changed hands several times within the lookback window
+  'zero-fee': 0.3         // Private sale, or no marketplace or creator fees paid
+};
+
+/**
+ * Scores sales for signs of wash trading before they are tweeted. Funding
+ * sources come from each wallet's first incoming ETH transfer and are cached
+ * on disk, since they never change.
+ */
+class WashTradeDetector {
+  constructor(apiServices, salesStore, config) {
+    this.api = apiServices;
+    this.sales = salesStore;
+    this.config = config;
+    this.fundersFile = new JsonStateFile(path.join(config.DATA_DIR, 'wallet-funders.json'));
+    this.funders = this.fundersFile.read({}); // chain:address -> first funder (null if never funded)
+  }
+
+  async getFirstFunder(address, chain) {
+    const key = `${chain}:${address}`;
+    if (!(key in this.funders)) {
+      this.funders[key] = await this.api.getFirstFunder(address, chain);
+      this.fundersFile.write(this.funders);
+    }
+    return this.funders[key];
+  }
+
+  /**
+   * Signals raised by one sale. Accepts sale records or anything with the same
+   * chain, contract, tokenId, buyer, seller and marketplace fields.
+   */
+  async scoreSale(sale) {
+    const chain = sale.chain || 'ethereum';
+    const buyer = (sale.buyer || '').toLowerCase();
+    const seller = (sale.seller || '').toLowerCase();
+    const signals = [];
+    
+    if (!buyer || !seller) {
+      return signals;
+    }
+    
+    if (buyer === seller) {
+      signals.push({ signal: 'self-transfer', detail: `${buyer} bought from itself` });
+    }
+    
+    // Funding lookups are best effort - a failure just means no funding signal
+    try {
+      const ignored = this.config.WASH_TRADE_IGNORED_FUNDERS.map(addr => addr.toLowerCase());
+      const buyerFunder = await this.getFirstFunder(buyer, chain);
+      const sellerFunder = await this.getFirstFunder(seller, chain);
+      
+      if (buyer !== seller && (buyerFunder === seller || sellerFunder === buyer)) {
+        signals.push({ signal: 'direct-funding', detail: buyerFunder === seller ? 'Seller funded the buyer' : 'Buyer funded the seller' });
+      } else if (buyerFunder && buyerFunder === sellerFunder && !ignored.includes(buyerFunder)) {
+        signals.push({ signal: 'shared-funder', detail: `Both funded by ${buyerFunder}` });
+      }
+    } catch (error) {
+      console.error(`Could not look up funding sources for ${buyer} / ${seller}:`, error.message);
+    }
+    
+    const history = this.sales.querySales({
+      chain,
+      contract: sale.contract,
+      tokenId: sale.tokenId,
+      since: Date.now() - this.config.WASH_TRADE_LOOKBACK
+    }).filter(previous => !previous.retracted && previous.txHash !== sale.txHash);
+    
+    const roundTrip = history.find(previous => previous.seller === buyer && previous.buyer === seller);
+    if (roundTrip) {
+      signals.push({ signal: 'round-trip', detail: `Same wallets traded this token on ${new Date(roundTrip.timestamp).toISOString()}` });
+    } else if (history.length >= 2) {
+      signals.push({ signal: 'repeated-trades', detail: `${history.length} earlier sales of this token in the lookback window` });
+    }
+    
+    // Generic payments mean no marketplace order was involved
+    if (sale.paymentMethod && sale.paymentMethod !== 'marketplace-event') {
+      signals.push({ signal: 'zero-fee', detail: 'Private sale paid outside any marketplace' });
+    } else if (sale.marketplaceFeeEth === 0 && sale.royaltyEth === 0) {
+      signals.push({ signal: 'zero-fee', detail: `No marketplace or creator fees paid on ${sale.marketplace}` });
+    }
+    
+    return signals.map(signal => ({ ...signal, tokenId: String(sale.tokenId) }));
+  }
+
+  /**
+   * Review the sales announced by one tweet. Returns null when detection is
+   * off, otherwise { score, signals, flagged, action, summary } where the
+   * score is the highest of any sale in the group.
+   */
+  async review(sales) {
+    if (!this.config.WASH_TRADE_DETECTION_ENABLED) {
+      return null;
+    }
+    
+    let score = 0;
+    const signals = [];
+    
+    for (const sale of sales) {
+      const saleSignals = await this.scoreSale(sale);
+      const saleScore = Math.min(1, saleSignals.reduce((sum, signal) => sum + WASH_TRADE_SIGNALS[signal.signal], 0));
+      score = Math.max(score, Math.round(saleScore * 100) / 100);
+      signals.push(...saleSignals);
+    }
+    
+    const flagged = signals.length > 0 && score >= this.config.WASH_TRADE_SCORE_THRESHOLD;
+    if (flagged) {
+      console.log(`⚠️ Possible wash trade (score ${score}, action ${this.config.WASH_TRADE_ACTION}): ${signals.map(signal => `${signal.signal} - ${signal.detail}`).join('; ')}`);
+    } else if (signals.length > 0) {
+      console.log(`Wash trade signals below threshold (score ${score}): ${signals.map(signal => signal.signal).join(', ')}`);
+    }
+    
+    return {
+      score,
+      signals,
+      flagged,
+      action: this.config.WASH_TRADE_ACTION,
+      summary: { score, signals }
+    };
+  }
+}
+
+// =========================================================
+// OPENSEA EVENTS PROCESSOR
+// =========================================================
+
+class OpenSeaEventProcessor {
+  constructor(apiServices, metadataManager, tweetManager, salesStore, config, washTradeDetector = null, saleVerifier = null) {
+    this.api = apiServices;
+    this.metadata = metadataManager;
+    this.tweets = tweetManager;
+    this.sales = salesStore;
+    this.config = config;
+    this.washTrades = washTradeDetector;
+    this.verifier = saleVerifier;
+  }
+  
+  /**
+   * Process OpenSea sales events
+   */
+  async processOpenSeaEvents() {
+    try {
+      const { events, fetches } = await this.api.getOpenSeaSalesEvents();
+      
+      let failed = new Set();
+      if (events.length > 0) {
+        console.log(`Processing ${events.length} OpenSea sales events`);
+        failed = await this.processEventBatch(events);
+      }
+      
+      // Checkpoints only move past events once they have been handled
+      this.api.saveEventCheckpoints(fetches, failed);
+    } catch (error) {
+      console.error('Error in processOpenSeaEvents:', error);
+    }
+  }
+  
+  /**
+   * Process sale events from the events API or the stream. Returns the ids
+   * of events that failed and are worth retrying.
+   */
+  async processEventBatch(events) {
+    const failed = new Set();
+    
+    try {
+      // OpenSea reports each token of a sweep as its own event, so group them back up
+      const groups = groupSalesByBuyer(events.map(event => ({
+        txHash: event.transaction,
+        saleKey: event.id,
+        buyer: event.winner?.address || event.buyer,
+        event
+      })));
+      
+      for (const group of groups) {
+        let result = null;
+        try {
+          if (group.length > 1) {
+            result = await this.processSaleEventGroup(group.map(item => item.event));
+          } else {
+            result = await this.processSaleEvent(group[0].event);
+          }
+          // Add a small delay between processing events to avoid rate limits
+          await new Promise(resolve => setTimeout(resolve, 500));
+        } catch (error) {
+          console.error('Error processing sale event:', error);
+          // Continue with next event
+        }
+        
+        if (result === null) {
+          group.forEach(item => failed.add(item.event.id));
+        }
+      }
+    } catch (error) {
+      console.error('Error processing OpenSea sale events:', error);
+      events.forEach(event => failed.add(event.id));
+    }
+    
+    return failed;
+  }
+  
+  /**
+   * Validate, dedupe and price a sale event. Returns null if it shouldn't be announced.
+   */
+  async prepareSaleEvent(event) {
+    // Check if this is a valid sale event
+    if (!event.payment || !event.nft) {
+      console.log('Invalid sale event - missing payment or NFT data');
+      return null;
+    }
+    
+    // Extract sale information
+    const contractAddress = event.nft.contract;
+    const tokenId = event.nft.identifier;
+    const buyerAddress = event.winner?.address || event.buyer;
+    const sellerAddress = event.seller || null;
+    
+    // Skip if contract address doesn't match our monitored contracts
+    if (!this.config.CONTRACT_ADDRESSES.some(addr => 
+      addr.toLowerCase() === contractAddress.toLowerCase())) {
+      console.log(`Skipping sale for non-monitored contract: ${contractAddress}`);
+      return null;
+    }
+    
+    // Skip if this sale was already picked up by this or another source
+    const chain = this.config.getContractChain(contractAddress);
+    const saleKey = SalesStore.saleKey({
+      chain,
+      txHash: event.transaction,
+      contract: contractAddress,
+      tokenId
+    });
+    if (!this.sales.claimSale(saleKey)) {
+      console.log(`Sale ${saleKey} already recorded, skipping`);
+      return null;
+    }
+    
+    try {
+      console.log(`Processing OpenSea sale for ${contractAddress}/${tokenId}`);
+      
+      // Extract price information, converting non-ETH payments to their ETH/USD value
+      const payment = await this.api.normalizePayment({
+        quantity: event.payment.quantity,
+        tokenAddress: event.payment.token_address,
+        symbol: event.payment.symbol,
+        decimals: event.payment.decimals,
+        chain
+      });
+      if (!payment || payment.priceEth === null) {
+        // Usually a price lookup that failed, so let the caller retry
+        throw new Error(`Can't price payment in ${event.payment.symbol || event.payment.token_address}`);
+      }
+      const priceEth = payment.priceEth;
+      
+      console.log(`Sale price: ${payment.amount} ${payment.symbol} (${priceEth} ETH)`);
+      
+      // Skip if below minimum price
+      if (priceEth < this.config.MIN_PRICE_ETH) {
+        console.log(`Price ${priceEth} ETH is below minimum threshold, skipping`);
+        this.sales.releaseSale(saleKey);
+        return null;
+      }
+      
+      // Get project details
+      const details = await this.metadata.getProjectDetails(tokenId, contractAddress);
+      
+      return {
+        event,
+        saleKey,
+        chain,
+        contractAddress,
+        tokenId,
+        txHash: event.transaction || null,
+        buyer: buyerAddress,
+        seller: sellerAddress,
+        priceEth,
+        usdPrice: payment.priceUsd,
+        payment: {
+          amount: payment.amount,
+          currency: payment.symbol,
+          paymentToken: payment.tokenAddress,
+          ethPegged: payment.ethPegged
+        },
+        marketplace: event.simulated ? null : 'OpenSea',
+        details
+      };
+    } catch (error) {
+      this.sales.releaseSale(saleKey);
+      throw error;
+    }
+  }
+  
+  /**
+   * Process a single OpenSea sale event. Returns true when announced, false
+   * when skipped, and null when it failed and can be retried.
+   */
+  async processSaleEvent(event) {
+    let sale = null;
+    
+    try {
+      sale = await this.prepareSaleEvent(event);
+      if (!sale || !(await this.confirmOnChain(sale))) {
+        return false;
+      }
+      
+      const { details, priceEth, usdPrice } = sale;
+      
+      // Get buyer info
+      const buyerDisplay = await this.tweets.getBuyerDisplay(sale.buyer);
+      
+      // Generate AI context
+      console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
+      const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
+      console.log(`AI context generated: ${aiContext || 'None'}`);
+      
+      // Add AI context to details object
+      details.aiContext = aiContext;
+      
+      // Format tweet
+      const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay, sale.marketplace, sale.payment);
+      
+      console.log('\n--- TWEET PREVIEW ---\n');
+      console.log(tweetText);
+      console.log('\n---------------------\n');
+      
+      // Screen for wash trading before anything is queued
+      const review = await this.reviewSales([sale]);
+      
+      // Record this sale in the sales ledger
+      const record = this.recordSale({ ...sale, washTrade: review?.flagged ? review.summary : null }, buyerDisplay);
+      
+      // Queue the tweet
+      this.tweets.queueSaleTweet(tweetText, record.id, review, details);
+      
+      return true;
+    } catch (error) {
+      console.error('Error processing OpenSea sale event:', error);
+      this.sales.releaseSale(sale?.saleKey);
+      return null;
+    }
+  }
+  
+  /**
+   * Process several events for tokens bought together in one transaction.
+   * Returns like processSaleEvent.
+   */
+  async processSaleEventGroup(events) {
+    const sales = [];
+    
+    try {
+      for (const event of events) {
+        const sale = await this.prepareSaleEvent(event);
+        if (sale && await this.confirmOnChain(sale)) {
+          sales.push(sale);
+        }
+      }
+      
+      if (sales.length === 0) {
+        return false;
+      }
+      
+      if (sales.length === 1) {
+        // Only one token cleared the filters, so announce it on its own
+        this.sales.releaseSale(sales[0].saleKey);
+        return this.processSaleEvent(sales[0].event);
+      }
+      
+      const buyerDisplay = await this.tweets.getBuyerDisplay(sales[0].buyer);
+      const tweetText = this.tweets.formatBundleTweet(sales, buyerDisplay, sales[0].marketplace);
+      
+      // Record every token individually, linked by the bundle
+      const bundle = {
+        id: `${sales[0].txHash}-${sales[0].buyer}`.toLowerCase(),
+        type: new Set(sales.map(sale => sale.seller)).size > 1 ? 'sweep' : 'bundle',
+        size: sales.length,
+        totalEth: sales.reduce((sum, sale) => sum + sale.priceEth, 0)
+      };
+      const review = await this.reviewSales(sales);
+      const records = sales.map(sale => this.recordSale({ ...sale, bundle, washTrade: review?.flagged ? review.summary : null }, buyerDisplay));
+      
+      this.tweets.queueSaleTweet(tweetText, records.map(record => record.id), review, sales.map(sale => sale.details));
+      
+      return true;
+    } catch (error) {
+      console.error('Error processing OpenSea sale group:', error);
+      sales.forEach(sale => this.sales.releaseSale(sale.saleKey));
+      return null;
+    }
+  }
+  
+  /**
+   * Record a past OpenSea sale without tweeting it, priced at that day's
+   * ETH/USD rate. Returns the record, or null if it was skipped.
+   */
+  async recordHistoricalEvent(event) {
+    const sale = await this.prepareSaleEvent(event);
+    if (!sale) {
+      return null;
+    }
+    
+    try {
+      const timestamp = this.api.getEventTimestamp(event) || Date.now();
+      const ethPrice = await this.api.getHistoricalEthPrice(timestamp);
+      
+      return this.recordSale({
+        ...sale,
+        // Non-ETH payments keep the USD value they were normalized to
+        usdPrice: sale.payment.ethPegged && ethPrice ? sale.priceEth * ethPrice : sale.usdPrice,
+        timestamp,
+        tweetStatus: 'backfilled'
+      }, null);
+    } catch (error) {
+      this.sales.releaseSale(sale.saleKey);
+      throw error;
+    }
+  }
+  
+  /**
+   * When verification is on, check the event against its transaction receipt.
+   * Returns false for events that don't match; those are recorded without a
+   * tweet so the dashboard can show them, and their key is left free for the
+   * on-chain monitor to record the real sale.
+   */
+  async confirmOnChain(sale) {
+    if (!this.verifier || !this.config.OPENSEA_VERIFICATION_ENABLED) {
+      return true;
+    }
+    
+    try {
+      sale.verification = await this.verifier.verify(sale);
+    } catch (error) {
+      this.sales.releaseSale(sale.saleKey);
+      throw error;
+    }
+    
+    if (sale.verification.status === 'verified') {
+      return true;
+    }
+    
+    console.log(`❌ OpenSea event for ${sale.contractAddress}/${sale.tokenId} doesn't match the chain: ${sale.verification.problems.join('; ')}`);
+    this.sales.releaseSale(sale.saleKey);
+    
+    // The stream and the safety poll can both deliver the same event
+    const alreadyRecorded = sale.txHash && this.sales.querySales({
+      txHash: sale.txHash,
+      contract: sale.contractAddress,
+      tokenId: sale.tokenId,
+      tweetStatus: 'unverified'
+    }).length > 0;
+    if (!alreadyRecorded) {
+      this.recordSale({ ...sale, saleKey: null, tweetStatus: 'unverified' }, null);
+    }
+    return false;
+  }
+  
+  /**
+   * Wash trade review for sales announced together, or null when screening is off
+   */
+  async reviewSales(sales) {
+    if (!this.washTrades) {
+      return null;
+    }
+    return this.washTrades.review(sales.map(sale => ({
+      chain: sale.chain,
+      contract: sale.contractAddress,
+      tokenId: sale.tokenId,
+      txHash: sale.txHash,
+      buyer: sale.buyer,
+      seller: sale.seller,
+      marketplace: sale.marketplace
+    })));
+  }
+  
+  // Helper method to record OpenSea sales in the sales ledger
+  recordSale(sale, buyerDisplay) {
+    const { details } = sale;
+    
+    return this.sales.recordSale({
+      saleKey: sale.saleKey,
+      chain: sale.chain,
+      contract: sale.contractAddress,
+      tokenId: sale.tokenId,
+      txHash: sale.txHash,
+      priceEth: sale.priceEth,
+      currency: sale.payment.currency,
+      amount: sale.payment.amount,
+      paymentToken: sale.payment.paymentToken,
+      usdPrice: sale.usdPrice,
+      marketplace: sale.marketplace,
+      buyer: sale.buyer,
+      buyerDisplay,
+      seller: sale.seller,
+      bundle: sale.bundle,
+      washTrade: sale.washTrade,
+      verification: sale.verification,
+      timestamp: sale.timestamp,
+      tweetStatus: sale.tweetStatus,
+      source: sale.event.simulated ? 'Simulation' : 'OpenSea',
+      metadata: {
+        projectName: details.projectName,
+        artistName: details.artistName,
+        contractName: details.contractName,
+        projectId: details.projectId,
+        tokenNumber: details.tokenNumber,
+        url: details.artBlocksUrl,
+        aiContext: details.aiContext || null
+      }
+    });
+  }
+  
+  /**
+   * Start polling for OpenSea events. Restarts the poll if it is already
+   * running, e.g. to pick up a new poll interval.
+   */
+  startEventPolling(interval = this.config.OPENSEA_EVENTS_POLL_INTERVAL) {
+    this.stopEventPolling();
+    console.log(`Starting OpenSea events polling every ${Math.round(interval / 1000)}s`);
+    
+    // Process events immediately on startup
+    this.processOpenSeaEvents();
+    
+    // Set up interval to poll for new events
+    const pollId = setInterval(() => {
+      if (VERBOSE_LOGGING) {
+        console.log(`[${new Date().toISOString()}] Polling OpenSea for new sales...`);
+      }
+      
+      this.processOpenSeaEvents()
+        .then(eventsFound => {
+          if (VERBOSE_LOGGING && eventsFound && eventsFound.length > 0) {
+            console.log(`[${new Date().toISOString()}] Poll complete. Found ${eventsFound.length} new events.`);
+          }
+        })
+        .catch(err => {
+          console.error('Error in OpenSea poll:', err);
+        });
+    }, interval);
+    
+    // Store the interval ID so it can be cleared if needed
+    this.pollIntervalId = pollId;
+    
+    return pollId;
+  }
+
+  stopEventPolling() {
+    if (this.pollIntervalId) {
+      clearInterval(this.pollIntervalId);
+      this.pollIntervalId = null;
+    }
+  }
+}
+
+// =========================================================
+// OPENSEA STREAM
+// =========================================================
+
+/**
+ * Buyer and seller of a stream sale. The maker is the seller when their order
+ * offered the NFT (a listing) and the buyer when it offered payment (an item,
+ * collection or trait offer being accepted). Null if the order isn't included.
+ */
+function streamSaleParties(sale) {
+  const offer = sale.protocol_data?.parameters?.offer;
+  const maker = sale.maker?.address;
+  const taker = sale.taker?.address;
+  if (!Array.isArray(offer) || offer.length === 0 || !maker || !taker) {
+    return null;
+  }
+  
+  const makerSellsNft = offer.some(item => SEAPORT_NFT_ITEM_TYPES.includes(Number(item.itemType)));
+  return makerSellsNft ? { buyer: taker, seller: maker } : { buyer: maker, seller: taker };
+}
+
+/**
+ * Convert an `item_sold` Stream API payload into the shape of a sale from
+ * the REST events API, so both sources go through the same processing.
+ * Returns null if the buyer and seller can't be told apart.
+ */
+function streamSaleToEvent(sale) {
+  const [chain, contract, identifier] = (sale.item?.nft_id || '').split('/');
+  const parties = streamSaleParties(sale);
+  if (!parties) {
+    return null;
+  }
+  
+  return {
+    event_type: 'sale',
+    chain,
+    order_hash: sale.order_hash || null,
+    transaction: sale.transaction?.hash || null,
+    event_timestamp: Math.floor(new Date(sale.event_timestamp || Date.now()).getTime() / 1000),
+    nft: { contract, identifier, collection: sale.collection?.slug || null },
+    payment: {
+      quantity: sale.sale_price,
+      token_address: sale.payment_token?.address,
+      symbol: sale.payment_token?.symbol,
+      decimals: sale.payment_token?.decimals
+    },
+    buyer: parties.buyer,
+    seller: parties.seller,
+    quantity: sale.quantity || 1
+  };
+}
+
+/**
+ * Optional push ingestion of `item_sold` events from OpenSea's Stream API,
+ * a Phoenix channels websocket. Joins one `collection:<slug>` channel per
+ * slug, heartbeats on the `phoenix` topic and reconnects with exponential
+ * backoff. Sales arriving within OPENSEA_STREAM_BATCH_WINDOW are processed
+ * together so sweeps still group. `onHealthChange(healthy)` lets the bot fall
+ * back to fast polling while the stream is down.
+ */
+class OpenSeaStreamClient {
+  constructor(openSeaProcessor, config, onHealthChange = () => {}) {
+    this.processor = openSeaProcessor;
+    this.config = config;
+    this.onHealthChange = onHealthChange;
+    this.socket = null;
+    this.ref = 0;
+    this.pendingJoins = new Map(); // ref -> slug
+    this.joinedSlugs = new Set();
+    this.awaitingHeartbeat = null; // ref of the unanswered heartbeat
+    this.reconnectAttempts = 0;
+    this.healthy = false;
+    this.stopped = true;
+    this.saleBuffer = [];
+    this.stats = { connects: 0, disconnects: 0, salesReceived: 0, lastMessageAt: null, lastError: null };
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+    this.joinedSlugs.clear();
+    this.updateHealth();
+  }
+
+  connect() {
+    const url = new URL(this.config.OPENSEA_STREAM_URL);
+    url.searchParams.set('token', process.env.OPENSEA_API_KEY || '');
+    url.searchParams.set('vsn', '1.0.0'); // Object messages: { topic, event, payload, ref }
+    
+    console.log(`Connecting to OpenSea Stream at ${url.origin}${url.pathname}`);
+    const socket = new WebSocket(url.toString());
+    this.socket = socket;
+    
+    socket.on('open', () => {
+      console.log('OpenSea Stream connected');
+      this.stats.connects++;
+      this.reconnectAttempts = 0;
+      this.awaitingHeartbeat = null;
+      this.joinCollections();
+      this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.config.OPENSEA_STREAM_HEARTBEAT_INTERVAL);
+    });
+    
+    socket.on('message', data => {
+      try {
+        this.handleMessage(JSON.parse(data.toString()));
+      } catch (error) {
+        console.error('Error handling OpenSea Stream message:', error.message);
+      }
+    });
+    
+    socket.on('error', error => {
+      this.stats.lastError = error.message;
+      console.error('OpenSea Stream error:', error.message);
+    });
+    
+    // 'close' also follows a failed connection attempt
+    socket.on('close', code => this.handleDisconnect(`closed with code ${code}`));
+  }
+
+  send(topic, event, payload = {}) {
+    const ref = String(++this.ref);
+    this.socket.send(JSON.stringify({ topic, event, payload, ref }));
+    return ref;
+  }
+
+  joinCollections() {
+    this.pendingJoins.clear();
+    this.joinedSlugs.clear();
+    for (const slug of this.config.OPENSEA_COLLECTION_SLUGS) {
+      this.pendingJoins.set(this.send(`collection:${slug}`, 'phx_join'), slug);
+    }
+  }
+
+  /**
+   * A heartbeat still unanswered when the next one is due means the
+   * connection is dead even if the socket looks open
+   */
+  sendHeartbeat() {
+    if (this.awaitingHeartbeat) {
+      console.warn('OpenSea Stream heartbeat timed out, reconnecting');
+      this.socket.terminate();
+      return;
+    }
+    this.awaitingHeartbeat = this.send('phoenix', 'heartbeat');
+  }
+
+  handleMessage(message) {
+    this.stats.lastMessageAt = Date.now();
+    const { topic, event, payload, ref } = message;
+    
+    if (event === 'phx_reply') {
+      if (ref === this.awaitingHeartbeat) {
+        this.awaitingHeartbeat = null;
+      } else if (this.pendingJoins.has(ref)) {
+        const slug = this.pendingJoins.get(ref);
+        this.pendingJoins.delete(ref);
+        if (payload?.status === 'ok') {
+          this.joinedSlugs.add(slug);
+          console.log(`Joined OpenSea Stream channel for ${slug}`);
+        } else {
+          console.error(`OpenSea Stream refused to join ${slug}:`, JSON.stringify(payload?.response || payload));
+        }
+      }
+      this.updateHealth();
+      return;
+    }
+    
+    if (event === 'phx_error' || event === 'phx_close') {
+      const slug = topic.replace(/^collection:/, '');
+      console.warn(`OpenSea Stream channel ${topic} ${event === 'phx_error' ? 'errored' : 'closed'}, rejoining`);
+      this.joinedSlugs.delete(slug);
+      this.pendingJoins.set(this.send(topic, 'phx_join'), slug);
+      this.updateHealth();
+      return;
+    }
+    
+    if (event === 'item_sold') {
+      this.stats.salesReceived++;
+      const sale = streamSaleToEvent(payload.payload || payload);
+      if (!sale) {
+        // The safety poll picks it up from the events API, which names both parties
+        console.warn(`OpenSea Stream sale on ${topic} has no order to tell the buyer from the seller, leaving it to polling`);
+        return;
+      }
+      this.bufferSale(sale);
+    }
+  }
+
+  bufferSale(event) {
+    this.saleBuffer.push(event);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushSales(), this.config.OPENSEA_STREAM_BATCH_WINDOW);
+    }
+  }
+
+  async flushSales() {
+    const events = this.saleBuffer;
+    this.saleBuffer = [];
+    this.flushTimer = null;
+    
+    console.log(`Processing ${events.length} sale(s) from OpenSea Stream`);
+    await this.processor.processEventBatch(events);
+  }
+
+  handleDisconnect(reason) {
+    clearInterval(this.heartbeatTimer);
+    this.socket = null;
+    this.joinedSlugs.clear();
+    this.stats.disconnects++;
+    this.updateHealth();
+    
+    if (this.stopped) {
+      return;
+    }
+    
+    // Exponential backoff with jitter, capped
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, this.config.OPENSEA_STREAM_MAX_RECONNECT_DELAY) + Math.floor(Math.random() * 1000);
+    this.reconnectAttempts++;
+    console.warn(`OpenSea Stream ${reason}; reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  isHealthy() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN &&
+      this.joinedSlugs.size === this.config.OPENSEA_COLLECTION_SLUGS.length;
+  }
+
+  updateHealth() {
+    const healthy = this.isHealthy();
+    if (healthy === this.healthy) {
+      return;
+    }
+    
+    this.healthy = healthy;
+    console.log(`OpenSea Stream is ${healthy ? 'healthy' : 'unhealthy'}`);
+    this.onHealthChange(healthy);
+  }
+
+  getStatus() {
+    return {
+      running: !this.stopped,
+      healthy: this.healthy,
+      joinedSlugs: Array.from(this.joinedSlugs),
+      reconnectAttempts: this.reconnectAttempts,
+      ...this.stats
+    };
+  }
+}
+
+// =========================================================
+// ACTIVITY ALERTS
+// =========================================================
+
+// OpenSea event types polled for alerts. Item, collection and trait offers are
+// separate event types on the events API.
+const ACTIVITY_EVENT_TYPES = ['listing', 'offer', 'collection_offer', 'trait_offer'];
+
+/**
+ * Optional alerts for notable listings (at or below floor) and large offers.
+ * Deliberately kept apart from the sales pipeline: events never touch the
+ * sales store or the tweet queue, and alerts go to their own webhook with
+ * templates that can't be mistaken for a sale.
+ */
+class ActivityAlertProcessor {
+  constructor(apiServices, metadataManager, config) {
+    this.api = apiServices;
+    this.metadata = metadataManager;
+    this.config = config;
+    this.checkpointFile = new JsonStateFile(path.join(config.DATA_DIR, 'activity-checkpoints.json'));
+    this.checkpoints = this.checkpointFile.read({}); // `${slug}:${eventType}` -> newest event timestamp (ms)
+    this.alertedOrders = new Set(); // Order hashes already alerted on
+    this.alertCounts = { listing: 0, offer: 0 };
+    this.lastAlert = null;
+  }
+
+  startPolling() {
+    console.log('Starting OpenSea listing/offer alert polling');
+    
+    this.stopPolling();
+    this.pollActivity();
+    this.pollIntervalId = setInterval(() => this.pollActivity(), this.config.ACTIVITY_POLL_INTERVAL);
+    
+    return this.pollIntervalId;
+  }
+
+  stopPolling() {
+    if (this.pollIntervalId) {
+      clearInterval(this.pollIntervalId);
+      this.pollIntervalId = null;
+    }
+  }
+
+  async pollActivity() {
+    for (const collectionSlug of this.config.OPENSEA_COLLECTION_SLUGS) {
+      for (const eventType of ACTIVITY_EVENT_TYPES) {
+        const key = `${collectionSlug}:${eventType}`;
+        // Only look back one poll interval on first run; stale alerts aren't useful
+        const checkpoint = this.checkpoints[key] || (Date.now() - this.config.ACTIVITY_POLL_INTERVAL);
+        
+        try {
+          const events = await this.api.fetchOpenSeaEvents(collectionSlug, {
+            eventType,
+            after: Math.floor(checkpoint / 1000)
+          });
+          
+          for (const event of events) {
+            await this.evaluateEvent(event, eventType);
+          }
+          
+          this.checkpoints[key] = events.reduce(
+            (newest, event) => Math.max(newest, this.api.getEventTimestamp(event)),
+            checkpoint
+          );
+          this.checkpointFile.write(this.checkpoints);
+        } catch (error) {
+          console.error(`Error fetching ${eventType} events for ${collectionSlug}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Alert on an event if it clears its thresholds. Returns the alert text or null.
+   */
+  async evaluateEvent(event, eventType) {
+    const orderId = event.order_hash || event.id;
+    if (orderId && this.alertedOrders.has(orderId)) {
+      return null;
+    }
+    
+    const nft = event.asset || event.nft || null;
+    const payment = event.payment && await this.api.normalizePayment({
+      quantity: event.payment.quantity,
+      tokenAddress: event.payment.token_address,
+      symbol: event.payment.symbol,
+      decimals: event.payment.decimals,
+      chain: nft ? this.config.getContractChain(nft.contract) : 'ethereum'
+    });
+    if (!payment || payment.priceEth === null) {
+      return null;
+    }
+    
+    // Collection and trait offers can be for several items; compare per item
+    const quantity = Number(event.quantity) || 1;
+    const priceEth = payment.priceEth / quantity;
+    const collectionSlug = nft?.collection || event.criteria?.collection?.slug || null;
+    const floor = collectionSlug ? await this.api.getCollectionFloor(collectionSlug) : null;
+    
+    let alertText = null;
+    
+    if (eventType === 'listing') {
+      if (!nft || priceEth < this.config.LISTING_ALERT_MIN_PRICE_ETH) return null;
+      if (!floor || priceEth > floor * this.config.LISTING_ALERT_FLOOR_RATIO) return null;
+      
+      const details = await this.metadata.getProjectDetails(nft.identifier, nft.contract);
+      alertText = this.formatListingAlert(details, priceEth, floor, event);
+      this.alertCounts.listing++;
+    } else {
+      if (priceEth < this.config.OFFER_ALERT_MIN_PRICE_ETH) return null;
+      
+      const details = nft ? await this.metadata.getProjectDetails(nft.identifier, nft.contract) : null;
+      alertText = this.formatOfferAlert(eventType, details, priceEth, quantity, floor, event);
+      this.alertCounts.offer++;
+    }
+    
+    if (orderId) {
+      this.alertedOrders.add(orderId);
+    }
+    
+    await this.sendAlert(alertText, { eventType, orderHash: orderId || null, priceEth, floor });
+    return alertText;
+  }
+
+  formatListingAlert(details, priceEth, floor, event) {
+    let text = `📋 LISTING ALERT (not a sale)\n`;
+    text += `${details.projectName} #${details.tokenNumber % 1000000} by ${details.artistName}\n`;
+    text += `listed for ${priceEth.toFixed(3)} ETH`;
+    text += ` (floor ${floor.toFixed(3)} ETH, ${Math.round((priceEth / floor) * 100)}% of floor)`;
+    if (event.maker) {
+      text += `\nby ${event.maker.address || event.maker}`;
+    }
+    text += `\n\n${details.artBlocksUrl}`;
+    return text;
+  }
+
+  formatOfferAlert(eventType, details, priceEth, quantity, floor, event) {
+    let text = `💬 OFFER ALERT (not a sale)\n`;
+    
+    if (eventType === 'trait_offer' && event.criteria?.trait) {
+      text += `Trait offer on ${event.criteria.collection?.slug || 'collection'}: ${event.criteria.trait.type} = ${event.criteria.trait.value}\n`;
+    } else if (eventType === 'collection_offer' || !details) {
+      text += `Collection offer on ${event.criteria?.collection?.slug || event.collection || 'collection'}\n`;
+    } else {
+      text += `${details.projectName} #${details.tokenNumber % 1000000} by ${details.artistName}\n`;
+    }
+    
+    text += `${priceEth.toFixed(3)} ETH${quantity > 1 ? ` each for up to ${quantity} items` : ''}`;
+    if (floor) {
+      text += ` (floor ${floor.toFixed(3)} ETH)`;
+    }
+    if (details) {
+      text += `\n\n${details.artBlocksUrl}`;
+    }
+    return text;
+  }
+
+  /**
+   * Post an alert to the activity webhook (Discord/Slack style `content` body)
+   */
+  async sendAlert(text, meta) {
+    console.log('\n--- ACTIVITY ALERT ---\n');
+    console.log(text);
+    console.log('\n---------------------\n');
+    
+    this.lastAlert = { text, ...meta, timestamp: Date.now() };
+    
+    if (!this.config.ACTIVITY_WEBHOOK_URL) {
+      console.log('No activity webhook configured, alert logged only');
+      return false;
+    }
+    
+    try {
+      await axios.post(this.config.ACTIVITY_WEBHOOK_URL, { content: text, type: 'activity', ...meta });
+      return true;
+    } catch (error) {
+      console.error('Error sending activity alert:', error.message);
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      polling: !!this.pollIntervalId,
+      webhookConfigured: !!this.config.ACTIVITY_WEBHOOK_URL,
+      alertCounts: this.alertCounts,
+      lastAlert: this.lastAlert
+    };
+  }
+}
+
+// =========================================================
+// MARKETPLACE DECODERS
+// =========================================================
+
+const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'; // Transfers from here are mints
+const BLUR_POOL_ADDRESS = '0x0000000000a39bb272e79075ade125fd351887ac';
+const ADDRESS_MASK = (1n << 160n) - 1n;
+
+// Seaport 1.x OrderFulfilled (identical across 1.1 - 1.6)
+const seaportInterface = new Utils.Interface([
+  'event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, ' +
+  'tuple(uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, ' +
+  'tuple(uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)'
+]);
+const SEAPORT_ORDER_FULFILLED_TOPIC = seaportInterface.getEventTopic('OrderFulfilled');
+const SEAPORT_PAYMENT_ITEM_TYPES = [0, 1]; // NATIVE, ERC20
+const SEAPORT_NFT_ITEM_TYPES = [2, 3, 4, 5]; // ERC721, ERC1155 and their criteria variants
+
+// Blur Exchange (v1) settles one sell and one buy order per match
+const BLUR_ORDER_TUPLE = 'tuple(address trader, uint8 side, address matchingPolicy, address collection, uint256 tokenId, ' +
+  'uint256 amount, address paymentToken, uint256 price, uint256 listingTime, uint256 expirationTime, ' +
+  'tuple(uint16 rate, address recipient)[] fees, uint256 salt, bytes extraParams)';
+const blurInterface = new Utils.Interface([
+  `event OrdersMatched(address indexed maker, address indexed taker, ${BLUR_ORDER_TUPLE} sell, bytes32 sellHash, ${BLUR_ORDER_TUPLE} buy, bytes32 buyHash)`
+]);
+
+// Blur Exchange v2 packs each fill into a few uint256 words
+const blurV2Interface = new Utils.Interface([
+  'event Execution721Packed(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide)',
+  'event Execution721TakerFeePacked(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide, uint256 takerFeeRecipientRate)',
+  'event Execution721MakerFeePacked(bytes32 orderHash, uint256 tokenIdListingIndexTrader, uint256 collectionPriceSide, uint256 makerFeeRecipientRate)'
+]);
+
+const LOOKSRARE_V2_NONCE_TUPLE = 'tuple(bytes32 orderHash, uint256 orderNonce, bool isNonceInvalidated)';
+const looksRareV2Interface = new Utils.Interface([
+  `event TakerAsk(${LOOKSRARE_V2_NONCE_TUPLE} nonceInvalidationParameters, address askUser, address bidUser, uint256 strategyId, address currency, address collection, uint256[] itemIds, uint256[] amounts, address[2] feeRecipients, uint256[3] feeAmounts)`,
+  `event TakerBid(${LOOKSRARE_V2_NONCE_TUPLE} nonceInvalidationParameters, address bidUser, address bidRecipient, uint256 strategyId, address currency, address collection, uint256[] itemIds, uint256[] amounts, address[2] feeRecipients, uint256[3] feeAmounts)`
+]);
+
+const looksRareV1Interface = new Utils.Interface([
+  'event TakerAsk(bytes32 orderHash, uint256 orderNonce, address indexed taker, address indexed maker, address indexed strategy, address currency, address collection, uint256 tokenId, uint256 amount, uint256 price)',
+  'event TakerBid(bytes32 orderHash, uint256 orderNonce, address indexed taker, address indexed maker, address indexed strategy, address currency, address collection, uint256 tokenId, uint256 amount, uint256 price)'
+]);
+
+const x2y2Interface = new Utils.Interface([
+  'event EvInventory(bytes32 indexed itemHash, address maker, address taker, uint256 orderSalt, uint256 settleSalt, ' +
+  'uint256 intent, uint256 delegateType, uint256 deadline, address currency, bytes dataMask, ' +
+  'tuple(uint256 price, bytes data) item, ' +
+  'tuple(uint8 op, uint256 orderIdx, uint256 itemIdx, uint256 price, bytes32 itemHash, address executionDelegate, ' +
+  'bytes dataReplacement, uint256 bidIncentivePct, uint256 aucMinIncrementPct, uint256 aucIncDurationSecs, ' +
+  'tuple(uint256 percentage, address to)[] fees) detail)'
+]);
+// Item data isn't an event or call, so decode it as the return value of a placeholder function
+const x2y2ItemDataInterface = new Utils.Interface([
+  'function pairs() view returns (tuple(address token, uint256 tokenId)[])'
+]);
+const X2Y2_INTENT_SELL = 1;
+const X2Y2_INTENT_BUY = 3;
+const X2Y2_FEE_BASE = 1000000n;
+
+// Sudoswap v2 pairs emit these from the pair contract itself
+const sudoswapInterface = new Utils.Interface([
+  'event SwapNFTOutPair(uint256 amountIn, uint256[] ids)',
+  'event SwapNFTInPair(uint256 amountOut, uint256[] ids)'
+]);
+
+/**
+ * Registry of marketplace sale decoders, keyed by event topic and (optionally)
+ * the emitting marketplace contract. Each decoder turns one log into zero or
+ * more per-NFT fills:
+ *
+ *   { marketplace, contract, tokenId, seller, buyer, paymentToken, priceWei,
+ *     sellerProceedsWei, marketplaceFeeWei, royaltyWei, logIndex }
+ *
+ * Fee fields are null when the marketplace doesn't expose them.
+ */
+class MarketplaceDecoderRegistry {
+  constructor(config) {
+    this.config = config;
+    this.decoders = new Map(); // Event topic -> decoders listening for it
+  }
+
+  /**
+   * Register a decoder: { name, marketplace, topics, addresses, decode(log, context) }.
+   * `addresses` may be null for events emitted by arbitrary contracts (e.g. AMM pairs).
+   */
+  register(decoder) {
+    const addresses = decoder.addresses ? decoder.addresses.map(addr => addr.toLowerCase()) : null;
+    for (const topic of decoder.topics) {
+      if (!this.decoders.has(topic)) {
+        this.decoders.set(topic, []);
+      }
+      this.decoders.get(topic).push({ ...decoder, addresses });
+    }
+    console.log(`Registered ${decoder.name} sale decoder (${decoder.marketplace})`);
+  }
+
+  findDecoders(log) {
+    const candidates = this.decoders.get(log.topics[0]) || [];
+    return candidates.filter(decoder => 
+      !decoder.addresses || decoder.addresses.includes(log.address.toLowerCase())
+    );
+  }
+
+  hasMarketplaceLogs(receipt) {
+    return receipt.logs.some(log => this.findDecoders(log).length > 0);
+  }
+
+  /**
+   * Decode all marketplace fills in a receipt. When the same NFT is reported
+   * twice (e.g. both sides of a matched order) the listing side wins.
+   */
+  decodeReceipt(receipt, transaction = null) {
+    const fills = new Map();
+    const context = { receipt, transaction, config: this.config };
+
+    for (const log of receipt.logs) {
+      for (const decoder of this.findDecoders(log)) {
+        let decoded = [];
+        try {
+          decoded = decoder.decode(log, context) || [];
+        } catch (error) {
+          console.error(`${decoder.name} decoder failed on log ${log.logIndex}:`, error.message);
+          continue;
+        }
+
+        for (const fill of decoded) {
+          const key = `${fill.contract}-${fill.tokenId}`;
+          if (fills.has(key) && fills.get(key).fromListing && !fill.fromListing) continue;
+          fills.set(key, { marketplace: decoder.marketplace, logIndex: log.logIndex, ...fill });
+        }
+      }
+    }
+
+    return Array.from(fills.values());
+  }
+
+  static withDefaultDecoders(config) {
+    const registry = new MarketplaceDecoderRegistry(config);
+    registry.register(createSeaportDecoder(config));
+    registry.register(createBlurDecoder());
+    registry.register(createBlurV2Decoder());
+    registry.register(createLooksRareV2Decoder());
+    registry.register(createLooksRareV1Decoder());
+    registry.register(createX2Y2Decoder());
+    registry.register(createSudoswapDecoder());
+    return registry;
+  }
+}
+
+const sumAmounts = items => items.reduce((sum, item) => sum + item.amount.toBigInt(), 0n);
+
+function createSeaportDecoder(config) {
+  const feeRecipients = config.MARKETPLACE_FEE_RECIPIENTS.map(addr => addr.toLowerCase());
+
+  return {
+    name: 'Seaport',
+    marketplace: 'OpenSea',
+    topics: [SEAPORT_ORDER_FULFILLED_TOPIC],
+    addresses: null, // Seaport 1.x is deployed at several addresses
+    decode(log) {
+      const { args } = seaportInterface.parseLog(log);
+      const offerer = args.offerer.toLowerCase();
+      const recipient = args.recipient.toLowerCase();
+
+      const offeredNfts = args.offer.filter(item => SEAPORT_NFT_ITEM_TYPES.includes(item.itemType));
+      const consideredNfts = args.consideration.filter(item => SEAPORT_NFT_ITEM_TYPES.includes(item.itemType));
+      const isPayment = item => SEAPORT_PAYMENT_ITEM_TYPES.includes(item.itemType);
+      const isFee = item => feeRecipients.includes(item.recipient.toLowerCase());
+
+      let nfts, seller, buyer, payments, totalWei, sellerProceedsWei, marketplaceFeeWei, fromListing;
+
+      if (offeredNfts.length > 0) {
+        // Listing fulfilled: the offerer sells, the buyer pays every consideration item
+        fromListing = true;
+        nfts = offeredNfts;
+        seller = offerer;
+        buyer = recipient;
+        payments = args.consideration.filter(isPayment);
+        totalWei = sumAmounts(payments);
+        sellerProceedsWei = sumAmounts(payments.filter(item => item.recipient.toLowerCase() === seller));
+        marketplaceFeeWei = sumAmounts(payments.filter(isFee));
+      } else if (consideredNfts.length > 0) {
+        // Offer accepted: the offerer pays with the offered tokens and fees come out of that amount
+        fromListing = false;
+        nfts = consideredNfts;
+        seller = recipient;
+        buyer = offerer;
+        payments = args.offer.filter(isPayment);
+        totalWei = sumAmounts(payments);
+        const feeItems = args.consideration.filter(isPayment);
+        marketplaceFeeWei = sumAmounts(feeItems.filter(isFee));
+        sellerProceedsWei = totalWei - sumAmounts(feeItems);
+      } else {
+        // Payment-only order (e.g. one side of a matched order)
+        return [];
+      }
+
+      if (payments.length === 0 || totalWei === 0n) return [];
+
+      // Seaport doesn't price items individually, so split multi-item orders evenly
+      const count = BigInt(nfts.length);
+      const royaltyWei = totalWei - sellerProceedsWei - marketplaceFeeWei;
+      const paymentToken = payments[0].itemType === 0 ? NATIVE_TOKEN_ADDRESS : payments[0].token.toLowerCase();
+
+      return nfts.map(nft => ({
+        contract: nft.token.toLowerCase(),
+        tokenId: nft.identifier.toString(),
+        seller,
+        buyer: nft.recipient ? nft.recipient.toLowerCase() : buyer,
+        paymentToken,
+        priceWei: totalWei / count,
+        sellerProceedsWei: sellerProceedsWei / count,
+        marketplaceFeeWei: marketplaceFeeWei / count,
+        royaltyWei: royaltyWei / count,
+        fromListing
+      }));
+    }
+  };
+}
+
+function createBlurDecoder() {
+  return {
+    name: 'Blur Exchange',
+    marketplace: 'Blur',
+    topics: [blurInterface.getEventTopic('OrdersMatched')],
+    addresses: ['0x000000000000Ad05Ccc4F10045630fb830B95127'],
+    decode(log) {
+      const { args } = blurInterface.parseLog(log);
+      const sell = args.sell;
+      const priceWei = sell.price.toBigInt();
+
+      // Blur order fees are creator royalties paid out of the seller's price
+      const royaltyWei = sell.fees.reduce((sum, fee) => sum + (priceWei * BigInt(fee.rate)) / 10000n, 0n);
+
+      return [{
+        contract: sell.collection.toLowerCase(),
+        tokenId: sell.tokenId.toString(),
+        seller: sell.trader.toLowerCase(),
+        buyer: args.buy.trader.toLowerCase(),
+        paymentToken: sell.paymentToken.toLowerCase(),
+        priceWei,
+        sellerProceedsWei: priceWei - royaltyWei,
+        marketplaceFeeWei: 0n,
+        royaltyWei,
+        fromListing: true
+      }];
+    }
+  };
+}
+
+function createBlurV2Decoder() {
+  const topics = {
+    [blurV2Interface.getEventTopic('Execution721Packed')]: null,
+    [blurV2Interface.getEventTopic('Execution721TakerFeePacked')]: 'takerFeeRecipientRate',
+    [blurV2Interface.getEventTopic('Execution721MakerFeePacked')]: 'makerFeeRecipientRate'
+  };
+
+  return {
+    name: 'Blur Exchange v2',
+    marketplace: 'Blur',
+    topics: Object.keys(topics),
+    addresses: ['0xb2ecfE4E4D61f8790bbb9DE2D1259B9e2410CEA5'],
+    decode(log, context) {
+      const { args } = blurV2Interface.parseLog(log);
+      const tokenIdListingIndexTrader = args.tokenIdListingIndexTrader.toBigInt();
+      const collectionPriceSide = args.collectionPriceSide.toBigInt();
+
+      const trader = '0x' + (tokenIdListingIndexTrader & ADDRESS_MASK).toString(16).padStart(40, '0');
+      const tokenId = (tokenIdListingIndexTrader >> 168n).toString();
+      const collection = '0x' + (collectionPriceSide & ADDRESS_MASK).toString(16).padStart(40, '0');
+      const priceWei = (collectionPriceSide >> 160n) & ((1n << 88n) - 1n);
+      const isAsk = (collectionPriceSide >> 248n) === 0n; // OrderType.ASK = 0, BID = 1
+
+      // Fee word packs a uint16 rate (bps) above the recipient address
+      const feeField = topics[log.topics[0]];
+      const feeRate = feeField ? args[feeField].toBigInt() >> 160n : 0n;
+      const royaltyWei = (priceWei * feeRate) / 10000n;
+
+      // The taker isn't in the event; the transaction sender is the best guess
+      const taker = context.transaction?.from ? context.transaction.from.toLowerCase() : null;
+
+      return [{
+        contract: collection,
+        tokenId,
+        seller: isAsk ? trader : taker,
+        buyer: isAsk ? taker : trader,
+        paymentToken: isAsk ? NATIVE_TOKEN_ADDRESS : BLUR_POOL_ADDRESS,
+        priceWei,
+        sellerProceedsWei: priceWei - royaltyWei,
+        marketplaceFeeWei: 0n,
+        royaltyWei,
+        fromListing: isAsk
+      }];
+    }
+  };
+}
+
+function createLooksRareV2Decoder() {
+  return {
+    name: 'LooksRare v2',
+    marketplace: 'LooksRare',
+    topics: [looksRareV2Interface.getEventTopic('TakerAsk'), looksRareV2Interface.getEventTopic('TakerBid')],
+    addresses: ['0x0000000000E655fAe4d56241588680F86E3b2377'],
+    decode(log) {
+      const parsed = looksRareV2Interface.parseLog(log);
+      const { args } = parsed;
+      const isTakerAsk = parsed.name === 'TakerAsk';
+
+      // feeAmounts = [seller proceeds, creator fee, protocol fee]
+      const [sellerProceeds, creatorFee, protocolFee] = args.feeAmounts.map(amount => amount.toBigInt());
+      const count = BigInt(args.itemIds.length || 1);
+
+      return args.itemIds.map(itemId => ({
+        contract: args.collection.toLowerCase(),
+        tokenId: itemId.toString(),
+        seller: (isTakerAsk ? args.askUser : args.feeRecipients[0]).toLowerCase(),
+        buyer: (isTakerAsk ? args.bidUser : args.bidRecipient).toLowerCase(),
+        paymentToken: args.currency.toLowerCase(),
+        priceWei: (sellerProceeds + creatorFee + protocolFee) / count,
+        sellerProceedsWei: sellerProceeds / count,
+        marketplaceFeeWei: protocolFee / count,
+        royaltyWei: creatorFee / count,
+        fromListing: !isTakerAsk
+      }));
+    }
+  };
+}
+
+function createLooksRareV1Decoder() {
+  return {
+    name: 'LooksRare v1',
+    marketplace: 'LooksRare',
+    topics: [looksRareV1Interface.getEventTopic('TakerAsk'), looksRareV1Interface.getEventTopic('TakerBid')],
+    addresses: ['0x59728544B08AB483533076417FbBB2fD0B17CE3a'],
+    decode(log) {
+      const parsed = looksRareV1Interface.parseLog(log);
+      const { args } = parsed;
+      const isTakerAsk = parsed.name === 'TakerAsk';
+
+      // v1 reports royalties in a separate event, so only the price is known here
+      return [{
+        contract: args.collection.toLowerCase(),
+        tokenId: args.tokenId.toString(),
+        seller: (isTakerAsk ? args.taker : args.maker).toLowerCase(),
+        buyer: (isTakerAsk ? args.maker : args.taker).toLowerCase(),
+        paymentToken: args.currency.toLowerCase(),
+        priceWei: args.price.toBigInt(),
+        sellerProceedsWei: null,
+        marketplaceFeeWei: null,
+        royaltyWei: null,
+        fromListing: !isTakerAsk
+      }];
+    }
+  };
+}
+
+function createX2Y2Decoder() {
+  const x2y2FeeRecipient = '0xd823c605807cc5e6bd6fc0d7e4eea50d3e2d66cd';
+
+  return {
+    name: 'X2Y2',
+    marketplace: 'X2Y2',
+    topics: [x2y2Interface.getEventTopic('EvInventory')],
+    addresses: ['0x74312363e45DCaBA76c59ec49a7Aa8A65a67EeD3'],
+    decode(log) {
+      const { args } = x2y2Interface.parseLog(log);
+      const intent = args.intent.toNumber();
+      if (intent !== X2Y2_INTENT_SELL && intent !== X2Y2_INTENT_BUY) return [];
+
+      // ERC-721 item data is an encoded (token, tokenId)[] list
+      const [pairs] = x2y2ItemDataInterface.decodeFunctionResult('pairs', args.item.data);
+      if (!pairs || pairs.length === 0) return [];
+
+      const priceWei = args.detail.price.toBigInt();
+      let marketplaceFeeWei = 0n;
+      let royaltyWei = 0n;
+      for (const fee of args.detail.fees) {
+        const amount = (priceWei * fee.percentage.toBigInt()) / X2Y2_FEE_BASE;
+        if (fee.to.toLowerCase() === x2y2FeeRecipient) {
+          marketplaceFeeWei += amount;
+        } else {
+          royaltyWei += amount;
+        }
+      }
+
+      const isSell = intent === X2Y2_INTENT_SELL;
+      const count = BigInt(pairs.length);
+
+      return pairs.map(pair => ({
+        contract: pair.token.toLowerCase(),
+        tokenId: pair.tokenId.toString(),
+        seller: (isSell ? args.maker : args.taker).toLowerCase(),
+        buyer: (isSell ? args.taker : args.maker).toLowerCase(),
+        paymentToken: args.currency.toLowerCase(),
+        priceWei: priceWei / count,
+        sellerProceedsWei: (priceWei - marketplaceFeeWei - royaltyWei) / count,
+        marketplaceFeeWei: marketplaceFeeWei / count,
+        royaltyWei: royaltyWei / count,
+        fromListing: isSell
+      }));
+    }
+  };
+}
+
+function createSudoswapDecoder() {
+  const outTopic = sudoswapInterface.getEventTopic('SwapNFTOutPair');
+
+  return {
+    name: 'Sudoswap v2',
+    marketplace: 'Sudoswap',
+    topics: [outTopic, sudoswapInterface.getEventTopic('SwapNFTInPair')],
+    addresses: null, // Emitted by each pool contract
+    decode(log, context) {
+      const parsed = sudoswapInterface.parseLog(log);
+      const pair = log.address.toLowerCase();
+      const isBuyFromPool = log.topics[0] === outTopic;
+      const ids = parsed.args.ids.map(id => id.toString());
+      if (ids.length === 0) return [];
+
+      // The pool event doesn't name the collection, so match the NFT transfers in/out of the pool
+      const totalWei = (isBuyFromPool ? parsed.args.amountIn : parsed.args.amountOut).toBigInt();
+      const fills = [];
+
+      for (const transferLog of context.receipt.logs) {
+        if (transferLog.topics[0] !== TRANSFER_EVENT_TOPIC || transferLog.topics.length < 4) continue;
+
+        const from = '0x' + transferLog.topics[1].slice(26).toLowerCase();
+        const to = '0x' + transferLog.topics[2].slice(26).toLowerCase();
+        const tokenId = BigInt(transferLog.topics[3]).toString();
+        const poolSide = isBuyFromPool ? from : to;
+
+        if (poolSide !== pair || !ids.includes(tokenId)) continue;
+
+        fills.push({
+          contract: transferLog.address.toLowerCase(),
+          tokenId,
+          seller: from,
+          buyer: to,
+          paymentToken: NATIVE_TOKEN_ADDRESS,
+          priceWei: totalWei / BigInt(ids.length),
+          sellerProceedsWei: null,
+          marketplaceFeeWei: null,
+          royaltyWei: null,
+          fromListing: isBuyFromPool
+        });
+      }
+
+      return fills;
+    }
+  };
+}
+
+// =========================================================
+// TRANSACTION PROCESSOR
+// =========================================================
+
+class TransactionProcessor {
+  constructor(apiServices, metadataManager, tweetManager, salesStore, config, washTradeDetector = null) {
+    this.api = apiServices;
+    this.metadata = metadataManager;
+    this.tweets = tweetManager;
+    this.sales = salesStore;
+    this.config = config;
+    this.washTrades = washTradeDetector;
+    // Track whether we have active transfer monitoring
+    this.hasDirectEventMonitoring = false;
+    this.hasBackfillMonitoring = false;
+    // Set of processed transaction hashes to avoid duplicates
+    this.processedTransactions = new Set();
+    // Transactions being processed right now, so two sources can't race on one
+    this.inFlightTransactions = new Set();
+    // Marketplace sale decoders; more can be registered at runtime
+    this.decoders = MarketplaceDecoderRegistry.withDefaultDecoders(config);
+  }
+
+  /**
+   * Announce the sales (and mints, in mint mode) in a transaction. Returns
+   * true once they are announced, false when there was nothing to announce,
+   * and null when processing failed or is already under way elsewhere, in
+   * which case the transaction is not marked processed and can be retried.
+   */
+  async processTransaction(tx, contractAddress) {
+    console.log(`Processing transaction for ${contractAddress}: ${tx.hash}`);
+    const sales = [];
+    
+    // Skip if we've already processed this transaction
+    if (this.processedTransactions.has(tx.hash)) {
+      console.log(`Already processed transaction ${tx.hash}, skipping`);
+      return false;
+    }
+    if (this.inFlightTransactions.has(tx.hash)) {
+      console.log(`Transaction ${tx.hash} is already being processed, skipping`);
+      return null;
+    }
+    this.inFlightTransactions.add(tx.hash);
+    
+    try {
+      const mints = [];
+      const chain = this.config.getContractChain(contractAddress);
+      const prepared = await this.prepareTransactionSales(tx.hash, sales, null, this.config.MINT_MODE ? mints : null, chain);
+      if (!prepared) {
+        this.processedTransactions.add(tx.hash);
+        return false;
+      }
+      
+      // Tokens bought together by the same collector are announced as one bundle/sweep
+      for (const group of groupSalesByBuyer(sales)) {
+        if (group.length > 1) {
+          await this.announceBundle(group);
+        } else {
+          await this.announceSale(group[0]);
+        }
+      }
+      
+      if (mints.length > 0) {
+        await this.announceMints(mints, prepared.transaction, prepared.receipt);
+      }
+      
+      // Only now, so a failure above leaves the transaction open to a retry
+      this.processedTransactions.add(tx.hash);
+      return true;
+    } catch (error) {
+      console.error('Error processing transaction:', error);
+      sales.forEach(sale => this.sales.releaseSale(sale.saleKey));
+      return null;
+    } finally {
+      this.inFlightTransactions.delete(tx.hash);
+    }
+  }
+  
+  /**
+   * Fetch a transaction and push a prepared sale for every Art Blocks token it
+   * sold onto `sales`. `filter(transfer)` can restrict which tokens count.
+   * Mints never go through the sale path; pass a `mints` array to collect
+   * them. Returns { transaction, receipt }, or null when there is nothing to
+   * announce. `chain` selects which network the hash is looked up on.
+   */
+  async prepareTransactionSales(txHash, sales, filter = null, mints = null, chain = 'ethereum') {
+    const alchemy = this.api.getAlchemy(chain);
+    
+    // Get transaction details. We only look up hashes seen in logs, so a
+    // missing transaction or receipt is a node hiccup rather than nothing to do.
+    const transaction = await alchemy.core.getTransaction(txHash);
+    if (!transaction) {
+      throw new Error(`Transaction ${txHash} not found`);
+    }
+    if (!transaction.to) {
+      console.log('Contract creation transaction, skipping');
+      return null;
+    }
+    
+    // Get transaction receipt with logs
+    const receipt = await alchemy.core.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error(`Receipt for ${txHash} not found`);
+    }
+    
+    // Every Art Blocks token moved in this transaction, across all monitored contracts
+    const transfers = this.extractTransfers(receipt);
+    
+    if (transfers.length === 0) {
+      console.log('No Transfer events found in transaction');
+      return null;
+    }
+    
+    console.log(`Found ${transfers.length} Art Blocks transfers in transaction ${txHash}`);
+    
+    const saleTransfers = transfers.filter(transfer => transfer.from !== ZERO_ADDRESS);
+    
+    if (mints) {
+      mints.push(...transfers.filter(transfer => 
+        transfer.from === ZERO_ADDRESS && (!filter || filter(transfer))
+      ));
+    }
+    
+    // Price each token individually (the split still counts every token sold)
+    for (const transfer of saleTransfers) {
+      if (filter && !filter(transfer)) continue;
+      
+      const sale = await this.prepareSale(transfer, transaction, receipt, saleTransfers.length);
+      if (sale) {
+        sales.push(sale);
+      }
+    }
+    
+    return sales.length > 0 || (mints && mints.length > 0) ? { transaction, receipt } : null;
+  }
+
+  /**
+   * Price paid per token in a mint: an ERC-20 pulled from the minter's wallet
+   * for ERC-20 minters, otherwise the ETH sent to the minter contract
+   */
+  async extractMintPrice(transaction, receipt, mintCount, chain = 'ethereum') {
+    const payer = transaction.from.toLowerCase();
+    
+    // ERC-20 Transfers have 3 topics (ERC-721 ones index the token id as a 4th)
+    const erc20Payment = receipt.logs.find(log => 
+      log.topics[0] === TRANSFER_EVENT_TOPIC &&
+      log.topics.length === 3 &&
+      ('0x' + log.topics[1].slice(26)).toLowerCase() === payer
+    );
+    
+    if (erc20Payment) {
+      return this.api.normalizePayment({
+        quantity: BigInt(erc20Payment.data) / BigInt(mintCount),
+        tokenAddress: erc20Payment.address,
+        chain
+      });
+    }
+    
+    return this.api.normalizePayment({
+      quantity: BigInt(transaction.value) / BigInt(mintCount),
+      tokenAddress: NATIVE_TOKEN_ADDRESS,
+      chain
+    });
+  }
+
+  /**
+   * Whether a transaction called the core contract itself, a minter from
+   * MINTER_ADDRESSES or one the core contract approves
+   */
+  async isMinterCall(transaction, contractAddress) {
+    const to = transaction.to.toLowerCase();
+    if (to === contractAddress.toLowerCase() || this.config.MINTER_ADDRESSES.some(address => address.toLowerCase() === to)) {
+      return true;
+    }
+    return this.metadata.onChain.isApprovedMinter(contractAddress, to);
+  }
+
+  /**
+   * Tweet and record the primary mints in a transaction, one announcement per
+   * project and minter
+   */
+  async announceMints(allMints, transaction, receipt) {
+    // Only a call to the core contract or one of its minters is a priced
+    // primary sale; anything minting as a side effect has no price of its own
+    const mints = [];
+    for (const mint of allMints) {
+      if (await this.isMinterCall(transaction, mint.contractAddress)) {
+        mints.push(mint);
+      }
+    }
+    if (mints.length === 0) {
+      console.log(`Mint in ${transaction.hash} didn't go through a known minter (called ${transaction.to}), skipping`);
+      return [];
+    }
+    
+    const chain = this.config.getContractChain(mints[0].contractAddress);
+    const payment = await this.extractMintPrice(transaction, receipt, mints.length, chain);
+    if (!payment || payment.priceEth === null) {
+      console.log(`Could not price mint in ${transaction.hash}, skipping`);
+      return [];
+    }
+    
+    console.log(`Mint price for ${transaction.hash}: ${payment.amount} ${payment.symbol} (${payment.priceEth} ETH) per token`);
+    
+    if (payment.priceEth < this.config.MIN_MINT_PRICE_ETH) {
+      console.log(`Mint price ${payment.priceEth} ETH is below mint threshold, skipping`);
+      return [];
+    }
+    
+    const groups = new Map();
+    for (const mint of mints) {
+      const saleKey = SalesStore.saleKey({ chain, txHash: transaction.hash, contract: mint.contractAddress, tokenId: mint.tokenId });
+      if (!this.sales.claimSale(saleKey)) {
+        console.log(`Mint ${saleKey} already recorded, skipping`);
+        continue;
+      }
+      
+      const key = `${mint.contractAddress}-${Math.floor(Number(mint.tokenId) / 1000000)}-${mint.to}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ ...mint, saleKey });
+    }
+    
+    const records = [];
+    for (const group of groups.values()) {
+      try {
+        for (const mint of group) {
+          mint.details = await this.metadata.getProjectDetails(mint.tokenId, mint.contractAddress);
+        }
+        
+        const { contractAddress, to, details } = group[0];
+        const progress = await this.api.getProjectInvocations(contractAddress, details.projectId);
+        const minterDisplay = await this.tweets.getBuyerDisplay(to);
+        const tweetText = this.tweets.formatMintTweet(group.map(mint => mint.details), payment, minterDisplay, progress);
+        
+        console.log('=========================================');
+        console.log(`🌱 MINT DETECTED: ${group.length} x ${details.projectName} for ${payment.priceEth} ETH each`);
+        console.log('=========================================');
+        
+        const groupRecords = group.map(mint => this.recordSale({
+          saleKey: mint.saleKey,
+          chain,
+          contract: mint.contractAddress,
+          tokenId: mint.tokenId,
+          txHash: transaction.hash,
+          logIndex: mint.logIndex,
+          priceEth: payment.priceEth,
+          currency: payment.symbol,
+          amount: payment.amount,
+          paymentToken: payment.tokenAddress,
+          usdPrice: payment.priceUsd,
+          buyer: to,
+          buyerDisplay: minterDisplay,
+          seller: ZERO_ADDRESS,
+          source: 'Mint'
+        }, mint.details));
+        
+        this.tweets.queueSaleTweet(tweetText, groupRecords.map(record => record.id), null, group.map(mint => mint.details));
+        records.push(...groupRecords);
+      } catch (error) {
+        console.error('Error announcing mint:', error);
+        group.forEach(mint => this.sales.releaseSale(mint.saleKey));
       }
-      
-      // Create a simple trait text string
-      let traitsText = '';
-      if (traits.length > 0) {
-        traitsText = traits.map(trait => {
-          const type = trait.trait_type || trait.type || Object.keys(trait)[0];
-          const value = trait.value || trait[trait.trait_type];
-          if (type && value) return `${type}: ${value}`;
-          return '';
-        }).filter(Boolean).join(', ');
+    }
+    
+    return records;
+  }
+
+  /**
+   * Record the sales in a past transaction without tweeting them, priced at
+   * that day's ETH/USD rate. Returns the number of sales recorded.
+   */
+  async recordHistoricalTransaction(txHash, filter = null, chain = 'ethereum') {
+    const sales = [];
+    
+    try {
+      const prepared = await this.prepareTransactionSales(txHash, sales, filter, null, chain);
+      if (!prepared) {
+        return 0;
       }
+      const { receipt } = prepared;
       
-      console.log(`Traits found: ${traitsText || 'None'}`);
-
-      const { OpenAI } = require('openai');
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+      const block = await this.api.getAlchemy(chain).core.getBlock(receipt.blockNumber);
+      const timestamp = block.timestamp * 1000;
+      const ethPrice = await this.api.getHistoricalEthPrice(timestamp);
       
-      // Add collection-specific context
-      let collectionContext = '';
-      if (projectName) {
-        if (projectName.toLowerCase().includes('squiggle')) {
-          collectionContext = "Chromie Squiggle is Art Blocks' genesis project, embodying the essence of generative art.";
-        } else if (projectName.toLowerCase().includes('fidenza')) {
-          collectionContext = "Fidenza revolutionized on-chain art with its complex flow field algorithms.";
-        } else if (projectName.toLowerCase().includes('ringers')) {
-          collectionContext = "Ringers explores the nearly infinite variations of wrapping strings around pegs.";
-        } else if (projectName.toLowerCase() === 'automatism') {
-          collectionContext = "Automatism features algorithmic compositions inspired by subconscious artistic expression.";
+      for (const group of groupSalesByBuyer(sales)) {
+        const bundle = group.length > 1 ? this.describeBundle(group) : null;
+        
+        for (const sale of group) {
+          this.recordSale({
+            ...this.toSaleRecord(sale, null),
+            // Non-ETH payments were already priced in USD by the decoder
+            usdPrice: sale.payment.ethPegged && ethPrice ? sale.priceEth * ethPrice : sale.usdPrice,
+            timestamp,
+            bundle,
+            tweetStatus: 'backfilled'
+          }, sale.details);
         }
       }
       
-      // Simplified, reliable prompt
-      const prompt = `
-Project: "${projectName}" by ${artistName}
-${collectionContext ? `Project Context: ${collectionContext}` : ''}
-${traitsText ? `Token Traits: ${traitsText}` : ''}
-
-Write a brief, interesting comment about this artwork (under 30 words).
-If traits are available, mention at least one specific trait.
-Make it feel like a human observation, not AI-generated.
-Be specific about this exact artwork, not generic to all Art Blocks pieces.
-`;
-      
-      // Use a reliable model with moderate temperature
-      const response = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo", // More reliable than gpt-4o-mini
-        messages: [
-          {role: "system", content: "You write brief, engaging art commentary that highlights unique features of NFT artworks."},
-          {role: "user", content: prompt}
-        ],
-        max_tokens: 60,
-        temperature: 0.7,
-      });
-      
-      // Get response with minimal processing
-      let artContext = response.choices[0].message.content.trim();
+      return sales.length;
+    } catch (error) {
+      sales.forEach(sale => this.sales.releaseSale(sale.saleKey));
+      throw error;
+    }
+  }
+  
+  /**
+   * Parse every Transfer log from a monitored contract in a receipt
+   */
+  extractTransfers(receipt) {
+    const monitoredAddresses = this.config.CONTRACT_ADDRESSES.map(addr => addr.toLowerCase());
+    
+    return receipt.logs
+      .filter(log => monitoredAddresses.includes(log.address.toLowerCase()) && log.topics[0] === TRANSFER_EVENT_TOPIC)
+      .map(log => ({
+        contractAddress: log.address.toLowerCase(),
+        from: '0x' + log.topics[1].slice(26),
+        to: '0x' + log.topics[2].slice(26),
+        tokenId: BigInt(log.topics.length > 3 ? log.topics[3] : log.data).toString(),
+        logIndex: log.logIndex
+      }));
+  }
+  
+  /**
+   * Dedupe and price one transferred token. Returns null if it isn't a
+   * sale worth announcing.
+   */
+  async prepareSale(transfer, transaction, receipt, tokenCount) {
+    const { contractAddress, tokenId } = transfer;
+    const chain = this.config.getContractChain(contractAddress);
+    console.log(`Extracted from event - From: ${transfer.from}, To: ${transfer.to}, TokenId: ${tokenId}`);
+    
+    // Skip if this sale was already picked up by this or another source
+    const saleKey = SalesStore.saleKey({ chain, txHash: transaction.hash, contract: contractAddress, tokenId });
+    if (!this.sales.claimSale(saleKey)) {
+      console.log(`Sale ${saleKey} already recorded, skipping`);
+      return null;
+    }
+    
+    try {
+      // Extract price information
+      const saleInfo = await this.extractSalePrice(transaction, receipt, contractAddress, tokenId, tokenCount);
+      const priceEth = saleInfo.priceEth;
+      console.log(`Final sale price for ${contractAddress}/${tokenId}: ${priceEth} ETH`);
       
-      // Only remove quotes if they're at the beginning and end
-      if (artContext.startsWith('"') && artContext.endsWith('"')) {
-        artContext = artContext.slice(1, -1);
+      // Skip if below minimum price or zero
+      if (priceEth < this.config.MIN_PRICE_ETH || priceEth === 0) {
+        console.log(`Price ${priceEth} ETH is below minimum threshold or zero, skipping`);
+        this.sales.releaseSale(saleKey);
+        return null;
       }
       
-      // Log the result and return
-      console.log(`Generated art context: ${artContext}`);
-      return artContext || "A distinctive piece from the Art Blocks collection."; // Fallback if empty
+      // Get project details
+      const details = await this.metadata.getProjectDetails(tokenId, contractAddress);
       
+      // Get ETH/USD price (the decoder already priced non-ETH payments)
+      const ethPrice = await this.api.getEthPrice();
+      const usdPrice = saleInfo.usdPrice ?? (ethPrice ? (priceEth * ethPrice) : null);
+      
+      return {
+        ...transfer,
+        saleKey,
+        chain,
+        txHash: transaction.hash,
+        buyer: transfer.to,
+        seller: transfer.from,
+        priceEth,
+        usdPrice,
+        saleInfo,
+        payment: {
+          amount: saleInfo.amount,
+          currency: saleInfo.currency,
+          paymentToken: saleInfo.paymentToken,
+          ethPegged: saleInfo.ethPegged
+        },
+        marketplace: saleInfo.marketplace,
+        details
+      };
     } catch (error) {
-      console.error('OpenAI API error:', error.message);
-      return "A distinctive piece from the Art Blocks collection."; // Fallback on error
+      this.sales.releaseSale(saleKey);
+      throw error;
     }
   }
   
-  // Helper method to recursively search for traits in complex objects
-  _findTraitsRecursively(obj, depth = 0) {
-    // Prevent infinite recursion
-    if (depth > 5) return [];
+  /**
+   * Tweet and record a single-token sale
+   */
+  async announceSale(sale) {
+    const { details, priceEth, usdPrice } = sale;
     
-    // If we found an array that looks like traits, return it
-    if (Array.isArray(obj) && obj.length > 0 && 
-        (obj[0].trait_type || obj[0].type || obj[0].key || obj[0].attribute_type)) {
-      return obj;
-    }
+    // Get buyer info
+    const buyerDisplay = await this.tweets.getBuyerDisplay(sale.buyer);
     
-    // If this is an object, search its properties
-    if (obj && typeof obj === 'object') {
-      // Look for property names that suggest traits
-      const traitKeys = ['traits', 'attributes', 'features', 'metadata', 'properties'];
+    // Generate AI context
+    console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
+    const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
+    console.log(`AI context generated: ${aiContext || 'None'}`);
+    
+    // Add AI context to details object so formatSaleTweet can access it
+    details.aiContext = aiContext;
+    
+    // Format tweet
+    const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay, sale.marketplace, sale.payment);
+    
+    console.log('\n--- TWEET PREVIEW ---\n');
+    console.log(tweetText);
+    console.log('\n---------------------\n');
+    
+    // Log a very noticeable message in the console
+    console.log('=========================================');
+    console.log(`💰 SALE DETECTED: ${sale.contractAddress}/${sale.tokenId} for ${priceEth} ETH`);
+    console.log('=========================================');
+    
+    // Screen for wash trading before anything is queued
+    const saleRecord = this.toSaleRecord(sale, buyerDisplay);
+    const review = this.washTrades ? await this.washTrades.review([saleRecord]) : null;
+    
+    // Record this sale in the sales ledger
+    const record = this.recordSale({ ...saleRecord, washTrade: review?.flagged ? review.summary : null }, details);
+    
+    // Queue the tweet
+    this.tweets.queueSaleTweet(tweetText, record.id, review, details);
+    
+    return record;
+  }
+  
+  /**
+   * Tweet a group of tokens bought together once, and record each token
+   */
+  async announceBundle(sales) {
+    const buyerDisplay = await this.tweets.getBuyerDisplay(sales[0].buyer);
+    const marketplaces = new Set(sales.map(sale => sale.marketplace).filter(Boolean));
+    const tweetText = this.tweets.formatBundleTweet(
+      sales, 
+      buyerDisplay, 
+      marketplaces.size === 1 ? Array.from(marketplaces)[0] : null
+    );
+    
+    const bundle = this.describeBundle(sales);
+    
+    console.log('=========================================');
+    console.log(`💰 ${bundle.type.toUpperCase()} DETECTED: ${sales.length} tokens for ${bundle.totalEth} ETH in ${sales[0].txHash}`);
+    console.log('=========================================');
+    
+    const saleRecords = sales.map(sale => this.toSaleRecord(sale, buyerDisplay));
+    const review = this.washTrades ? await this.washTrades.review(saleRecords) : null;
+    const washTrade = review?.flagged ? review.summary : null;
+    
+    const records = saleRecords.map((saleRecord, index) => 
+      this.recordSale({ ...saleRecord, bundle, washTrade }, sales[index].details)
+    );
+    
+    this.tweets.queueSaleTweet(tweetText, records.map(record => record.id), review, sales.map(sale => sale.details));
+    
+    return records;
+  }
+  
+  describeBundle(sales) {
+    return {
+      id: `${sales[0].txHash}-${sales[0].buyer}`.toLowerCase(),
+      type: new Set(sales.map(sale => sale.seller)).size > 1 ? 'sweep' : 'bundle',
+      size: sales.length,
+      totalEth: sales.reduce((sum, sale) => sum + sale.priceEth, 0)
+    };
+  }
+  
+  toSaleRecord(sale, buyerDisplay) {
+    return {
+      saleKey: sale.saleKey,
+      chain: sale.chain,
+      contract: sale.contractAddress,
+      tokenId: sale.tokenId,
+      txHash: sale.txHash,
+      logIndex: sale.logIndex,
+      priceEth: sale.priceEth,
+      currency: sale.saleInfo.currency,
+      amount: sale.saleInfo.amount,
+      paymentToken: sale.saleInfo.paymentToken,
+      marketplace: sale.saleInfo.marketplace,
+      paymentMethod: sale.saleInfo.method,
+      sellerProceedsEth: sale.saleInfo.sellerProceedsEth,
+      marketplaceFeeEth: sale.saleInfo.marketplaceFeeEth,
+      royaltyEth: sale.saleInfo.royaltyEth,
+      usdPrice: sale.usdPrice,
+      buyer: sale.buyer,
+      buyerDisplay,
+      seller: sale.seller
+    };
+  }
+  
+  // Helper method to record blockchain-detected sales in the sales ledger
+  recordSale(sale, details) {
+    return this.sales.recordSale({
+      ...sale,
+      source: sale.source || 'Blockchain',
+      metadata: {
+        projectName: details.projectName,
+        artistName: details.artistName,
+        contractName: details.contractName,
+        projectId: details.projectId,
+        tokenNumber: details.tokenNumber,
+        url: details.artBlocksUrl,
+        aiContext: details.aiContext || null
+      }
+    });
+  }
+  
+  // ADDED: Process transfer event for direct event monitoring
+  async processTransferEvent(sale) {
+    const chain = this.config.getContractChain(sale.contractAddress);
+    const saleKey = SalesStore.saleKey({ chain, txHash: sale.hash, contract: sale.contractAddress, tokenId: sale.tokenId });
+    
+    try {
+      console.log(`Processing transfer sale: ${sale.contractAddress}/${sale.tokenId} for ${sale.priceEth} ETH`);
       
-      for (const key of traitKeys) {
-        if (obj[key]) {
-          if (Array.isArray(obj[key]) && obj[key].length > 0) {
-            // Check if this looks like a traits array
-            if (obj[key][0] && typeof obj[key][0] === 'object') {
-              return obj[key];
-            }
-          } else if (typeof obj[key] === 'object') {
-            // Recurse into this property
-            const result = this._findTraitsRecursively(obj[key], depth + 1);
-            if (result.length > 0) return result;
-          }
-        }
+      // Skip if this sale was already picked up by this or another source
+      if (!this.sales.claimSale(saleKey)) {
+        console.log(`Sale ${saleKey} already recorded, skipping`);
+        return false;
       }
       
-      // If we haven't found traits yet, try all properties
-      for (const key in obj) {
-        if (obj[key] && typeof obj[key] === 'object') {
-          const result = this._findTraitsRecursively(obj[key], depth + 1);
-          if (result.length > 0) return result;
+      // Skip if below minimum price or zero
+      if (sale.priceEth < this.config.MIN_PRICE_ETH || sale.priceEth === 0) {
+        console.log(`Price ${sale.priceEth} ETH is below minimum threshold or zero, skipping`);
+        this.sales.releaseSale(saleKey);
+        return false;
+      }
+      
+      // Get project details
+      const details = await this.metadata.getProjectDetails(sale.tokenId, sale.contractAddress);
+      
+      // Get ETH/USD price
+      const ethPrice = await this.api.getEthPrice();
+      const usdPrice = ethPrice ? (sale.priceEth * ethPrice) : null;
+      
+      // Get buyer info
+      let buyerDisplay = this.tweets.formatAddress(sale.to);
+      
+      // Try to get ENS name
+      const ensName = await this.api.getEnsName(sale.to);
+      if (ensName) {
+        buyerDisplay = ensName;
+      } else {
+        // Try to get OpenSea username
+        const osName = await this.api.getOpenseaUserName(sale.to);
+        if (osName) {
+          buyerDisplay = osName;
         }
       }
+      
+      // Generate AI context
+      console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
+      const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
+      console.log(`AI context generated: ${aiContext || 'None'}`);
+      
+      // Add AI context to details object
+      details.aiContext = aiContext;
+      
+      // Format tweet
+      const tweetText = await this.tweets.formatSaleTweet(details, sale.priceEth, usdPrice, buyerDisplay, sale.marketplace);
+      
+      console.log('\n--- TWEET PREVIEW ---\n');
+      console.log(tweetText);
+      console.log('\n---------------------\n');
+      
+      const saleRecord = {
+        saleKey,
+        chain,
+        contract: sale.contractAddress,
+        tokenId: sale.tokenId,
+        txHash: sale.hash || null,
+        priceEth: sale.priceEth,
+        marketplace: sale.marketplace || null,
+        usdPrice,
+        buyer: sale.to,
+        buyerDisplay,
+        seller: sale.from
+      };
+      const review = this.washTrades ? await this.washTrades.review([saleRecord]) : null;
+      
+      // Record this sale in the sales ledger
+      const record = this.recordSale({ ...saleRecord, washTrade: review?.flagged ? review.summary : null }, details);
+      
+      // Queue the tweet
+      this.tweets.queueSaleTweet(tweetText, record.id, review, details);
+      
+      return true;
+    } catch (error) {
+      console.error('Error processing transfer sale:', error);
+      this.sales.releaseSale(saleKey);
+      return false;
     }
-    
-    return [];
   }
-}
-
-// =========================================================
-// OPENSEA EVENTS PROCESSOR
-// =========================================================
 
-class OpenSeaEventProcessor {
-  constructor(apiServices, metadataManager, tweetManager, config) {
-    this.api = apiServices;
-    this.metadata = metadataManager;
-    this.tweets = tweetManager;
-    this.config = config;
+  /**
+   * Work out what was paid for a specific token in a transaction. Returns the
+   * price, marketplace and the seller / marketplace / creator breakdown when
+   * the marketplace exposes it. `tokenCount` is the number of Art Blocks
+   * tokens moved in the transaction, used to split generic payments.
+   */
+  async extractSalePrice(transaction, receipt, contractAddress, tokenId, tokenCount = 1) {
+    const chain = this.config.getContractChain(contractAddress);
+    const saleInfo = {
+      priceEth: 0,
+      currency: 'ETH',
+      amount: 0,
+      paymentToken: NATIVE_TOKEN_ADDRESS,
+      ethPegged: true,
+      usdPrice: null,
+      marketplace: null,
+      sellerProceedsEth: null,
+      marketplaceFeeEth: null,
+      royaltyEth: null,
+      method: null
+    };
+    const toEth = wei => (wei === null || wei === undefined ? null : Number(wei) / 1e18);
+    
+    // Method 1: Decode known marketplace events (Seaport, Blur, LooksRare, X2Y2, Sudoswap)
+    if (this.decoders.hasMarketplaceLogs(receipt)) {
+      console.log('Found marketplace events - decoding orders');
+      const fill = this.decoders.decodeReceipt(receipt, transaction).find(fill => 
+        fill.contract === contractAddress.toLowerCase() && fill.tokenId === BigInt(tokenId).toString()
+      );
+      
+      if (!fill) {
+        console.log(`No marketplace order in this transaction covers ${contractAddress}/${tokenId}`);
+        return saleInfo;
+      }
+      
+      const payment = await this.api.normalizePayment({
+        quantity: fill.priceWei,
+        tokenAddress: fill.paymentToken,
+        chain
+      });
+      if (!payment || payment.priceEth === null) {
+        console.log(`${fill.marketplace} order paid in ${fill.paymentToken} which we can't price, skipping`);
+        return saleInfo;
+      }
+      
+      // Breakdown amounts are in the payment token's units - convert at the same rate as the price
+      const toPriceEth = amount => (amount === null || amount === undefined || fill.priceWei === 0n
+        ? null
+        : payment.priceEth * Number(amount) / Number(fill.priceWei));
+      
+      saleInfo.priceEth = payment.priceEth;
+      saleInfo.currency = payment.symbol;
+      saleInfo.amount = payment.amount;
+      saleInfo.paymentToken = payment.tokenAddress;
+      saleInfo.ethPegged = payment.ethPegged;
+      saleInfo.usdPrice = payment.priceUsd;
+      saleInfo.marketplace = fill.marketplace;
+      saleInfo.sellerProceedsEth = toPriceEth(fill.sellerProceedsWei);
+      saleInfo.marketplaceFeeEth = toPriceEth(fill.marketplaceFeeWei);
+      saleInfo.royaltyEth = toPriceEth(fill.royaltyWei);
+      saleInfo.method = 'marketplace-event';
+      console.log(`Decoded ${fill.marketplace} payment: ${payment.amount} ${payment.symbol} = ${saleInfo.priceEth} ETH (seller ${saleInfo.sellerProceedsEth}, fee ${saleInfo.marketplaceFeeEth}, royalty ${saleInfo.royaltyEth})`);
+      return saleInfo;
+    }
+    
+    // Method 2: Look for direct ETH/WETH transfers
+    const wethAddress = this.config.CHAINS[chain].wethAddress;
+    const wethTransfers = receipt.logs.filter(log => {
+      return log.address.toLowerCase() === wethAddress && 
+             log.topics[0] === TRANSFER_EVENT_TOPIC;
+    });
+    
+    if (wethTransfers.length > 0) {
+      console.log('Found WETH transfer event');
+      const amountWei = BigInt(wethTransfers[0].data);
+      saleInfo.priceEth = Number(amountWei) / 1e18;
+      saleInfo.currency = 'WETH';
+      saleInfo.paymentToken = wethAddress;
+      saleInfo.method = 'weth-transfer';
+      console.log(`Extracted WETH payment: ${saleInfo.priceEth} ETH`);
+    } else if (BigInt(transaction.value) > BigInt(1e16)) {
+      // Use direct ETH value as fallback if significant
+      saleInfo.priceEth = Number(BigInt(transaction.value)) / 1e18;
+      saleInfo.method = 'transaction-value';
+      console.log(`Using direct transaction value as price: ${saleInfo.priceEth} ETH`);
+    }
+    
+    // Without a decoded order we can't attribute payments, so split evenly across tokens
+    if (saleInfo.priceEth > 0 && tokenCount > 1) {
+      saleInfo.priceEth = saleInfo.priceEth / tokenCount;
+      saleInfo.method += '-split';
+      console.log(`Split generic payment across ${tokenCount} tokens: ${saleInfo.priceEth} ETH each`);
+    }
+    saleInfo.amount = saleInfo.priceEth;
+    
+    return saleInfo;
   }
-  
-  /**
-   * Process OpenSea sales events
-   */
-  async processOpenSeaEvents() {
+
+  async testTransactionOutput(txHash, contractAddress, includeAi = true) {
     try {
-      const events = await this.api.getOpenSeaSalesEvents();
+      console.log(`Testing output for transaction: ${txHash}`);
       
-      if (events.length === 0) {
-        return;
+      // Get transaction details
+      const alchemy = this.api.getContractAlchemy(contractAddress);
+      const transaction = await alchemy.core.getTransaction(txHash);
+      if (!transaction || !transaction.to) {
+        console.log('Transaction not found or invalid');
+        return { success: false, error: 'Transaction not found or invalid' };
       }
       
-      console.log(`Processing ${events.length} OpenSea sales events`);
-      
-      for (const event of events) {
-        try {
-          await this.processSaleEvent(event);
-          // Add a small delay between processing events to avoid rate limits
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (error) {
-          console.error('Error processing sale event:', error);
-          // Continue with next event
-        }
+      // Get transaction receipt with logs
+      const receipt = await alchemy.core.getTransactionReceipt(txHash);
+      if (!receipt) {
+        console.log('Receipt not found');
+        return { success: false, error: 'Receipt not found' };
       }
-    } catch (error) {
-      console.error('Error in processOpenSeaEvents:', error);
-    }
-  }
-  
-  /**
-   * Process a single OpenSea sale event
-   */
-  async processSaleEvent(event) {
-    try {
-      // Check if this is a valid sale event
-      if (!event.payment || !event.nft) {
-        console.log('Invalid sale event - missing payment or NFT data');
-        return false;
+      
+      // Look for ERC-721 Transfer event in the logs
+      const transferEvents = receipt.logs.filter(log => {
+        const isFromMonitoredContract = log.address.toLowerCase() === contractAddress.toLowerCase();
+        const isTransferEvent = log.topics[0] === TRANSFER_EVENT_TOPIC;
+        return isFromMonitoredContract && isTransferEvent;
+      });
+      
+      if (transferEvents.length === 0) {
+        console.log('No Transfer events found in transaction');
+        return { success: false, error: 'No Transfer events found in transaction' };
       }
       
-      // Extract sale information
-      const contractAddress = event.nft.contract;
-      const tokenId = event.nft.identifier;
-      const buyerAddress = event.winner?.address;
+      // Get the last Transfer event
+      const transferEvent = transferEvents[transferEvents.length - 1];
+      
+      // Parse the event data
+      const fromAddress = '0x' + transferEvent.topics[1].slice(26);
+      const toAddress = '0x' + transferEvent.topics[2].slice(26);
       
-      // Skip if contract address doesn't match our monitored contracts
-      if (!this.config.CONTRACT_ADDRESSES.some(addr => 
-        addr.toLowerCase() === contractAddress.toLowerCase())) {
-        console.log(`Skipping sale for non-monitored contract: ${contractAddress}`);
-        return false;
+      // Parse tokenId
+      let tokenId;
+      if (transferEvent.topics.length > 3) {
+        tokenId = parseInt(transferEvent.topics[3], 16);
+      } else {
+        tokenId = parseInt(transferEvent.data, 16);
       }
       
-      console.log(`Processing OpenSea sale for ${contractAddress}/${tokenId}`);
+      console.log(`Extracted from event - From: ${fromAddress}, To: ${toAddress}, TokenId: ${tokenId}`);
       
       // Extract price information
-      const priceWei = event.payment.quantity;
-      const priceEth = Number(priceWei) / 1e18;
-      
-      console.log(`Sale price: ${priceEth} ETH`);
+      const saleInfo = await this.extractSalePrice(transaction, receipt, contractAddress, tokenId, transferEvents.length);
+      const priceEth = saleInfo.priceEth;
+      console.log(`Final sale price: ${priceEth} ETH`);
       
-      // Skip if below minimum price
-      if (priceEth < this.config.MIN_PRICE_ETH) {
-        console.log(`Price ${priceEth} ETH is below minimum threshold, skipping`);
-        return false;
+      // Skip if below minimum price or zero
+      if (priceEth < this.config.MIN_PRICE_ETH || priceEth === 0) {
+        console.log(`Price ${priceEth} ETH is below minimum threshold or zero, skipping`);
+        return { success: false, error: `Price ${priceEth} ETH is below minimum threshold` };
       }
       
       // Get project details
       const details = await this.metadata.getProjectDetails(tokenId, contractAddress);
       
-      // Get ETH/USD price
+      // Get ETH/USD price (the decoder already priced non-ETH payments)
       const ethPrice = await this.api.getEthPrice();
-      const usdPrice = ethPrice ? (priceEth * ethPrice) : null;
+      const usdPrice = saleInfo.usdPrice ?? (ethPrice ? (priceEth * ethPrice) : null);
       
       // Get buyer info
-      let buyerDisplay = this.tweets.formatAddress(buyerAddress);
+      let buyerDisplay = this.tweets.formatAddress(toAddress);
       
       // Try to get ENS name
-      const ensName = await this.api.getEnsName(buyerAddress);
+      const ensName = await this.api.getEnsName(toAddress);
       if (ensName) {
         buyerDisplay = ensName;
       } else {
         // Try to get OpenSea username
-        const osName = await this.api.getOpenseaUserName(buyerAddress);
+        const osName = await this.api.getOpenseaUserName(toAddress);
         if (osName) {
           buyerDisplay = osName;
         }
       }
       
-      // Generate AI context
-      console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
-      const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
-      console.log(`AI context generated: ${aiContext || 'None'}`);
+      // Generate AI context if requested
+      let aiContext = null;
+      if (includeAi) {
+        try {
+          console.log(`Generating AI context for test output - Project: ${details.projectName}, Artist: ${details.artistName}`);
+          aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
+          console.log(`AI context generated: ${aiContext}`);
+        } catch (aiError) {
+          console.error('Error generating AI context for test:', aiError);
+          aiContext = null;
+        }
+      }
       
       // Add AI context to details object
       details.aiContext = aiContext;
       
       // Format tweet
-      const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay);
+      const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay, saleInfo.marketplace, {
+        amount: saleInfo.amount,
+        currency: saleInfo.currency,
+        ethPegged: saleInfo.ethPegged
+      });
       
       console.log('\n--- TWEET PREVIEW ---\n');
       console.log(tweetText);
       console.log('\n---------------------\n');
       
-      // Track this sale event for the debug dashboard
-      this.trackSaleEvent(details, priceEth, buyerDisplay, usdPrice, details.artBlocksUrl);
+      return { 
+        success: true, 
+        tweet: tweetText,
+        metadata: {
+          contract: contractAddress,
+          tokenId: tokenId,
+          projectName: details.projectName,
+          artistName: details.artistName,
+          tokenNumber: details.tokenNumber,
+          priceEth: priceEth,
+          priceUsd: usdPrice,
+          currency: saleInfo.currency,
+          amount: saleInfo.amount,
+          marketplace: saleInfo.marketplace,
+          sellerProceedsEth: saleInfo.sellerProceedsEth,
+          marketplaceFeeEth: saleInfo.marketplaceFeeEth,
+          royaltyEth: saleInfo.royaltyEth,
+          priceMethod: saleInfo.method,
+          buyer: buyerDisplay,
+          from: fromAddress,
+          to: toAddress,
+          url: details.artBlocksUrl,
+          aiContext: aiContext
+        }
+      };
+    } catch (error) {
+      console.error('Error in test transaction:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// =========================================================
+// SALE VERIFICATION
+// =========================================================
+
+/**
+ * Checks an OpenSea sale event against its transaction receipt: the token must
+ * have moved from the seller to the buyer, and the price decoded on-chain must
+ * match the event's within the configured tolerance.
+ */
+class SaleVerifier {
+  constructor(apiServices, txProcessor, config) {
+    this.api = apiServices;
+    this.txProcessor = txProcessor;
+    this.config = config;
+    this.receipts = new Map(); // chain:txHash -> { transaction, receipt }, shared by a bundle's events
+  }
+
+  async getTransaction(chain, txHash) {
+    const key = `${chain}:${txHash}`.toLowerCase();
+    if (!this.receipts.has(key)) {
+      const alchemy = this.api.getAlchemy(chain);
+      const transaction = await alchemy.core.getTransaction(txHash);
+      const receipt = transaction ? await alchemy.core.getTransactionReceipt(txHash) : null;
+      if (!receipt) {
+        // Not mined (or not indexed) yet - don't cache, so a later check can find it
+        return { transaction, receipt };
+      }
+      this.receipts.set(key, { transaction, receipt });
+      // Only recent transactions are worth keeping
+      if (this.receipts.size > 100) {
+        this.receipts.delete(this.receipts.keys().next().value);
+      }
+    }
+    return this.receipts.get(key);
+  }
+
+  /**
+   * Verify a prepared OpenSea sale. Returns { status: 'verified' | 'mismatch',
+   * problems, onChain, checkedAt }. Throws if the chain can't be queried.
+   */
+  async verify(sale) {
+    const problems = [];
+    const result = { status: 'mismatch', problems, onChain: null, checkedAt: Date.now() };
+    
+    if (!sale.txHash) {
+      problems.push('Event has no transaction hash');
+      return result;
+    }
+    
+    const { transaction, receipt } = await this.getTransaction(sale.chain, sale.txHash);
+    if (!transaction || !receipt) {
+      problems.push(`Transaction ${sale.txHash} not found on ${this.config.CHAINS[sale.chain].name}`);
+      return result;
+    }
+    if (receipt.status === 0) {
+      problems.push('Transaction reverted');
+      return result;
+    }
+    
+    const transfers = this.txProcessor.extractTransfers(receipt);
+    const transfer = transfers.find(transfer => 
+      transfer.contractAddress === sale.contractAddress.toLowerCase() && transfer.tokenId === BigInt(sale.tokenId).toString()
+    );
+    if (!transfer) {
+      problems.push(`No Transfer of ${sale.contractAddress}/${sale.tokenId} in the transaction`);
+      return result;
+    }
+    
+    const saleCount = transfers.filter(transfer => transfer.from !== ZERO_ADDRESS).length;
+    const saleInfo = await this.txProcessor.extractSalePrice(transaction, receipt, sale.contractAddress, sale.tokenId, saleCount);
+    result.onChain = {
+      seller: transfer.from,
+      buyer: transfer.to,
+      priceEth: saleInfo.priceEth,
+      currency: saleInfo.currency,
+      marketplace: saleInfo.marketplace
+    };
+    
+    if (sale.seller && sale.seller.toLowerCase() !== transfer.from) {
+      problems.push(`Seller ${sale.seller} but token came from ${transfer.from}`);
+    }
+    if (sale.buyer && sale.buyer.toLowerCase() !== transfer.to) {
+      problems.push(`Buyer ${sale.buyer} but token went to ${transfer.to}`);
+    }
+    if (!saleInfo.priceEth) {
+      problems.push('No payment for the token found on-chain');
+    } else if (Math.abs(saleInfo.priceEth - sale.priceEth) > saleInfo.priceEth * this.config.OPENSEA_VERIFICATION_PRICE_TOLERANCE) {
+      problems.push(`Price ${sale.priceEth} ETH but ${saleInfo.priceEth} ETH was paid on-chain`);
+    }
+    
+    result.status = problems.length === 0 ? 'verified' : 'mismatch';
+    return result;
+  }
+}
+
+// =========================================================
+// CONFIRMED LOG MONITOR
+// =========================================================
+
+/**
+ * Watches mined Transfer logs from the monitored contracts and hands each
+ * transaction to the TransactionProcessor once it is CONFIRMATION_BLOCKS deep.
+ * Logs the node reports as removed (chain reorg) are dropped while they are
+ * still waiting, or have their sales retracted if already processed.
+ */
+class ConfirmedLogMonitor {
+  constructor(apiServices, txProcessor, tweetManager, salesStore, config) {
+    this.api = apiServices;
+    this.txProcessor = txProcessor;
+    this.tweets = tweetManager;
+    this.sales = salesStore;
+    this.config = config;
+    this.pendingTransactions = new Map(); // txHash -> { chain, blockNumber, blockHash, contractAddress } awaiting confirmations
+    this.confirmedTransactions = new Map(); // txHash -> { chain, blockNumber, blockHash } processed, still watched for reorgs
+    this.latestBlocks = {}; // chain -> latest block number seen
+    this.subscribedChains = [];
+    this.isProcessing = false;
+  }
+
+  /**
+   * Subscribe on every chain that has monitored contracts, each through its own websocket
+   */
+  start() {
+    this.subscribedChains = this.config.getActiveChains();
+    
+    for (const chain of this.subscribedChains) {
+      const ws = this.api.getAlchemy(chain).ws;
+      
+      this.config.CHAINS[chain].contracts.forEach(contractAddress => {
+        console.log(`Subscribing to Transfer logs for ${this.config.CHAINS[chain].name} contract: ${contractAddress}`);
+        ws.on({ address: contractAddress, topics: [TRANSFER_EVENT_TOPIC] }, log => this.handleLog(log, chain));
+      });
+      
+      ws.on('block', blockNumber => this.handleBlock(blockNumber, chain));
+    }
+    
+    console.log(`Waiting for ${this.config.CONFIRMATION_BLOCKS} confirmation(s) before processing transfers`);
+  }
+
+  /**
+   * Drop every subscription. Transactions already awaiting confirmation are
+   * kept and processed once blocks arrive again.
+   */
+  stop() {
+    for (const chain of this.subscribedChains) {
+      this.api.getAlchemy(chain).ws.removeAllListeners();
+    }
+    this.subscribedChains = [];
+  }
+
+  /**
+   * Resubscribe, e.g. after the monitored contracts changed
+   */
+  restart() {
+    console.log('Restarting Transfer log subscriptions');
+    this.stop();
+    this.start();
+  }
+
+  handleLog(log, chain = 'ethereum') {
+    const txHash = log.transactionHash.toLowerCase();
+    
+    if (log.removed) {
+      this.handleRemovedLog(txHash, log);
+      return;
+    }
+    
+    // A transaction moving several tokens emits several logs; track it once
+    if (this.confirmedTransactions.has(txHash)) {
+      return;
+    }
+    
+    if (!this.pendingTransactions.has(txHash)) {
+      console.log(`Transfer log in block ${log.blockNumber} for tx ${txHash}, awaiting confirmations`);
+    }
+    this.pendingTransactions.set(txHash, {
+      chain,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      contractAddress: log.address
+    });
+  }
+
+  handleRemovedLog(txHash, log) {
+    const pending = this.pendingTransactions.get(txHash);
+    if (pending && pending.blockHash === log.blockHash) {
+      this.pendingTransactions.delete(txHash);
+      console.log(`Transaction ${txHash} was reorganised out before confirmation, dropping it`);
+      return;
+    }
+    
+    const confirmed = this.confirmedTransactions.get(txHash);
+    if (confirmed && confirmed.blockHash === log.blockHash) {
+      console.warn(`Transaction ${txHash} was reorganised out after ${this.config.CONFIRMATION_BLOCKS} confirmation(s)`);
+      this.retractTransaction(txHash, `block ${log.blockNumber} was reorganised`);
+    }
+  }
+
+  handleBlock(blockNumber, chain = 'ethereum') {
+    this.latestBlocks[chain] = Math.max(this.latestBlocks[chain] || 0, blockNumber);
+    
+    // Stop watching transactions that are now too deep to be reorganised
+    for (const [txHash, info] of this.confirmedTransactions) {
+      if (info.chain === chain && this.latestBlocks[chain] - info.blockNumber > this.config.REORG_WATCH_BLOCKS) {
+        this.confirmedTransactions.delete(txHash);
+      }
+    }
+    
+    this.processConfirmed();
+  }
+
+  /**
+   * Process every pending transaction that has enough confirmations
+   */
+  async processConfirmed() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+    
+    try {
+      const ready = Array.from(this.pendingTransactions.entries()).filter(([, info]) =>
+        (this.latestBlocks[info.chain] || 0) - info.blockNumber + 1 >= this.config.CONFIRMATION_BLOCKS
+      );
+      
+      for (const [txHash, info] of ready) {
+        this.pendingTransactions.delete(txHash);
+        
+        // Make sure the transaction is still in the block we saw it in
+        const receipt = await this.api.getAlchemy(info.chain).core.getTransactionReceipt(txHash);
+        if (!receipt || receipt.blockHash !== info.blockHash) {
+          console.log(`Transaction ${txHash} is no longer in block ${info.blockNumber}, skipping`);
+          continue;
+        }
+        
+        this.confirmedTransactions.set(txHash, { chain: info.chain, blockNumber: info.blockNumber, blockHash: info.blockHash });
+        await this.txProcessor.processTransaction({ hash: txHash }, info.contractAddress);
+      }
+    } catch (error) {
+      console.error('Error processing confirmed transfers:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Withdraw every sale recorded from a transaction and cancel its queued tweets
+   */
+  retractTransaction(txHash, reason) {
+    this.confirmedTransactions.delete(txHash);
+    // Allow the transaction to be processed again if it is re-mined
+    this.txProcessor.processedTransactions.delete(txHash);
+    
+    const sales = this.sales.querySales({ txHash }).filter(sale => !sale.retracted);
+    if (sales.length === 0) {
+      console.log(`No recorded sales to retract for ${txHash}`);
+      return 0;
+    }
+    
+    sales.forEach(sale => this.sales.retractSale(sale.id, reason));
+    const cancelled = this.tweets.cancelTweetsForSales(sales.map(sale => sale.id), `Sale retracted: ${reason}`);
+    console.log(`Retracted ${sales.length} sale(s) from ${txHash}, cancelled ${cancelled} queued tweet(s)`);
+    
+    return sales.length;
+  }
+
+  getStatus() {
+    return {
+      confirmationBlocks: this.config.CONFIRMATION_BLOCKS,
+      latestBlocks: this.latestBlocks,
+      awaitingConfirmation: this.pendingTransactions.size,
+      watchedForReorgs: this.confirmedTransactions.size
+    };
+  }
+}
+
+// =========================================================
+// BACKFILL SCANNER
+// =========================================================
+
+/**
+ * Catches transfers the live log subscription missed (downtime, dropped
+ * websocket). Remembers the last scanned block per contract on disk and
+ * walks forward from there in chunks, following `pageKey` pagination, so a
+ * restart after a long outage picks up exactly where the previous run ended.
+ * Transactions that fail to process are kept on disk next to the cursor and
+ * retried on later scans, up to BACKFILL_MAX_RETRIES times. Sales older than
+ * BACKFILL_MAX_TWEET_AGE are only recorded, so an outage doesn't end in a
+ * burst of stale tweets.
+ */
+class BackfillScanner {
+  constructor(apiServices, txProcessor, salesStore, config) {
+    this.api = apiServices;
+    this.txProcessor = txProcessor;
+    this.sales = salesStore;
+    this.config = config;
+    this.cursorFile = new JsonStateFile(path.join(config.DATA_DIR, 'scan-cursors.json'));
+    this.cursors = this.cursorFile.read({}); // lowercase contract -> last fully scanned block
+    this.retryFile = new JsonStateFile(path.join(config.DATA_DIR, 'scan-retries.json'));
+    this.retries = this.retryFile.read({}); // lowercase contract -> { txHash: { attempts, timestamp } }
+    this.isScanning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Run once shortly after startup and then on a fixed interval
+   */
+  start() {
+    setTimeout(() => this.scan(), this.config.BACKFILL_STARTUP_DELAY);
+    this.intervalId = setInterval(() => this.scan(), this.config.BACKFILL_INTERVAL);
+    return this.intervalId;
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Scan every monitored contract up to the latest confirmed block of its chain
+   */
+  async scan() {
+    if (this.isScanning) {
+      console.log('Backfill scan already running, skipping this run');
+      return;
+    }
+    this.isScanning = true;
+    
+    try {
+      const toBlocks = {};
       
-      // Queue the tweet
-      this.tweets.queueTweet(tweetText);
+      for (const chain of this.config.getActiveChains()) {
+        try {
+          const latestBlock = await this.api.getAlchemy(chain).core.getBlockNumber();
+          // Leave unconfirmed blocks to the live subscription
+          const toBlock = latestBlock - Math.max(this.config.CONFIRMATION_BLOCKS - 1, 0);
+          toBlocks[chain] = toBlock;
+          
+          if (VERBOSE_LOGGING) {
+            console.log(`Running ${this.config.CHAINS[chain].name} backfill scan up to block ${toBlock}...`);
+          }
+          
+          for (const contractAddress of this.config.CHAINS[chain].contracts) {
+            try {
+              await this.scanContract(contractAddress, toBlock);
+            } catch (contractError) {
+              console.error(`Error scanning transfers for ${contractAddress}:`, contractError);
+            }
+          }
+        } catch (chainError) {
+          console.error(`Error in ${chain} backfill scan:`, chainError);
+        }
+      }
       
-      return true;
+      this.lastRun = { timestamp: Date.now(), toBlocks };
     } catch (error) {
-      console.error('Error processing OpenSea sale event:', error);
-      return false;
+      console.error('Error in backfill scan:', error);
+    } finally {
+      this.isScanning = false;
     }
   }
-  
-  // Helper method to track sales for debug dashboard
-  trackSaleEvent(details, priceEth, buyer, usdPrice, url) {
-    // Add to global tracking
-    global.recentSalesEvents.unshift({
-      timestamp: Date.now(),
-      projectName: details.projectName,
-      artistName: details.artistName,
-      tokenNumber: details.tokenNumber,
-      priceEth: priceEth,
-      usdPrice: usdPrice,
-      buyer: buyer,
-      url: url,
-      aiContext: details.aiContext || null
-    });
+
+  async scanContract(contractAddress, toBlock) {
+    const key = contractAddress.toLowerCase();
+    await this.retryFailed(contractAddress);
+    
+    let fromBlock = this.cursors[key] !== undefined
+      ? this.cursors[key] + 1
+      : Math.max(toBlock - this.config.BACKFILL_INITIAL_LOOKBACK_BLOCKS, 0);
     
-    // Keep only recent events (last 20)
-    if (global.recentSalesEvents.length > 20) {
-      global.recentSalesEvents.pop();
+    if (fromBlock > toBlock) {
+      return 0;
+    }
+    
+    console.log(`Scanning ${contractAddress} transfers from block ${fromBlock} to ${toBlock}...`);
+    let processed = 0;
+    
+    while (fromBlock <= toBlock) {
+      const chunkEnd = Math.min(fromBlock + this.config.BACKFILL_CHUNK_BLOCKS - 1, toBlock);
+      const result = await this.scanRange(contractAddress, fromBlock, chunkEnd);
+      processed += result.processed;
+      
+      // Failures are saved for retry before the cursor moves past them
+      if (result.failed.length > 0) {
+        this.retries[key] = this.retries[key] || {};
+        result.failed.forEach(({ hash, timestamp }) => { this.retries[key][hash] = { attempts: 1, timestamp }; });
+        this.retryFile.write(this.retries);
+        console.log(`${result.failed.length} transaction(s) for ${contractAddress} failed, will retry on the next scan`);
+      }
+      
+      // Only move the cursor once the whole chunk has been handled
+      this.cursors[key] = chunkEnd;
+      this.cursorFile.write(this.cursors);
+      fromBlock = chunkEnd + 1;
     }
     
-    console.log(`Tracked new sale event: ${details.projectName} #${details.tokenNumber}`);
+    console.log(`Processed ${processed} transactions for ${contractAddress}, scanned through block ${toBlock}`);
+    return processed;
   }
-  
+
   /**
-   * Start polling for OpenSea events
+   * Process transactions that failed in earlier scans. Ones that still fail
+   * after BACKFILL_MAX_RETRIES attempts are dropped with an error.
    */
-  startEventPolling() {
-    console.log('Starting OpenSea events polling');
+  async retryFailed(contractAddress) {
+    const key = contractAddress.toLowerCase();
+    const pending = this.retries[key];
+    if (!pending || Object.keys(pending).length === 0) {
+      return;
+    }
     
-    // Process events immediately on startup
-    this.processOpenSeaEvents();
+    console.log(`Retrying ${Object.keys(pending).length} failed transaction(s) for ${contractAddress}...`);
+    for (const [hash, { attempts, timestamp }] of Object.entries(pending)) {
+      if (await this.catchUp(hash, contractAddress, timestamp)) {
+        delete pending[hash];
+      } else if (attempts + 1 >= this.config.BACKFILL_MAX_RETRIES) {
+        console.error(`Giving up on ${hash} for ${contractAddress} after ${attempts + 1} failed attempts`);
+        delete pending[hash];
+      } else {
+        pending[hash] = { attempts: attempts + 1, timestamp };
+      }
+      
+      if (Object.keys(pending).length === 0) {
+        delete this.retries[key];
+      }
+      this.retryFile.write(this.retries);
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  /**
+   * Tweet a missed transaction like a live one, or, once it is older than
+   * BACKFILL_MAX_TWEET_AGE, only record its sales in the ledger. Returns
+   * false if it failed.
+   */
+  async catchUp(hash, contractAddress, timestamp) {
+    if (!timestamp || Date.now() - timestamp <= this.config.BACKFILL_MAX_TWEET_AGE) {
+      return await this.txProcessor.processTransaction({ hash }, contractAddress) !== null;
+    }
     
-    // Set up interval to poll for new events
-    const pollId = setInterval(() => {
-      if (VERBOSE_LOGGING) {
-        console.log(`[${new Date().toISOString()}] Polling OpenSea for new sales...`);
+    try {
+      const recorded = await this.txProcessor.recordHistoricalTransaction(hash, null, this.config.getContractChain(contractAddress));
+      this.txProcessor.processedTransactions.add(hash);
+      console.log(`Recorded ${recorded} sale(s) from ${hash} without tweeting, ${Math.round((Date.now() - timestamp) / 3600000)}h old`);
+      return true;
+    } catch (error) {
+      console.error(`Error recording old transaction ${hash}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Process every transaction with a transfer of this contract in the range.
+   * Returns { processed, failed }, failed being the { hash, timestamp } of
+   * transactions to retry.
+   */
+  async scanRange(contractAddress, fromBlock, toBlock) {
+    const transactions = [];
+    const seen = new Set();
+    let pageKey;
+    
+    const chain = this.config.getContractChain(contractAddress);
+    
+    do {
+      const response = await this.api.getAlchemy(chain).core.getAssetTransfers({
+        fromBlock: '0x' + fromBlock.toString(16),
+        toBlock: '0x' + toBlock.toString(16),
+        contractAddresses: [contractAddress],
+        category: ['erc721'],
+        withMetadata: true, // Block timestamps, to tell missed sales from old ones
+        ...(pageKey ? { pageKey } : {})
+      });
+      
+      for (const transfer of response.transfers || []) {
+        // Skip if we've already processed this hash or recorded this sale from any source
+        const saleKey = SalesStore.saleKey({ chain, txHash: transfer.hash, contract: contractAddress, tokenId: transfer.erc721TokenId });
+        if (seen.has(transfer.hash) || this.txProcessor.processedTransactions.has(transfer.hash) || this.sales.hasSale(saleKey)) {
+          continue;
+        }
+        seen.add(transfer.hash);
+        const blockTimestamp = Date.parse(transfer.metadata?.blockTimestamp);
+        transactions.push({ hash: transfer.hash, timestamp: Number.isNaN(blockTimestamp) ? null : blockTimestamp });
       }
       
-      this.processOpenSeaEvents()
-        .then(eventsFound => {
-          if (VERBOSE_LOGGING && eventsFound && eventsFound.length > 0) {
-            console.log(`[${new Date().toISOString()}] Poll complete. Found ${eventsFound.length} new events.`);
-          }
-        })
-        .catch(err => {
-          console.error('Error in OpenSea poll:', err);
-        });
-    }, this.config.OPENSEA_EVENTS_POLL_INTERVAL);
+      pageKey = response.pageKey;
+    } while (pageKey);
     
-    // Store the interval ID so it can be cleared if needed
-    this.pollIntervalId = pollId;
+    const failed = [];
+    for (const transaction of transactions) {
+      if (!await this.catchUp(transaction.hash, contractAddress, transaction.timestamp)) {
+        failed.push(transaction);
+      }
+      
+      // Add a small delay between processing transfers
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
     
-    return pollId;
+    return { processed: transactions.length, failed };
+  }
+
+  getStatus() {
+    return {
+      scanning: this.isScanning,
+      lastRun: this.lastRun ? new Date(this.lastRun.timestamp).toISOString() : null,
+      lastScannedBlocks: this.lastRun ? this.lastRun.toBlocks : null,
+      cursors: this.cursors,
+      retries: this.retries
+    };
   }
 }
 
 // =========================================================
-// TRANSACTION PROCESSOR
+// HISTORICAL BACKFILL
 // =========================================================
 
-class TransactionProcessor {
-  constructor(apiServices, metadataManager, tweetManager, config) {
+/**
+ * Rebuilds sales history for a block or date range by replaying on-chain
+ * transfers and the OpenSea events API into the sales store. Nothing is
+ * tweeted. Jobs and their progress are persisted after every chunk/page, so
+ * an interrupted job resumes where it stopped (automatically on startup).
+ */
+class HistoricalBackfill {
+  constructor(apiServices, txProcessor, openSeaProcessor, salesStore, config) {
     this.api = apiServices;
-    this.metadata = metadataManager;
-    this.tweets = tweetManager;
+    this.txProcessor = txProcessor;
+    this.openSeaProcessor = openSeaProcessor;
+    this.sales = salesStore;
     this.config = config;
-    // Track whether we have active transfer monitoring
-    this.hasDirectEventMonitoring = false;
-    this.hasBackfillMonitoring = false;
-    // Set of processed transaction hashes to avoid duplicates
-    this.processedTransactions = new Set();
+    this.jobsFile = new JsonStateFile(path.join(config.DATA_DIR, 'backfill-jobs.json'));
+    this.jobs = this.jobsFile.read({ jobs: [] }).jobs;
+    this.activeJobId = null;
   }
 
-  async processTransaction(tx, contractAddress) {
-    console.log(`Processing transaction for ${contractAddress}: ${tx.hash}`);
+  saveJobs() {
+    this.jobsFile.write({ jobs: this.jobs });
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    this.saveJobs();
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  listJobs() {
+    return this.jobs;
+  }
+
+  /**
+   * Validate a request and queue a new job. Takes either fromBlock/toBlock or
+   * fromDate/toDate, plus optional chain (default ethereum; block numbers
+   * are on that chain), contracts, projectIds and sources ('onchain', 'opensea').
+   */
+  async createJob({ chain, fromBlock, toBlock, fromDate, toDate, contracts, projectIds, sources }) {
+    chain = chain || 'ethereum';
+    if (!Object.hasOwn(this.config.CHAINS, chain)) {
+      throw new Error(`Unknown chain ${chain}`);
+    }
+    const alchemy = this.api.getAlchemy(chain);
     
-    try {
-      // Skip if we've already processed this transaction
-      if (this.processedTransactions.has(tx.hash)) {
-        console.log(`Already processed transaction ${tx.hash}, skipping`);
-        return false;
-      }
-      
-      // Mark as processed to avoid duplicates
-      this.processedTransactions.add(tx.hash);
-      
-      // Get transaction details
-      const transaction = await this.api.alchemy.core.getTransaction(tx.hash);
-      if (!transaction || !transaction.to) {
-        console.log('Transaction not found or invalid');
-        return false;
-      }
-      
-      // Get transaction receipt with logs
-      const receipt = await this.api.alchemy.core.getTransactionReceipt(tx.hash);
-      if (!receipt) {
-        console.log('Receipt not found');
-        return false;
-      }
-      
-      // Look for ERC-721 Transfer event in the logs
-      const transferEvents = receipt.logs.filter(log => {
-        const isFromMonitoredContract = log.address.toLowerCase() === contractAddress.toLowerCase();
-        const isTransferEvent = log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-        return isFromMonitoredContract && isTransferEvent;
-      });
-      
-      if (transferEvents.length === 0) {
-        console.log('No Transfer events found in transaction');
-        return false;
-      }
-      
-      // Get the last Transfer event (usually the most relevant one for sales)
-      const transferEvent = transferEvents[transferEvents.length - 1];
-      
-      // Parse the event data
-      const fromAddress = '0x' + transferEvent.topics[1].slice(26);
-      const toAddress = '0x' + transferEvent.topics[2].slice(26);
-      
-      // Parse tokenId
-      let tokenId;
-      if (transferEvent.topics.length > 3) {
-        tokenId = parseInt(transferEvent.topics[3], 16);
-      } else {
-        tokenId = parseInt(transferEvent.data, 16);
-      }
-      
-      console.log(`Extracted from event - From: ${fromAddress}, To: ${toAddress}, TokenId: ${tokenId}`);
-      
-      // Extract price information
-      const priceEth = await this.extractSalePrice(transaction, receipt);
-      console.log(`Final sale price: ${priceEth} ETH`);
-      
-      // Skip if below minimum price or zero
-      if (priceEth < this.config.MIN_PRICE_ETH || priceEth === 0) {
-        console.log(`Price ${priceEth} ETH is below minimum threshold or zero, skipping`);
-        return false;
+    const monitored = this.config.CHAINS[chain].contracts.map(addr => addr.toLowerCase());
+    contracts = (contracts && contracts.length ? contracts : monitored).map(addr => addr.toLowerCase());
+    const unknown = contracts.filter(addr => !monitored.includes(addr));
+    if (unknown.length > 0) {
+      throw new Error(`Not a monitored ${chain} contract: ${unknown.join(', ')}`);
+    }
+    
+    sources = sources && sources.length ? sources : ['onchain', 'opensea'];
+    if (sources.some(source => source !== 'onchain' && source !== 'opensea')) {
+      throw new Error('sources must be onchain and/or opensea');
+    }
+    
+    let fromTime, toTime;
+    if (fromDate || toDate) {
+      fromTime = new Date(fromDate).getTime();
+      toTime = toDate ? new Date(toDate).getTime() : Date.now();
+      if (isNaN(fromTime) || isNaN(toTime)) {
+        throw new Error('fromDate and toDate must be valid dates');
       }
-      
-      // Get project details
-      const details = await this.metadata.getProjectDetails(tokenId, contractAddress);
-      
-      // Get ETH/USD price
-      const ethPrice = await this.api.getEthPrice();
-      const usdPrice = ethPrice ? (priceEth * ethPrice) : null;
-      
-      // Get buyer info
-      let buyerDisplay = this.tweets.formatAddress(toAddress);
-      
-      // Try to get ENS name
-      const ensName = await this.api.getEnsName(toAddress);
-      if (ensName) {
-        buyerDisplay = ensName;
-      } else {
-        // Try to get OpenSea username
-        const osName = await this.api.getOpenseaUserName(toAddress);
-        if (osName) {
-          buyerDisplay = osName;
-        }
+      fromBlock = await this.api.findBlockByTimestamp(fromTime, chain);
+      toBlock = await this.api.findBlockByTimestamp(toTime, chain);
+    } else if (fromBlock !== undefined && fromBlock !== null) {
+      fromBlock = Number(fromBlock);
+      toBlock = toBlock !== undefined && toBlock !== null
+        ? Number(toBlock)
+        : await alchemy.core.getBlockNumber();
+      if (isNaN(fromBlock) || isNaN(toBlock)) {
+        throw new Error('fromBlock and toBlock must be block numbers');
       }
-      
-      // Generate AI context
-      console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
-      const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
-      console.log(`AI context generated: ${aiContext || 'None'}`);
-      
-      // Add AI context to details object so formatSaleTweet can access it
-      details.aiContext = aiContext;
-      
-      // Format tweet
-      const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay);
-      
-      console.log('\n--- TWEET PREVIEW ---\n');
-      console.log(tweetText);
-      console.log('\n---------------------\n');
-      
-      // Log a very noticeable message in the console
-      console.log('=========================================');
-      console.log(`💰 SALE DETECTED: ${contractAddress}/${tokenId} for ${priceEth} ETH`);
-      console.log('=========================================');
-      
-      // Track this sale event for the debug dashboard
-      this.trackSaleEvent(details, priceEth, buyerDisplay, usdPrice, details.artBlocksUrl);
-      
-      // Queue the tweet
-      this.tweets.queueTweet(tweetText);
-      
-      return true;
-    } catch (error) {
-      console.error('Error processing transaction:', error);
-      return false;
+      fromTime = (await alchemy.core.getBlock(fromBlock)).timestamp * 1000;
+      toTime = (await alchemy.core.getBlock(toBlock)).timestamp * 1000;
+    } else {
+      throw new Error('Provide fromBlock/toBlock or fromDate/toDate');
     }
-  }
-  
-  // Helper method to track sales for debug dashboard
-  trackSaleEvent(details, priceEth, buyer, usdPrice, url) {
-    // Add to global tracking
-    global.recentSalesEvents.unshift({
-      timestamp: Date.now(),
-      projectName: details.projectName,
-      artistName: details.artistName,
-      tokenNumber: details.tokenNumber,
-      priceEth: priceEth,
-      usdPrice: usdPrice,
-      buyer: buyer,
-      url: url,
-      source: 'Blockchain',
-      aiContext: details.aiContext || null
-    });
     
-    // Keep only recent events (last 20)
-    if (global.recentSalesEvents.length > 20) {
-      global.recentSalesEvents.pop();
+    if (fromBlock > toBlock) {
+      throw new Error('Range start is after its end');
     }
     
-    console.log(`Tracked new sale event: ${details.projectName} #${details.tokenNumber}`);
+    const job = {
+      id: `backfill-${Date.now()}`,
+      status: 'queued',
+      params: {
+        chain,
+        fromBlock,
+        toBlock,
+        fromTime,
+        toTime,
+        contracts,
+        projectIds: (projectIds || []).map(Number),
+        sources
+      },
+      progress: {
+        onchain: {}, // contract -> last block fully scanned
+        opensea: {} // slug -> 'done' or the oldest event timestamp (ms) already replayed
+      },
+      counts: { transactions: 0, openSeaEvents: 0, recorded: 0, skipped: 0 },
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    
+    this.jobs.push(job);
+    this.saveJobs();
+    console.log(`Created ${job.id}: ${chain} blocks ${fromBlock}-${toBlock} (${new Date(fromTime).toISOString()} to ${new Date(toTime).toISOString()})`);
+    
+    this.runNext();
+    return job;
   }
-  
-  // ADDED: Process transfer event for direct event monitoring
-  async processTransferEvent(sale) {
-    try {
-      console.log(`Processing transfer sale: ${sale.contractAddress}/${sale.tokenId} for ${sale.priceEth} ETH`);
-      
-      // Skip if below minimum price or zero
-      if (sale.priceEth < this.config.MIN_PRICE_ETH || sale.priceEth === 0) {
-        console.log(`Price ${sale.priceEth} ETH is below minimum threshold or zero, skipping`);
-        return false;
-      }
-      
-      // Get project details
-      const details = await this.metadata.getProjectDetails(sale.tokenId, sale.contractAddress);
-      
-      // Get ETH/USD price
-      const ethPrice = await this.api.getEthPrice();
-      const usdPrice = ethPrice ? (sale.priceEth * ethPrice) : null;
-      
-      // Get buyer info
-      let buyerDisplay = this.tweets.formatAddress(sale.to);
-      
-      // Try to get ENS name
-      const ensName = await this.api.getEnsName(sale.to);
-      if (ensName) {
-        buyerDisplay = ensName;
-      } else {
-        // Try to get OpenSea username
-        const osName = await this.api.getOpenseaUserName(sale.to);
-        if (osName) {
-          buyerDisplay = osName;
-        }
+
+  /**
+   * Pick up jobs interrupted by a restart
+   */
+  resumeInterrupted() {
+    const interrupted = this.jobs.filter(job => job.status === 'running');
+    interrupted.forEach(job => this.updateJob(job, { status: 'queued' }));
+    if (interrupted.length > 0) {
+      console.log(`Resuming ${interrupted.length} interrupted backfill job(s)`);
+    }
+    this.runNext();
+  }
+
+  /**
+   * Re-queue a failed job; it continues from its saved progress
+   */
+  resumeJob(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(`Unknown backfill job ${id}`);
+    }
+    if (job.status === 'failed') {
+      this.updateJob(job, { status: 'queued', error: null });
+      this.runNext();
+    }
+    return job;
+  }
+
+  /**
+   * Jobs run one at a time, oldest first
+   */
+  async runNext() {
+    if (this.activeJobId) {
+      return;
+    }
+    
+    const job = this.jobs.find(job => job.status === 'queued');
+    if (!job) {
+      return;
+    }
+    
+    this.activeJobId = job.id;
+    this.updateJob(job, { status: 'running' });
+    console.log(`Running backfill job ${job.id}`);
+    
+    try {
+      if (job.params.sources.includes('onchain')) {
+        await this.replayOnChain(job);
       }
-      
-      // Generate AI context
-      console.log(`Generating AI context for tweet: ${details.projectName}, Artist: ${details.artistName}`);
-      const aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
-      console.log(`AI context generated: ${aiContext || 'None'}`);
-      
-      // Add AI context to details object
-      details.aiContext = aiContext;
-      
-      // Format tweet
-      const tweetText = await this.tweets.formatSaleTweet(details, sale.priceEth, usdPrice, buyerDisplay);
-      
-      console.log('\n--- TWEET PREVIEW ---\n');
-      console.log(tweetText);
-      console.log('\n---------------------\n');
-      
-      // Track this sale event for the debug dashboard
-      this.trackSaleEvent(details, sale.priceEth, buyerDisplay, usdPrice, details.artBlocksUrl);
-      
-      // Queue the tweet
-      this.tweets.queueTweet(tweetText);
-      
-      return true;
+      if (job.params.sources.includes('opensea')) {
+        await this.replayOpenSea(job);
+      }
+      this.updateJob(job, { status: 'completed', completedAt: Date.now() });
+      console.log(`Backfill job ${job.id} completed: ${job.counts.recorded} sales recorded`);
     } catch (error) {
-      console.error('Error processing transfer sale:', error);
+      console.error(`Backfill job ${job.id} failed:`, error);
+      this.updateJob(job, { status: 'failed', error: error.message });
+    } finally {
+      this.activeJobId = null;
+    }
+    
+    this.runNext();
+  }
+
+  matchesFilters(job, contractAddress, tokenId) {
+    if (!job.params.contracts.includes(contractAddress.toLowerCase())) {
       return false;
     }
+    const projectIds = job.params.projectIds;
+    return projectIds.length === 0 || projectIds.includes(Math.floor(Number(tokenId) / 1000000));
   }
 
-  async extractSalePrice(transaction, receipt) {
-    let priceEth = 0;
+  async replayOnChain(job) {
+    const { fromBlock, toBlock, contracts } = job.params;
+    const chain = job.params.chain || 'ethereum';
+    const filter = transfer => this.matchesFilters(job, transfer.contractAddress, transfer.tokenId);
     
-    // Method 1: Look for OrderFulfilled events (OpenSea Seaport)
-    const orderFulfilledEvents = receipt.logs.filter(log => {
-      // OrderFulfilled event signature
-      return log.topics[0] === '0x9d9af8e38d66c62e2c12f0225249fd9d721c54b83f48d9352c97c6cacdcb6f31';
-    });
+    for (const contractAddress of contracts) {
+      let start = job.progress.onchain[contractAddress] !== undefined
+        ? job.progress.onchain[contractAddress] + 1
+        : fromBlock;
+      
+      while (start <= toBlock) {
+        const chunkEnd = Math.min(start + this.config.BACKFILL_CHUNK_BLOCKS - 1, toBlock);
+        const txHashes = new Set();
+        let pageKey;
+        
+        do {
+          const response = await this.api.getAlchemy(chain).core.getAssetTransfers({
+            fromBlock: '0x' + start.toString(16),
+            toBlock: '0x' + chunkEnd.toString(16),
+            contractAddresses: [contractAddress],
+            category: ['erc721'],
+            ...(pageKey ? { pageKey } : {})
+          });
+          
+          for (const transfer of response.transfers || []) {
+            if (filter({ contractAddress, tokenId: BigInt(transfer.erc721TokenId).toString() })) {
+              txHashes.add(transfer.hash);
+            }
+          }
+          pageKey = response.pageKey;
+        } while (pageKey);
+        
+        for (const txHash of txHashes) {
+          // Like OpenSea events, one transaction that fails is skipped rather than failing the job
+          try {
+            job.counts.recorded += await this.txProcessor.recordHistoricalTransaction(txHash, filter, chain);
+          } catch (error) {
+            console.error(`Backfill ${job.id}: skipping transaction ${txHash}:`, error.message);
+            job.counts.skipped = (job.counts.skipped || 0) + 1;
+          }
+          job.counts.transactions++;
+        }
+        
+        job.progress.onchain[contractAddress] = chunkEnd;
+        this.updateJob(job, {});
+        console.log(`Backfill ${job.id}: ${contractAddress} scanned through block ${chunkEnd} of ${toBlock} (${job.counts.recorded} recorded)`);
+        start = chunkEnd + 1;
+      }
+    }
+  }
+
+  async replayOpenSea(job) {
+    const { fromTime, toTime } = job.params;
     
-    if (orderFulfilledEvents.length > 0) {
-      console.log('Found OrderFulfilled event - parsing price data');
-      const orderFulfilledEvent = orderFulfilledEvents[0];
-      
-      // Use transaction value if significant
-      if (BigInt(transaction.value) > BigInt(1e16)) { // More than 0.01 ETH
-        priceEth = Number(BigInt(transaction.value)) / 1e18;
-        console.log(`Using transaction value as price: ${priceEth} ETH`);
-      } else {
-        // Try to extract payment from event data
-        if (orderFulfilledEvent.data.includes('0000000000000000000000000000000000000000')) {
-          const ethPositionHint = orderFulfilledEvent.data.indexOf('0000000000000000000000000000000000000000');
-          if (ethPositionHint > 0) {
-            const potentialAmountHex = '0x' + orderFulfilledEvent.data.substring(ethPositionHint + 64, ethPositionHint + 64 + 64);
+    for (const collectionSlug of this.config.OPENSEA_COLLECTION_SLUGS) {
+      const progress = job.progress.opensea[collectionSlug];
+      if (progress === 'done') continue;
+      
+      // Pages arrive newest first, so resume just above the oldest event already replayed
+      const before = Math.floor((progress || toTime) / 1000) + 1;
+      
+      await this.api.fetchOpenSeaEvents(collectionSlug, {
+        after: Math.floor(fromTime / 1000),
+        before,
+        onPage: async events => {
+          for (const event of events) {
+            if (!event.nft || !this.matchesFilters(job, event.nft.contract, event.nft.identifier)) continue;
+            
+            // One bad event (e.g. a payment we can't price) is skipped rather
+            // than failing the job, which would stop on it again when resumed
             try {
-              const amountWei = BigInt(potentialAmountHex);
-              if (amountWei > 0) {
-                priceEth = Number(amountWei) / 1e18;
-                console.log(`Extracted payment amount from OrderFulfilled data: ${priceEth} ETH`);
+              if (await this.openSeaProcessor.recordHistoricalEvent(event)) {
+                job.counts.recorded++;
               }
             } catch (error) {
-              console.error('Error parsing potential ETH amount:', error);
+              console.error(`Backfill ${job.id}: skipping OpenSea event ${event.id}:`, error.message);
+              job.counts.skipped = (job.counts.skipped || 0) + 1;
             }
+            job.counts.openSeaEvents++;
+          }
+          
+          if (events.length > 0) {
+            job.progress.opensea[collectionSlug] = Math.min(...events.map(event => this.api.getEventTimestamp(event)));
           }
+          this.updateJob(job, {});
         }
-      }
-    }
-    
-    // Method 2: Look for direct ETH/WETH transfers
-    if (priceEth === 0) {
-      // Check for WETH transfers
-      const wethAddress = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
-      
-      const wethTransfers = receipt.logs.filter(log => {
-        return log.address.toLowerCase() === wethAddress.toLowerCase() && 
-               log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
       });
       
-      if (wethTransfers.length > 0) {
-        console.log('Found WETH transfer event');
-        const wethTransfer = wethTransfers[0];
-        const amountWei = BigInt(wethTransfer.data);
-        priceEth = Number(amountWei) / 1e18;
-        console.log(`Extracted WETH payment: ${priceEth} ETH`);
-      } else if (BigInt(transaction.value) > BigInt(1e16)) {
-        // Use direct ETH value as fallback if significant
-        priceEth = Number(BigInt(transaction.value)) / 1e18;
-        console.log(`Using direct transaction value as price: ${priceEth} ETH`);
-      }
+      job.progress.opensea[collectionSlug] = 'done';
+      this.updateJob(job, {});
+      console.log(`Backfill ${job.id}: replayed OpenSea events for ${collectionSlug} (${job.counts.recorded} recorded)`);
     }
-    
-    return priceEth;
   }
+}
 
-  async testTransactionOutput(txHash, contractAddress, includeAi = true) {
+// =========================================================
+// CONTRACT DISCOVERY
+// =========================================================
+
+/**
+ * Keeps the monitored contracts, their names and the OpenSea slugs in line
+ * with Art Blocks' contract registry. Each run compares the registry with the
+ * live config and, if they differ, stores a proposal and notifies operators.
+ * Nothing changes until an operator approves the proposal, which writes it to
+ * the config file and hot-reloads it.
+ */
+class ContractDiscovery {
+  constructor(apiServices, config) {
+    this.api = apiServices;
+    this.config = config;
+    this.stateFile = new JsonStateFile(path.join(config.DATA_DIR, 'contract-discovery.json'));
+    this.state = this.stateFile.read({
+      contractSlugs: {}, // lowercase contract -> OpenSea slug
+      proposal: null,
+      rejectedSignature: null, // a rejected diff isn't proposed again until it changes
+      lastRun: null
+    });
+    this.isRunning = false;
+  }
+
+  saveState() {
+    this.stateFile.write(this.state);
+  }
+
+  start() {
+    this.stop();
+    this.run();
+    this.intervalId = setInterval(() => this.run(), this.config.CONTRACT_DISCOVERY_INTERVAL);
+    return this.intervalId;
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Compare the registry with the config and propose the difference. Returns
+   * the pending proposal, or null if everything is in sync.
+   */
+  async run() {
+    if (this.isRunning) {
+      console.log('Contract discovery already running, skipping this run');
+      return this.state.proposal;
+    }
+    this.isRunning = true;
+    
     try {
-      console.log(`Testing output for transaction: ${txHash}`);
-      
-      // Get transaction details
-      const transaction = await this.api.alchemy.core.getTransaction(txHash);
-      if (!transaction || !transaction.to) {
-        console.log('Transaction not found or invalid');
-        return { success: false, error: 'Transaction not found or invalid' };
-      }
-      
-      // Get transaction receipt with logs
-      const receipt = await this.api.alchemy.core.getTransactionReceipt(txHash);
-      if (!receipt) {
-        console.log('Receipt not found');
-        return { success: false, error: 'Receipt not found' };
+      const registry = await this.api.getArtBlocksContractRegistry();
+      if (registry.length === 0) {
+        // An empty registry would propose removing everything
+        throw new Error('Contract registry returned no contracts');
       }
       
-      // Look for ERC-721 Transfer event in the logs
-      const transferEvents = receipt.logs.filter(log => {
-        const isFromMonitoredContract = log.address.toLowerCase() === contractAddress.toLowerCase();
-        const isTransferEvent = log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-        return isFromMonitoredContract && isTransferEvent;
-      });
+      const diff = await this.buildDiff(registry);
+      this.state.lastRun = { timestamp: Date.now(), registryContracts: registry.length, error: null };
       
-      if (transferEvents.length === 0) {
-        console.log('No Transfer events found in transaction');
-        return { success: false, error: 'No Transfer events found in transaction' };
+      if (!diff) {
+        console.log(`Contract discovery: config matches the registry (${registry.length} contracts)`);
+        this.state.proposal = null;
+        this.saveState();
+        return null;
       }
       
-      // Get the last Transfer event
-      const transferEvent = transferEvents[transferEvents.length - 1];
-      
-      // Parse the event data
-      const fromAddress = '0x' + transferEvent.topics[1].slice(26);
-      const toAddress = '0x' + transferEvent.topics[2].slice(26);
-      
-      // Parse tokenId
-      let tokenId;
-      if (transferEvent.topics.length > 3) {
-        tokenId = parseInt(transferEvent.topics[3], 16);
-      } else {
-        tokenId = parseInt(transferEvent.data, 16);
+      const signature = JSON.stringify(diff);
+      if (this.state.proposal && this.state.proposal.signature === signature) {
+        this.saveState();
+        return this.state.proposal;
       }
-      
-      console.log(`Extracted from event - From: ${fromAddress}, To: ${toAddress}, TokenId: ${tokenId}`);
-      
-      // Extract price information
-      const priceEth = await this.extractSalePrice(transaction, receipt);
-      console.log(`Final sale price: ${priceEth} ETH`);
-      
-      // Skip if below minimum price or zero
-      if (priceEth < this.config.MIN_PRICE_ETH || priceEth === 0) {
-        console.log(`Price ${priceEth} ETH is below minimum threshold or zero, skipping`);
-        return { success: false, error: `Price ${priceEth} ETH is below minimum threshold` };
+      if (this.state.rejectedSignature === signature) {
+        console.log('Contract discovery: registry still differs, but this change was rejected');
+        this.saveState();
+        return null;
       }
       
-      // Get project details
-      const details = await this.metadata.getProjectDetails(tokenId, contractAddress);
-      
-      // Get ETH/USD price
-      const ethPrice = await this.api.getEthPrice();
-      const usdPrice = ethPrice ? (priceEth * ethPrice) : null;
-      
-      // Get buyer info
-      let buyerDisplay = this.tweets.formatAddress(toAddress);
+      this.state.proposal = { id: `discovery-${Date.now()}`, createdAt: Date.now(), signature, ...diff };
+      this.saveState();
+      await this.notifyOperators(this.state.proposal);
+      return this.state.proposal;
+    } catch (error) {
+      console.error('Error in contract discovery:', error.message);
+      this.state.lastRun = { timestamp: Date.now(), error: error.message };
+      this.saveState();
+      return this.state.proposal;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Differences between the registry and the live config, or null if none.
+   * Contracts are only proposed for removal on chains the registry covers.
+   */
+  async buildDiff(registry) {
+    const registryByAddress = new Map(registry.map(entry => [entry.address, entry]));
+    const registryChains = new Set(registry.map(entry => entry.chain));
+    const monitored = new Set(this.config.CONTRACT_ADDRESSES.map(addr => addr.toLowerCase()));
+    
+    const addContracts = registry
+      .filter(entry => !monitored.has(entry.address))
+      .map(({ chain, address, name }) => ({ chain, address, name }));
+    const removeContracts = this.config.CONTRACT_ADDRESSES
+      .map(addr => addr.toLowerCase())
+      .filter(addr => registryChains.has(this.config.getContractChain(addr)) && !registryByAddress.has(addr))
+      .map(address => ({ chain: this.config.getContractChain(address), address, name: this.config.CONTRACT_NAMES[address] || null }));
+    const renameContracts = registry
+      .filter(entry => monitored.has(entry.address) && entry.name && this.config.CONTRACT_NAMES[entry.address] !== entry.name)
+      .map(entry => ({ address: entry.address, from: this.config.CONTRACT_NAMES[entry.address] || null, to: entry.name }));
+    
+    // Slugs of every registry contract, resolving only ones we haven't seen before
+    for (const entry of registry) {
+      if (this.state.contractSlugs[entry.address] !== undefined) continue;
       
-      // Try to get ENS name
-      const ensName = await this.api.getEnsName(toAddress);
-      if (ensName) {
-        buyerDisplay = ensName;
-      } else {
-        // Try to get OpenSea username
-        const osName = await this.api.getOpenseaUserName(toAddress);
-        if (osName) {
-          buyerDisplay = osName;
-        }
+      try {
+        this.state.contractSlugs[entry.address] = await this.api.getOpenSeaContractSlug(entry.address, entry.chain);
+      } catch (error) {
+        console.error(`Error resolving OpenSea slug for ${entry.address}, will retry next run:`, error.message);
       }
-      
-      // Generate AI context if requested
-      let aiContext = null;
-      if (includeAi) {
-        try {
-          console.log(`Generating AI context for test output - Project: ${details.projectName}, Artist: ${details.artistName}`);
-          aiContext = await this.tweets.generateAIContext(details, details.projectName, details.artistName);
-          console.log(`AI context generated: ${aiContext}`);
-        } catch (aiError) {
-          console.error('Error generating AI context for test:', aiError);
-          aiContext = null;
-        }
+      await new Promise(resolve => setTimeout(resolve, this.config.OPENSEA_RATE_LIMIT_DELAY));
+    }
+    const registrySlugs = new Set(registry.map(entry => this.state.contractSlugs[entry.address]).filter(Boolean));
+    const addSlugs = Array.from(registrySlugs).filter(slug => !this.config.OPENSEA_COLLECTION_SLUGS.includes(slug));
+    
+    // A configured slug stays if any of its contracts is a registry contract
+    // (vertical collections like art-blocks-curated share the core contracts)
+    const removeSlugs = [];
+    for (const slug of this.config.OPENSEA_COLLECTION_SLUGS) {
+      if (registrySlugs.has(slug)) continue;
+      
+      const collection = await this.api.getOpenSeaCollection(slug);
+      await new Promise(resolve => setTimeout(resolve, this.config.OPENSEA_RATE_LIMIT_DELAY));
+      if (!collection) continue; // Unknown is not the same as wrong; leave it
+      
+      const contracts = (collection.contracts || []).map(contract => contract.address.toLowerCase());
+      if (!contracts.some(address => registryByAddress.has(address))) {
+        removeSlugs.push(slug);
       }
-      
-      // Add AI context to details object
-      details.aiContext = aiContext;
-      
-      // Format tweet
-      const tweetText = await this.tweets.formatSaleTweet(details, priceEth, usdPrice, buyerDisplay);
-      
-      console.log('\n--- TWEET PREVIEW ---\n');
-      console.log(tweetText);
-      console.log('\n---------------------\n');
-      
-      return { 
-        success: true, 
-        tweet: tweetText,
-        metadata: {
-          contract: contractAddress,
-          tokenId: tokenId,
-          projectName: details.projectName,
-          artistName: details.artistName,
-          tokenNumber: details.tokenNumber,
-          priceEth: priceEth,
-          priceUsd: usdPrice,
-          buyer: buyerDisplay,
-          from: fromAddress,
-          to: toAddress,
-          url: details.artBlocksUrl,
-          aiContext: aiContext
-        }
-      };
+    }
+    
+    if (addContracts.length + removeContracts.length + renameContracts.length + addSlugs.length + removeSlugs.length === 0) {
+      return null;
+    }
+    return { addContracts, removeContracts, renameContracts, addSlugs, removeSlugs };
+  }
+
+  /**
+   * Log the proposal and post it to the operator webhook
+   */
+  async notifyOperators(proposal) {
+    const lines = [`🔎 Art Blocks contract registry differs from the bot config (proposal ${proposal.id})`];
+    proposal.addContracts.forEach(entry => lines.push(`+ contract ${entry.address} on ${entry.chain} (${entry.name || 'unnamed'})`));
+    proposal.removeContracts.forEach(entry => lines.push(`- contract ${entry.address} on ${entry.chain} (${entry.name || 'unnamed'})`));
+    proposal.renameContracts.forEach(entry => lines.push(`~ name ${entry.address}: ${entry.from || 'none'} -> ${entry.to}`));
+    proposal.addSlugs.forEach(slug => lines.push(`+ slug ${slug}`));
+    proposal.removeSlugs.forEach(slug => lines.push(`- slug ${slug}`));
+    lines.push(`Approve with POST /admin/discovery/approve?id=${proposal.id} or reject with POST /admin/discovery/reject?id=${proposal.id}`);
+    
+    const text = lines.join('\n');
+    console.log('\n--- CONTRACT DISCOVERY ---\n');
+    console.log(text);
+    console.log('\n---------------------\n');
+    
+    if (!this.config.WEBHOOK_URL) {
+      return false;
+    }
+    
+    try {
+      await axios.post(this.config.WEBHOOK_URL, { content: text, type: 'contract-discovery', proposalId: proposal.id });
+      return true;
     } catch (error) {
-      console.error('Error in test transaction:', error);
-      return { success: false, error: error.message };
+      console.error('Error sending contract discovery proposal:', error.message);
+      return false;
+    }
+  }
+
+  getPendingProposal(id) {
+    const proposal = this.state.proposal;
+    if (!proposal || proposal.id !== id) {
+      throw new Error(`No pending discovery proposal ${id}`);
+    }
+    return proposal;
+  }
+
+  /**
+   * Write an approved proposal to the config file; the reload that follows
+   * resubscribes to the new contract set
+   */
+  approve(id) {
+    const proposal = this.getPendingProposal(id);
+    const removed = new Set(proposal.removeContracts.map(entry => entry.address));
+    
+    const chains = {};
+    for (const [chain, chainConfig] of Object.entries(this.config.CHAINS)) {
+      const added = proposal.addContracts.filter(entry => entry.chain === chain).map(entry => entry.address);
+      const kept = chainConfig.contracts.filter(addr => !removed.has(addr.toLowerCase()));
+      if (added.length > 0 || kept.length !== chainConfig.contracts.length) {
+        chains[chain] = { contracts: [...kept, ...added] };
+      }
+    }
+    
+    const names = { ...this.config.CONTRACT_NAMES };
+    proposal.addContracts.forEach(entry => { if (entry.name) names[entry.address] = entry.name; });
+    proposal.renameContracts.forEach(entry => { names[entry.address] = entry.to; });
+    removed.forEach(address => delete names[address]);
+    
+    const slugs = this.config.OPENSEA_COLLECTION_SLUGS
+      .filter(slug => !proposal.removeSlugs.includes(slug))
+      .concat(proposal.addSlugs);
+    
+    const settings = { CONTRACT_NAMES: names, OPENSEA_COLLECTION_SLUGS: slugs };
+    if (Object.keys(chains).length > 0) {
+      settings.CHAINS = chains;
     }
+    
+    const entry = this.config.update(settings, `discovery ${proposal.id} approved`);
+    this.state.proposal = null;
+    this.state.rejectedSignature = null;
+    this.saveState();
+    console.log(`Contract discovery proposal ${proposal.id} approved`);
+    return entry;
+  }
+
+  reject(id) {
+    const proposal = this.getPendingProposal(id);
+    this.state.rejectedSignature = proposal.signature;
+    this.state.proposal = null;
+    this.saveState();
+    console.log(`Contract discovery proposal ${proposal.id} rejected`);
+    return proposal;
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastRun: this.state.lastRun,
+      proposal: this.state.proposal
+    };
+  }
+}
+
+// =========================================================
+// HTTP SERVER & ROUTES
+// =========================================================
+
+/**
+ * Parse a JSON request body (up to 1 MB)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1024 * 1024) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Request body is not valid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Admin endpoints need `Authorization: Bearer $ADMIN_TOKEN`, and are off
+ * when ADMIN_TOKEN is unset. Returns { status, error } to reject with, or null.
+ */
+function adminAuthError(req) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return { status: 403, error: 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them' };
+  }
+  
+  const header = req.headers.authorization || '';
+  const expected = Buffer.from(token);
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { status: 401, error: 'Missing or invalid admin token' };
   }
+  return null;
 }
 
-// =========================================================
-// HTTP SERVER & ROUTES
-// =========================================================
-
 class ServerManager {
-  constructor(apiServices, metadataManager, tweetManager, transactionProcessor, config) {
+  constructor(apiServices, metadataManager, tweetManager, transactionProcessor, salesStore, config) {
     this.api = apiServices;
     this.metadata = metadataManager;
     this.tweets = tweetManager;
     this.txProcessor = transactionProcessor;
+    this.sales = salesStore;
     this.config = config;
   }
 
@@ -1904,12 +7419,26 @@ class ServerManager {
         this.handleTriggerOpenSeaEvents(req, res);
       } else if (req.url.startsWith('/api-test')) {
         this.handleApiTest(req, res);
+      } else if (req.url.startsWith('/sales')) {
+        this.handleSales(req, res);
       } else if (req.url === '/dashboard') {
         this.handleDebugDashboard(req, res);
+      } else if (req.url === '/dashboard/overrides') {
+        this.handleOverridesPage(req, res);
       } else if (req.url === '/api-status') {
         this.handleAPIStatus(req, res);
       } else if (req.url.startsWith('/simulate-sale')) {
         this.handleSimulateSale(req, res);
+      } else if (req.url.startsWith('/backfill')) {
+        this.handleBackfill(req, res);
+      } else if (req.url.startsWith('/admin/config')) {
+        this.handleAdminConfig(req, res);
+      } else if (req.url.startsWith('/admin/discovery')) {
+        this.handleAdminDiscovery(req, res);
+      } else if (req.url.startsWith('/admin/held-tweets')) {
+        this.handleAdminHeldTweets(req, res);
+      } else if (req.url.startsWith('/admin/metadata-overrides')) {
+        this.handleAdminMetadataOverrides(req, res);
       } else if (req.url === '/help') {
         this.handleHelp(req, res);
       } else {
@@ -2063,12 +7592,14 @@ class ServerManager {
 
   handleQueueStatus(req, res) {
     res.writeHead(200, {'Content-Type': 'text/plain'});
-    res.end(`Tweet queue status: ${this.tweets.tweetQueue.length} tweets waiting. Last tweet sent: ${new Date(this.tweets.lastTweetTime).toISOString()}. Failures: ${this.tweets.tweetFailures}. Tweets enabled: ${!this.config.DISABLE_TWEETS}`);
+    const counts = this.tweets.getQueueCounts();
+    res.end(`Tweet queue status: ${counts.pending} tweets waiting, ${counts.held} held for review (${counts.sent} sent, ${counts.failed} failed recently). Last tweet sent: ${new Date(this.tweets.lastTweetTime).toISOString()}. Failures: ${this.tweets.tweetFailures}. Tweets enabled: ${!this.config.DISABLE_TWEETS}`);
   }
 
   handleResetRateLimit(req, res) {
     this.tweets.tweetFailures = 0;
     this.tweets.lastRateLimitTime = 0;
+    this.tweets.saveQueue();
     res.writeHead(200, {'Content-Type': 'text/plain'});
     res.end('Rate limit state has been reset.');
   }
@@ -2100,6 +7631,7 @@ class ServerManager {
   handleTestTransaction(req, res) {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const txHash = url.searchParams.get('hash');
+    const chain = url.searchParams.get('chain') || 'ethereum';
     
     if (!txHash) {
       res.writeHead(400, {'Content-Type': 'text/plain'});
@@ -2107,10 +7639,23 @@ class ServerManager {
       return;
     }
     
+    if (!Object.hasOwn(this.config.CHAINS, chain)) {
+      res.writeHead(400, {'Content-Type': 'text/plain'});
+      res.end(`Error: Unknown chain ${chain}`);
+      return;
+    }
+    
+    // Clients only exist for chains with contracts; getAlchemy would throw outside the promise chain
+    if (!Object.hasOwn(this.api.alchemyClients, chain)) {
+      res.writeHead(400, {'Content-Type': 'text/plain'});
+      res.end(`Error: No contracts are monitored on ${chain}`);
+      return;
+    }
+    
     console.log(`Manual transaction test received for hash: ${txHash}`);
     
     // First get the transaction to determine which contract is involved
-    this.api.alchemy.core.getTransactionReceipt(txHash)
+    this.api.getAlchemy(chain).core.getTransactionReceipt(txHash)
       .then(receipt => {
         if (!receipt) {
           throw new Error('Transaction receipt not found');
@@ -2120,7 +7665,7 @@ class ServerManager {
         let foundContract = null;
         
         // Normalize our contract addresses for comparison
-        const monitoredAddresses = this.config.CONTRACT_ADDRESSES.map(addr => addr.toLowerCase());
+        const monitoredAddresses = this.config.CHAINS[chain].contracts.map(addr => addr.toLowerCase());
         
         // Check logs for events from our contracts
         for (const log of receipt.logs) {
@@ -2161,6 +7706,7 @@ class ServerManager {
     const txHash = url.searchParams.get('hash');
     const forceRefresh = url.searchParams.get('refresh') === 'true';
     const includeAi = url.searchParams.get('ai') !== 'false'; // Default is to include AI
+    const chain = url.searchParams.get('chain') || 'ethereum';
     
     if (!txHash) {
       res.writeHead(400, {'Content-Type': 'text/plain'});
@@ -2168,10 +7714,23 @@ class ServerManager {
       return;
     }
     
+    if (!Object.hasOwn(this.config.CHAINS, chain)) {
+      res.writeHead(400, {'Content-Type': 'text/plain'});
+      res.end(`Error: Unknown chain ${chain}`);
+      return;
+    }
+    
+    // Clients only exist for chains with contracts; getAlchemy would throw outside the promise chain
+    if (!Object.hasOwn(this.api.alchemyClients, chain)) {
+      res.writeHead(400, {'Content-Type': 'text/plain'});
+      res.end(`Error: No contracts are monitored on ${chain}`);
+      return;
+    }
+    
     console.log(`Testing output for hash: ${txHash}, force refresh: ${forceRefresh}, includeAi: ${includeAi}`);
     
     // First get the transaction to determine which contract is involved
-    this.api.alchemy.core.getTransactionReceipt(txHash)
+    this.api.getAlchemy(chain).core.getTransactionReceipt(txHash)
       .then(receipt => {
         if (!receipt) {
           throw new Error('Transaction receipt not found');
@@ -2181,7 +7740,7 @@ class ServerManager {
         let foundContract = null;
         
         // Normalize our contract addresses for comparison
-        const monitoredAddresses = this.config.CONTRACT_ADDRESSES.map(addr => addr.toLowerCase());
+        const monitoredAddresses = this.config.CHAINS[chain].contracts.map(addr => addr.toLowerCase());
         
         // Check logs for events from our contracts
         for (const log of receipt.logs) {
@@ -2239,13 +7798,18 @@ class ServerManager {
     
     console.log(`Testing metadata retrieval for token: ${tokenId} on contract: ${contractAddress}, force refresh: ${forceRefresh}`);
     
-    // Clear cache for this token if forced refresh is requested
+    // Clear cache for this token and its project if forced refresh is requested
     if (forceRefresh) {
       const cacheKey = `${contractAddress.toLowerCase()}-${tokenId}`;
       if (this.api.tokenMetadataCache[cacheKey]) {
         delete this.api.tokenMetadataCache[cacheKey];
         console.log(`Cleared cache for ${cacheKey}`);
       }
+      this.metadata.clearProjectCache(MetadataManager.projectKey(
+        this.config.getContractChain(contractAddress),
+        contractAddress,
+        Math.floor(tokenId / 1000000)
+      ));
     }
     
     this.metadata.getProjectDetails(tokenId, contractAddress)
@@ -2283,16 +7847,33 @@ class ServerManager {
               .then(alchemyData => {
                 // Compile all results
                 const result = {
+                  onChain: null,
                   openSeaApi: openSeaData,
                   artBlocksApi: artBlocksData,
                   alchemyApi: alchemyData,
-                  finalMetadata: null
+                  finalMetadata: null,
+                  provenance: null
                 };
                 
-                // Now get the final combined metadata
-                return this.metadata.getProjectDetails(tokenId, contractAddress)
+                // What the core contract itself says about the token and its project
+                return this.metadata.onChain.getTokenInfo(contractAddress, tokenId)
+                  .then(tokenInfo => tokenInfo && this.metadata.onChain.getProjectInfo(contractAddress, tokenInfo.projectId)
+                    .then(projectInfo => ({ ...tokenInfo, ...projectInfo })))
+                  .then(onChainData => {
+                    result.onChain = onChainData;
+                    // Now get the final combined metadata
+                    return this.metadata.getProjectDetails(tokenId, contractAddress);
+                  })
                   .then(finalData => {
                     result.finalMetadata = finalData;
+                    // Which source and rule produced each field, and whether a sale would be held
+                    result.provenance = {
+                      fields: finalData.provenance,
+                      confidence: finalData.metadataConfidence,
+                      minimumConfidence: this.config.METADATA_MIN_CONFIDENCE,
+                      lowConfidenceFields: finalData.lowConfidenceFields,
+                      needsReview: finalData.needsReview
+                    };
                     
                     res.writeHead(200, {'Content-Type': 'application/json'});
                     res.end(JSON.stringify(result, null, 2));
@@ -2346,13 +7927,40 @@ class ServerManager {
     
     // Clear all caches
     this.api.clearCaches();
+    this.metadata.clearProjectCache();
     
     res.writeHead(200, {'Content-Type': 'text/plain'});
     res.end('All caches have been cleared.');
   }
 
+  handleSales(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const since = url.searchParams.get('since');
+    const until = url.searchParams.get('until');
+    
+    const sales = this.sales.querySales({
+      chain: url.searchParams.get('chain'),
+      contract: url.searchParams.get('contract'),
+      txHash: url.searchParams.get('txHash'),
+      tokenId: url.searchParams.get('tokenId'),
+      buyer: url.searchParams.get('buyer'),
+      seller: url.searchParams.get('seller'),
+      source: url.searchParams.get('source'),
+      marketplace: url.searchParams.get('marketplace'),
+      tweetStatus: url.searchParams.get('tweetStatus'),
+      since: since ? new Date(since).getTime() : null,
+      until: until ? new Date(until).getTime() : null,
+      limit: parseInt(url.searchParams.get('limit') || '100', 10)
+    });
+    
+    res.writeHead(200, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify({ total: this.sales.count(), count: sales.length, sales }, null, 2));
+  }
+
   // ADDED: Debug Dashboard 
   handleDebugDashboard(req, res) {
+    const recentSales = this.sales.getRecentSales(20);
+    
     // Create a simple HTML page showing recent activity
     const html = `
     <!DOCTYPE html>
@@ -2371,6 +7979,8 @@ class ServerManager {
         .tools { margin: 20px 0; }
         .tools a { display: inline-block; margin-right: 15px; background: #0066cc; color: white; padding: 8px 15px; text-decoration: none; border-radius: 4px; }
         .ai-context { font-style: italic; color: #555; margin-top: 10px; border-left: 3px solid #ccc; padding-left: 10px; }
+        .warning { color: #b45309; margin-top: 5px; }
+        .verified { color: #15803d; margin-top: 5px; }
         .empty-message { color: #666; font-style: italic; padding: 20px; text-align: center; }
       </style>
     </head>
@@ -2386,7 +7996,7 @@ class ServerManager {
         </div>
         <div class="stat-box">
           <h3>Queue</h3>
-          <p>Length: ${this.tweets.tweetQueue.length}</p>
+          <p>Length: ${this.tweets.getPendingCount()}</p>
           <p>Processing: ${this.tweets.isTweetProcessing ? "Yes" : "No"}</p>
           <p>Tweet Mode: ${this.config.DISABLE_TWEETS ? "Preview Only" : "Live"}</p>
         </div>
@@ -2402,21 +8012,27 @@ class ServerManager {
         <a href="/trigger-opensea-events">Manual OpenSea Check</a>
         <a href="/simulate-sale?tokenId=1506&contract=0x059EDD72Cd353dF5106D2B9cC5ab83a52287aC3a&price=1.5">Simulate Sale</a>
         <a href="/api-status">API Status</a>
+        <a href="/backfill/status">Backfill Jobs</a>
+        <a href="/dashboard/overrides">Metadata Overrides</a>
         <a href="/help">Help</a>
       </div>
       
-      <h2>Recently Detected Sales (${global.recentSalesEvents.length})</h2>
+      <h2>Recently Detected Sales (${recentSales.length} of ${this.sales.count()})</h2>
       <div id="events">
-        ${global.recentSalesEvents.length === 0 ? 
+        ${recentSales.length === 0 ? 
           '<div class="empty-message">No sales detected yet. Try simulating a sale or checking OpenSea events manually.</div>' :
-          global.recentSalesEvents.map(event => `
+          recentSales.map(sale => `
             <div class="event">
-              <div class="timestamp">${new Date(event.timestamp).toLocaleString()}</div>
-              <div><strong>${event.projectName} #${event.tokenNumber}</strong> by ${event.artistName}</div>
-              <div class="price">${event.priceEth} ETH${event.usdPrice ? ` (${this.tweets.formatPrice(event.usdPrice)})` : ''}</div>
-              <div>Buyer: ${event.buyer}</div>
-              <div><a href="${event.url}" target="_blank">View on Art Blocks</a></div>
-              ${event.aiContext ? `<div class="ai-context">🤖 "${event.aiContext}"</div>` : ''}
+              <div class="timestamp">${new Date(sale.timestamp).toLocaleString()} · ${this.config.CHAINS[sale.chain || 'ethereum'].name} · ${sale.metadata.contractName || (sale.contract ? this.metadata.getContractName(sale.contract) : 'Art Blocks')} · ${sale.source}${sale.marketplace ? ` · ${sale.marketplace}` : ''} · Tweet: ${sale.tweetStatus}</div>
+              <div><strong>${sale.metadata.projectName} #${sale.metadata.tokenNumber}</strong> by ${sale.metadata.artistName}</div>
+              <div class="price">${sale.amount ?? sale.priceEth} ${sale.currency}${sale.amount !== undefined && sale.amount !== sale.priceEth ? ` ≈ ${sale.priceEth.toFixed(4)} ETH` : ''}${sale.usdPrice ? ` (${this.tweets.formatPrice(sale.usdPrice)})` : ''}</div>
+              <div>Buyer: ${sale.buyerDisplay || sale.buyer}</div>
+              ${sale.verification ? (sale.verification.status === 'verified'
+                ? '<div class="verified">✓ Verified on-chain</div>'
+                : `<div class="warning">❌ Doesn't match the chain: ${sale.verification.problems.join('; ')}</div>`) : ''}
+              ${sale.washTrade ? `<div class="warning">⚠️ Possible wash trade (score ${sale.washTrade.score}): ${sale.washTrade.signals.map(signal => signal.detail).join('; ')}</div>` : ''}
+              <div><a href="${sale.metadata.url}" target="_blank">View on Art Blocks</a></div>
+              ${sale.metadata.aiContext ? `<div class="ai-context">🤖 "${sale.metadata.aiContext}"</div>` : ''}
             </div>
           `).join('')}
       </div>
@@ -2431,6 +8047,7 @@ class ServerManager {
   // ADDED: API Status Endpoint
   async handleAPIStatus(req, res) {
     try {
+      const lastSale = this.sales.getRecentSales(1)[0];
       const openSeaStatus = await this.testOpenSeaAPI();
       const alchemyStatus = await this.testAlchemyAPI();
       
@@ -2446,18 +8063,24 @@ class ServerManager {
           openSeaPollActive: !!global.openSeaProcessor?.pollIntervalId,
           lastEventTimestamp: new Date(this.api.lastEventTimestamp).toISOString(),
           alchemyWebsocketsActive: this.api.alchemy && this.api.alchemy.ws ? true : false,
+          confirmedLogs: global.logMonitor ? global.logMonitor.getStatus() : null,
+          backfill: global.backfillScanner ? global.backfillScanner.getStatus() : null,
+          activityAlerts: global.activityAlerts ? global.activityAlerts.getStatus() : null,
+          contractDiscovery: global.contractDiscovery ? global.contractDiscovery.getStatus() : null,
+          openSeaStream: global.openSeaStream ? global.openSeaStream.getStatus() : null,
           contracts: this.config.CONTRACT_ADDRESSES.length
         },
         queues: {
-          tweetQueue: this.tweets.tweetQueue.length,
+          tweetQueue: this.tweets.getPendingCount(),
+          tweetQueueStates: this.tweets.getQueueCounts(),
+          metadataCache: this.metadata.getCacheStats(),
           processingActive: this.tweets.isTweetProcessing,
           tweetsEnabled: !this.config.DISABLE_TWEETS,
           webhookConfigured: !!this.config.WEBHOOK_URL
         },
         sales: {
-          recentSalesCount: global.recentSalesEvents.length,
-          lastSaleTimestamp: global.recentSalesEvents.length > 0 ? 
-            new Date(global.recentSalesEvents[0].timestamp).toISOString() : null
+          recentSalesCount: this.sales.count(),
+          lastSaleTimestamp: lastSale ? new Date(lastSale.timestamp).toISOString() : null
         }
       };
       
@@ -2519,7 +8142,7 @@ class ServerManager {
             
             <div class="status-box">
               <h2>Sales</h2>
-              <p>Recent Sales: ${status.sales.recentSalesCount}</p>
+              <p>Recorded Sales: ${status.sales.recentSalesCount}</p>
               <p>Last Sale: ${status.sales.lastSaleTimestamp || 'None'}</p>
             </div>
           </div>
@@ -2572,6 +8195,368 @@ class ServerManager {
     }
   }
   
+  /**
+   * GET /backfill/status[?id=] reports progress to anyone. Admin-only:
+   * POST /backfill?fromDate=2024-01-01&toDate=2024-01-31&projectIds=78&sources=onchain,opensea
+   *   (or fromBlock/toBlock, contracts) starts a job;
+   * POST /backfill/resume?id= retries a failed job
+   */
+  handleBackfill(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const backfill = global.historicalBackfill;
+    const list = name => (url.searchParams.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+    
+    const respond = (status, body) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body, null, 2));
+    };
+    
+    if (url.pathname === '/backfill/status') {
+      const id = url.searchParams.get('id');
+      if (id) {
+        const job = backfill.getJob(id);
+        return job ? respond(200, job) : respond(404, { error: `Unknown backfill job ${id}` });
+      }
+      return respond(200, { active: backfill.activeJobId, jobs: backfill.listJobs() });
+    }
+    
+    // Jobs run for hours against Alchemy and OpenSea, so only admins start them
+    const authError = adminAuthError(req);
+    if (authError) {
+      return respond(authError.status, { error: authError.error });
+    }
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use POST to start or resume a backfill job' });
+    }
+    
+    if (url.pathname === '/backfill/resume') {
+      try {
+        return respond(200, backfill.resumeJob(url.searchParams.get('id')));
+      } catch (error) {
+        return respond(404, { error: error.message });
+      }
+    }
+    if (url.pathname !== '/backfill') {
+      return respond(404, { error: `Unknown backfill endpoint ${url.pathname}` });
+    }
+    
+    backfill.createJob({
+      chain: url.searchParams.get('chain'),
+      fromBlock: url.searchParams.get('fromBlock'),
+      toBlock: url.searchParams.get('toBlock'),
+      fromDate: url.searchParams.get('fromDate'),
+      toDate: url.searchParams.get('toDate'),
+      contracts: list('contracts'),
+      projectIds: list('projectIds'),
+      sources: list('sources')
+    })
+      .then(job => respond(202, { message: `Backfill job ${job.id} queued`, statusUrl: `/backfill/status?id=${job.id}`, job }))
+      .catch(error => respond(400, { error: error.message }));
+  }
+
+  /**
+   * Admin-only (Authorization: Bearer $ADMIN_TOKEN). GET /admin/config shows
+   * the live settings and version history; POST /admin/config with a JSON
+   * body in config-file shape saves and applies it; POST /admin/config/reload
+   * re-reads the config file.
+   */
+  async handleAdminConfig(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const respond = (status, body) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body, null, 2));
+    };
+    
+    const authError = adminAuthError(req);
+    if (authError) {
+      return respond(authError.status, { error: authError.error });
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/admin/config') {
+      return respond(200, {
+        version: this.config.version,
+        configFile: this.config.CONFIG_FILE,
+        envOverrides: this.config.envOverrides,
+        settings: this.config.snapshotSettings(),
+        history: this.config.history
+      });
+    }
+    
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use GET to read the config or POST to change it' });
+    }
+    
+    let settings = null;
+    if (url.pathname === '/admin/config') {
+      try {
+        settings = await readJsonBody(req);
+      } catch (error) {
+        return respond(400, { error: error.message });
+      }
+    }
+    
+    try {
+      let entry;
+      if (url.pathname === '/admin/config/reload') {
+        entry = this.config.reload('admin reload');
+      } else if (url.pathname === '/admin/config') {
+        entry = this.config.update(settings, 'admin update');
+      } else {
+        return respond(404, { error: `Unknown admin endpoint ${url.pathname}` });
+      }
+      
+      respond(200, entry
+        ? { message: `Applied config version ${entry.version}`, ...entry }
+        : { message: `No changes, still on config version ${this.config.version}`, version: this.config.version });
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        return respond(400, { error: 'Invalid configuration', problems: error.problems });
+      }
+      console.error('Error updating config:', error);
+      respond(500, { error: error.message });
+    }
+  }
+
+  /**
+   * Admin-only. GET /admin/discovery shows the pending proposal;
+   * POST /admin/discovery/run checks the registry now;
+   * POST /admin/discovery/approve?id= or /reject?id= settles a proposal.
+   */
+  async handleAdminDiscovery(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const discovery = global.contractDiscovery;
+    const respond = (status, body) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body, null, 2));
+    };
+    
+    const authError = adminAuthError(req);
+    if (authError) {
+      return respond(authError.status, { error: authError.error });
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/admin/discovery') {
+      return respond(200, discovery.getStatus());
+    }
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use GET to read the proposal or POST to act on it' });
+    }
+    
+    const id = url.searchParams.get('id');
+    try {
+      if (url.pathname === '/admin/discovery/run') {
+        const proposal = await discovery.run();
+        return respond(200, proposal ? { message: `Proposal ${proposal.id} pending approval`, proposal } : { message: 'Config matches the registry' });
+      }
+      if (url.pathname === '/admin/discovery/approve') {
+        const entry = discovery.approve(id);
+        return respond(200, { message: `Proposal ${id} applied`, config: entry });
+      }
+      if (url.pathname === '/admin/discovery/reject') {
+        discovery.reject(id);
+        return respond(200, { message: `Proposal ${id} rejected` });
+      }
+      respond(404, { error: `Unknown admin endpoint ${url.pathname}` });
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        return respond(400, { error: 'Proposal would make the configuration invalid', problems: error.problems });
+      }
+      respond(404, { error: error.message });
+    }
+  }
+
+  /**
+   * Admin-only. GET /admin/held-tweets lists tweets held by wash trade
+   * screening with their sales; POST /admin/held-tweets/release?id= sends one
+   * and POST /admin/held-tweets/suppress?id= drops it.
+   */
+  async handleAdminHeldTweets(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const respond = (status, body) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body, null, 2));
+    };
+    
+    const authError = adminAuthError(req);
+    if (authError) {
+      return respond(authError.status, { error: authError.error });
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/admin/held-tweets') {
+      return respond(200, this.tweets.getHeldTweets().map(item => ({
+        ...item,
+        sales: item.saleIds.map(id => this.sales.getSale(id)).filter(Boolean)
+      })));
+    }
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use GET to list held tweets or POST to review one' });
+    }
+    
+    const id = url.searchParams.get('id');
+    try {
+      if (url.pathname === '/admin/held-tweets/release') {
+        return respond(200, { message: `Tweet ${id} released`, tweet: await this.tweets.releaseTweet(id) });
+      }
+      if (url.pathname === '/admin/held-tweets/suppress') {
+        return respond(200, { message: `Tweet ${id} suppressed`, tweet: this.tweets.suppressTweet(id) });
+      }
+      respond(404, { error: `Unknown admin endpoint ${url.pathname}` });
+    } catch (error) {
+      // Anything but a missing tweet means it can't be released yet (e.g. metadata still uncertain)
+      const exists = this.tweets.tweetQueue.some(item => item.id === id);
+      respond(exists ? 409 : 404, { error: error.message });
+    }
+  }
+
+  /**
+   * Admin-only. GET /admin/metadata-overrides lists overrides; POST
+   * /admin/metadata-overrides with { scope, contract, projectId?, tokenId?,
+   * fields, note? } creates or updates one; POST
+   * /admin/metadata-overrides/delete?key= removes one.
+   */
+  async handleAdminMetadataOverrides(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const overrides = this.metadata.overrides;
+    const respond = (status, body) => {
+      res.writeHead(status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(body, null, 2));
+    };
+    
+    const authError = adminAuthError(req);
+    if (authError) {
+      return respond(authError.status, { error: authError.error });
+    }
+    
+    if (req.method === 'GET' && url.pathname === '/admin/metadata-overrides') {
+      return respond(200, overrides.list());
+    }
+    if (req.method !== 'POST') {
+      return respond(405, { error: 'Use GET to list overrides or POST to change them' });
+    }
+    
+    if (url.pathname === '/admin/metadata-overrides/delete') {
+      try {
+        overrides.remove(url.searchParams.get('key'));
+        return respond(200, { message: `Override ${url.searchParams.get('key')} removed` });
+      } catch (error) {
+        return respond(404, { error: error.message });
+      }
+    }
+    if (url.pathname !== '/admin/metadata-overrides') {
+      return respond(404, { error: `Unknown admin endpoint ${url.pathname}` });
+    }
+    
+    try {
+      const override = overrides.set(await readJsonBody(req));
+      respond(200, override ? { message: `Override ${override.key} saved`, override } : { message: 'Override removed (no fields left)' });
+    } catch (error) {
+      respond(400, { error: error.message });
+    }
+  }
+
+  /**
+   * Dashboard page for metadata overrides. Anyone can view them; changes go
+   * through the admin API, so the form asks for the admin token.
+   */
+  handleOverridesPage(req, res) {
+    const overrides = this.metadata.overrides.list();
+    const target = override => override.scope === 'contract' ? `${override.contract} (${this.metadata.getContractName(override.contract)})`
+      : override.scope === 'project' ? `${override.contract} project ${override.projectId}`
+      : `${override.contract} token ${override.tokenId}`;
+    
+    const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Art Blocks Sales Bot - Metadata Overrides</title>
+      <style>
+        body { font-family: sans-serif; margin: 20px; background-color: #f5f5f5; }
+        table { border-collapse: collapse; background: white; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 8px; text-align: left; font-size: 14px; }
+        form { background: white; border: 1px solid #ccc; border-radius: 8px; padding: 15px; margin: 20px 0; }
+        label { display: inline-block; margin: 5px 15px 5px 0; }
+        .tools a { display: inline-block; margin-right: 15px; background: #0066cc; color: white; padding: 8px 15px; text-decoration: none; border-radius: 4px; }
+        #result { margin-top: 10px; font-family: monospace; white-space: pre-wrap; }
+      </style>
+    </head>
+    <body>
+      <h1>Metadata Overrides</h1>
+      <p>Applied after project, artist and contract names are resolved, before tweeting. Token overrides win over project overrides, which win over contract overrides.</p>
+      <div class="tools"><a href="/dashboard">Dashboard</a></div>
+      
+      <table>
+        <tr><th>Scope</th><th>Target</th><th>Fields</th><th>Note</th><th>Updated</th><th></th></tr>
+        ${overrides.map(override => `
+          <tr>
+            <td>${escapeHtml(override.scope)}</td>
+            <td>${escapeHtml(target(override))}</td>
+            <td>${Object.entries(override.fields).map(([name, value]) => `${escapeHtml(name)}: ${escapeHtml(value)}`).join('<br>')}</td>
+            <td>${escapeHtml(override.note || '')}</td>
+            <td>${new Date(override.updatedAt).toLocaleString()}</td>
+            <td><button onclick="removeOverride('${escapeHtml(override.key)}')">Delete</button></td>
+          </tr>
+        `).join('')}
+      </table>
+      
+      <form id="override-form">
+        <h3>Add or update an override</h3>
+        <label>Scope <select name="scope"><option>project</option><option>token</option><option>contract</option></select></label>
+        <label>Contract <input name="contract" size="44" required></label>
+        <label>Project ID <input name="projectId" size="6"></label>
+        <label>Token ID <input name="tokenId" size="12"></label><br>
+        ${OVERRIDE_FIELDS.map(name => `<label>${name} <input name="${name}"></label>`).join('')}<br>
+        <label>Note <input name="note" size="60"></label><br>
+        <label>Admin token <input name="token" type="password" required></label>
+        <button type="submit">Save</button>
+        <p>Empty fields are left unchanged; enter a single "-" to clear one.</p>
+        <div id="result"></div>
+      </form>
+      
+      <script>
+        const form = document.getElementById('override-form');
+        const show = text => { document.getElementById('result').textContent = text; };
+        
+        async function send(path, body) {
+          const response = await fetch(path, {
+            method: 'POST',
+            headers: { 'Authorization': 'Bearer ' + form.token.value, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+          });
+          const result = await response.json();
+          show(JSON.stringify(result, null, 2));
+          if (response.ok) setTimeout(() => location.reload(), 1000);
+        }
+        
+        function removeOverride(key) {
+          if (!form.token.value) return show('Enter the admin token first');
+          send('/admin/metadata-overrides/delete?key=' + encodeURIComponent(key));
+        }
+        
+        form.addEventListener('submit', event => {
+          event.preventDefault();
+          const fields = {};
+          for (const name of ${JSON.stringify(OVERRIDE_FIELDS)}) {
+            const value = form[name].value.trim();
+            if (value) fields[name] = value === '-' ? null : value;
+          }
+          send('/admin/metadata-overrides', {
+            scope: form.scope.value,
+            contract: form.contract.value.trim(),
+            projectId: form.projectId.value.trim() || null,
+            tokenId: form.tokenId.value.trim() || null,
+            fields,
+            note: form.note.value.trim() || null
+          });
+        });
+      </script>
+    </body>
+    </html>
+    `;
+    
+    res.writeHead(200, {'Content-Type': 'text/html'});
+    res.end(html);
+  }
+
   // ADDED: Sale Simulator endpoint
   handleSimulateSale(req, res) {
     const url = new URL(req.url, `http://${req.headers.host}`);
@@ -2599,7 +8584,8 @@ class ServerManager {
       },
       winner: {
         address: buyerAddress
-      }
+      },
+      simulated: true
     };
     
     // Process the simulated event
@@ -2637,6 +8623,8 @@ class ServerManager {
     // Check if we should return HTML or plain text
     const acceptHeader = req.headers.accept || '';
     if (acceptHeader.includes('text/html')) {
+      const lastSale = this.sales.getRecentSales(1)[0];
+      
       // Return HTML version with links to other endpoints
       const htmlRoot = `
       <!DOCTYPE html>
@@ -2676,9 +8664,9 @@ class ServerManager {
         
         <div class="card">
           <h2>Recent Activity</h2>
-          <p>Recent sales detected: ${global.recentSalesEvents.length}</p>
-          <p>Current queue size: ${this.tweets.tweetQueue.length}</p>
-          <p>Last sale: ${global.recentSalesEvents.length > 0 ? new Date(global.recentSalesEvents[0].timestamp).toLocaleString() : 'None detected yet'}</p>
+          <p>Sales recorded: ${this.sales.count()}</p>
+          <p>Current queue size: ${this.tweets.getPendingCount()}</p>
+          <p>Last sale: ${lastSale ? new Date(lastSale.timestamp).toLocaleString() : 'None detected yet'}</p>
           <p><a href="/dashboard">View full dashboard</a></p>
         </div>
       </body>
@@ -2703,14 +8691,32 @@ class ArtBlocksSalesBot {
   constructor() {
     this.config = new Config();
     this.apiServices = new ApiServices(this.config);
+    this.salesStore = new SalesStore(this.config);
     this.metadata = new MetadataManager(this.apiServices, this.config);
-    this.tweets = new TweetManager(this.apiServices, this.config);
-    this.txProcessor = new TransactionProcessor(this.apiServices, this.metadata, this.tweets, this.config);
-    this.openSeaProcessor = new OpenSeaEventProcessor(this.apiServices, this.metadata, this.tweets, this.config);
-    this.server = new ServerManager(this.apiServices, this.metadata, this.tweets, this.txProcessor, this.config);
+    this.tweets = new TweetManager(this.apiServices, this.config, this.salesStore, this.metadata);
+    this.washTrades = new WashTradeDetector(this.apiServices, this.salesStore, this.config);
+    this.txProcessor = new TransactionProcessor(this.apiServices, this.metadata, this.tweets, this.salesStore, this.config, this.washTrades);
+    this.saleVerifier = new SaleVerifier(this.apiServices, this.txProcessor, this.config);
+    this.openSeaProcessor = new OpenSeaEventProcessor(this.apiServices, this.metadata, this.tweets, this.salesStore, this.config, this.washTrades, this.saleVerifier);
+    // Polling speeds back up whenever the stream stops being healthy
+    this.openSeaStream = new OpenSeaStreamClient(this.openSeaProcessor, this.config, () => this.startOpenSeaPolling());
+    this.logMonitor = new ConfirmedLogMonitor(this.apiServices, this.txProcessor, this.tweets, this.salesStore, this.config);
+    this.backfillScanner = new BackfillScanner(this.apiServices, this.txProcessor, this.salesStore, this.config);
+    this.activityAlerts = new ActivityAlertProcessor(this.apiServices, this.metadata, this.config);
+    this.historicalBackfill = new HistoricalBackfill(this.apiServices, this.txProcessor, this.openSeaProcessor, this.salesStore, this.config);
+    this.contractDiscovery = new ContractDiscovery(this.apiServices, this.config);
+    this.server = new ServerManager(this.apiServices, this.metadata, this.tweets, this.txProcessor, this.salesStore, this.config);
     
     // Make the OpenSea processor globally accessible for manual triggers
     global.openSeaProcessor = this.openSeaProcessor;
+    global.logMonitor = this.logMonitor;
+    global.backfillScanner = this.backfillScanner;
+    global.historicalBackfill = this.historicalBackfill;
+    global.activityAlerts = this.activityAlerts;
+    global.contractDiscovery = this.contractDiscovery;
+    global.openSeaStream = this.openSeaStream;
+    
+    this.config.onChange(changes => this.applyConfigChanges(changes));
   }
 
   async initialize() {
@@ -2724,8 +8730,29 @@ class ArtBlocksSalesBot {
     // Start the HTTP server
     this.server.setupServer();
     
-    // Start OpenSea event polling (primary method)
-    this.openSeaProcessor.startEventPolling();
+    // Continue posting anything left in the tweet queue by a previous run
+    this.tweets.resumeTweetQueue();
+    
+    // Continue any historical backfill interrupted by a restart
+    if (this.apiServices.alchemy) {
+      this.historicalBackfill.resumeInterrupted();
+    }
+    
+    // Start OpenSea event polling (primary method), and the stream if enabled
+    this.startOpenSeaPolling();
+    if (this.config.OPENSEA_STREAM_ENABLED) {
+      this.openSeaStream.start();
+    }
+    
+    // Listing/offer alerts are opt-in and go to their own channel
+    if (this.config.ACTIVITY_ALERTS_ENABLED) {
+      this.activityAlerts.startPolling();
+    }
+    
+    // Check the Art Blocks registry for contracts the config is missing
+    if (this.config.CONTRACT_DISCOVERY_ENABLED) {
+      this.contractDiscovery.start();
+    }
     
     // Start blockchain monitoring (backup method)
     await this.monitorSales();
@@ -2733,9 +8760,88 @@ class ArtBlocksSalesBot {
     // Setup health checks
     this.setupHealthChecks();
     
+    // Pick up edits to the config file without a restart
+    this.watchConfigFile();
+    
     console.log('Art Blocks Sales Bot is now running with hybrid monitoring approach');
   }
 
+  /**
+   * Poll the events API at the normal rate, or only as a safety net while the
+   * OpenSea Stream is delivering sales
+   */
+  startOpenSeaPolling() {
+    const streaming = this.config.OPENSEA_STREAM_ENABLED && this.openSeaStream.isHealthy();
+    this.openSeaProcessor.startEventPolling(streaming
+      ? this.config.OPENSEA_STREAM_SAFETY_POLL_INTERVAL
+      : this.config.OPENSEA_EVENTS_POLL_INTERVAL);
+  }
+
+  watchConfigFile() {
+    console.log(`Watching ${this.config.CONFIG_FILE} for configuration changes`);
+    
+    fs.watchFile(this.config.CONFIG_FILE, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      
+      try {
+        this.config.reload('config file changed');
+      } catch (error) {
+        console.error(`Ignoring config file change, staying on version ${this.config.version}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Restart whatever depends on settings that changed in a reload. Everything
+   * else reads the shared config object on each use and needs no action.
+   */
+  applyConfigChanges(changes) {
+    const changed = new Set(changes.map(change => change.name));
+    const any = (...names) => names.some(name => changed.has(name));
+    
+    if (changes.some(change => change.name.startsWith('CHAINS.'))) {
+      this.apiServices.initAlchemy();
+      if (this.apiServices.alchemy) {
+        this.logMonitor.restart();
+      }
+    }
+    
+    if (changes.some(change => change.name.startsWith('OPENSEA_STREAM_')) || any('OPENSEA_COLLECTION_SLUGS')) {
+      this.openSeaStream.stop();
+      if (this.config.OPENSEA_STREAM_ENABLED) {
+        this.openSeaStream.start();
+      }
+    }
+    
+    if (any('OPENSEA_EVENTS_POLL_INTERVAL', 'OPENSEA_COLLECTION_SLUGS', 'OPENSEA_STREAM_ENABLED', 'OPENSEA_STREAM_SAFETY_POLL_INTERVAL')) {
+      console.log('Restarting OpenSea event polling for new settings');
+      this.startOpenSeaPolling();
+    }
+    
+    if (any('BACKFILL_INTERVAL') && this.backfillIntervalId) {
+      this.backfillScanner.stop();
+      this.backfillIntervalId = this.backfillScanner.start();
+    }
+    
+    if (any('ACTIVITY_ALERTS_ENABLED', 'ACTIVITY_POLL_INTERVAL', 'OPENSEA_COLLECTION_SLUGS')) {
+      this.activityAlerts.stopPolling();
+      if (this.config.ACTIVITY_ALERTS_ENABLED) {
+        this.activityAlerts.startPolling();
+      }
+    }
+    
+    if (any('HEALTH_CHECK_INTERVAL')) {
+      this.setupHealthChecks();
+    }
+    
+    if (any('CONTRACT_DISCOVERY_ENABLED', 'CONTRACT_DISCOVERY_INTERVAL')) {
+      this.contractDiscovery.stop();
+      if (this.config.CONTRACT_DISCOVERY_ENABLED) {
+        this.contractDiscovery.start();
+      }
+    }
+  }
+
   checkEnvironment() {
     const requiredVars = [
       'TWITTER_CONSUMER_KEY', 
@@ -2764,134 +8870,22 @@ class ArtBlocksSalesBot {
       
       console.log('Setting up robust blockchain monitoring...');
       
-      // 1. Remove the OpenSea filter to catch ALL transactions to Art Blocks contracts
-      this.config.CONTRACT_ADDRESSES.forEach(contractAddress => {
-        console.log(`Setting up listener for contract: ${contractAddress}`);
-        
-        // Set up subscription without the fromAddress filter to catch ALL transfers
-        this.apiServices.alchemy.ws.on(
-          {
-            method: 'alchemy_pendingTransactions',
-            // No fromAddress filter - catch transactions from all sources
-            toAddress: contractAddress,
-          },
-          (tx) => this.txProcessor.processTransaction(tx, contractAddress)
-        );
-      });
+      // 1. Subscribe to mined Transfer logs from the Art Blocks contracts. Sales go
+      // through marketplace contracts, so the token's Transfer log is the reliable signal.
+      this.logMonitor.start();
       
       console.log('Enhanced blockchain monitoring set up successfully!');
       this.txProcessor.hasDirectEventMonitoring = true;
       
       // 2. Additionally, continue with OpenSea monitoring as a backup
-      this.openSeaProcessor.startEventPolling();
-      
-      // 3. Add periodic checking of recent blocks to catch any missed transactions
-      const backfillIntervalId = setInterval(async () => {
-        try {
-          if (VERBOSE_LOGGING) {
-            console.log('Running periodic check for recent NFT transfers...');
-          }
-          
-          // For each contract, check recent transfers
-          for (const contractAddress of this.config.CONTRACT_ADDRESSES) {
-            try {
-              console.log(`Checking recent transfers for contract ${contractAddress}...`);
-              
-              // Get recent transfers using Alchemy's getNFTTransfers
-              const transfersResponse = await this.apiServices.alchemy.core.getAssetTransfers({
-                fromBlock: "0x" + (await this.apiServices.alchemy.core.getBlockNumber() - 1000).toString(16),
-                toBlock: "latest",
-                contractAddresses: [contractAddress],
-                category: ["erc721"]
-              });
-              
-              const transfers = transfersResponse.transfers || [];
-              
-              console.log(`Found ${transfers.length} recent transfers for ${contractAddress}`);
-              
-              // Process each transfer (with rate limiting to avoid overloading)
-              for (const transfer of transfers) {
-                // Skip if we've already processed this hash
-                if (this.txProcessor.processedTransactions.has(transfer.hash)) {
-                  continue;
-                }
-                
-                // Create a minimal tx object with the hash
-                const tx = { hash: transfer.hash };
-                
-                // Process using our standard pipeline
-                await this.txProcessor.processTransaction(tx, contractAddress);
-                
-                // Add a small delay between processing transfers
-                await new Promise(resolve => setTimeout(resolve, 500));
-              }
-            } catch (contractError) {
-              console.error(`Error checking transfers for ${contractAddress}:`, contractError);
-            }
-          }
-        } catch (error) {
-          console.error('Error in backfill monitoring:', error);
-        }
-      }, 15 * 60 * 1000); // Run every 15 minutes
+      this.startOpenSeaPolling();
       
+      // 3. Scan for transfers the subscription missed, now and periodically,
+      // resuming from the last scanned block of each contract
+      this.backfillIntervalId = this.backfillScanner.start();
       this.txProcessor.hasBackfillMonitoring = true;
-      this.backfillIntervalId = backfillIntervalId;
-      
-      // 4. Run an immediate check for recent transfers
-      setTimeout(async () => {
-        try {
-          console.log('Running immediate check for recent NFT transfers...');
-          
-          // Do this in the background after a short delay
-          for (const contractAddress of this.config.CONTRACT_ADDRESSES) {
-            try {
-              console.log(`Checking recent transfers for contract ${contractAddress}...`);
-              
-              // Get recent transfers using Alchemy's getNFTTransfers
-              const transfersResponse = await this.apiServices.alchemy.core.getAssetTransfers({
-                fromBlock: "0x" + (await this.apiServices.alchemy.core.getBlockNumber() - 2000).toString(16),
-                toBlock: "latest",
-                contractAddresses: [contractAddress],
-                category: ["erc721"]
-              });
-              
-              const transfers = transfersResponse.transfers || [];
-              
-              console.log(`Found ${transfers.length} recent transfers for ${contractAddress}`);
-              
-              // Process each transfer (with rate limiting to avoid overloading)
-              let processed = 0;
-              for (const transfer of transfers) {
-                // Limit how many we process initially
-                if (processed >= 10) break;
-                
-                // Skip if we've already processed this hash
-                if (this.txProcessor.processedTransactions.has(transfer.hash)) {
-                  continue;
-                }
-                
-                // Create a minimal tx object with the hash
-                const tx = { hash: transfer.hash };
-                
-                // Process using our standard pipeline
-                await this.txProcessor.processTransaction(tx, contractAddress);
-                processed++;
-                
-                // Add a small delay between processing transfers
-                await new Promise(resolve => setTimeout(resolve, 1000));
-              }
-              
-              console.log(`Processed ${processed} recent transfers for ${contractAddress}`);
-            } catch (contractError) {
-              console.error(`Error checking initial transfers for ${contractAddress}:`, contractError);
-            }
-          }
-        } catch (error) {
-          console.error('Error in initial transfer check:', error);
-        }
-      }, 10000); // Run 10 seconds after startup
       
-      // 5. Send initial test tweet after a delay
+      // 4. Send initial test tweet after a delay
       if (!this.config.DISABLE_TWEETS) {
         console.log(`Waiting ${this.config.INITIAL_STARTUP_DELAY/60000} minutes before sending first tweet...`);
         setTimeout(async () => {
@@ -2907,8 +8901,12 @@ class ArtBlocksSalesBot {
   }
 
   setupHealthChecks() {
+    if (this.healthCheckIntervalId) {
+      clearInterval(this.healthCheckIntervalId);
+    }
+    
     // Send a health check tweet once a day to verify the bot is still running
-    setInterval(async () => {
+    this.healthCheckIntervalId = setInterval(async () => {
       try {
         console.log('Running health check...');
         console.log(`Health check passed at ${new Date().toISOString()}`);
@@ -2919,12 +8917,20 @@ class ArtBlocksSalesBot {
   }
 }
 
-// Start the bot
-(async () => {
-  try {
-    const bot = new ArtBlocksSalesBot();
-    await bot.initialize();
-  } catch (error) {
-    console.error('Error starting bot:', error);
-  }
-})();
+module.exports = { Config, SalesStore, WashTradeDetector, WASH_TRADE_SIGNALS, OpenSeaStreamClient, streamSaleToEvent };
+
+// Start the bot when run directly (tests require this file for its classes)
+if (require.main === module) {
+  (async () => {
+    try {
+      const bot = new ArtBlocksSalesBot();
+      await bot.initialize();
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        console.error(error.message);
+        process.exit(1);
+      }
+      console.error('Error starting bot:', error);
+    }
+  })();
+}
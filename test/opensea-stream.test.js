@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+
+const { Config, OpenSeaStreamClient, streamSaleToEvent } = require('../index.js');
+
+const MAKER = '0x1111111111111111111111111111111111111111';
+const TAKER = '0x2222222222222222222222222222222222222222';
+const CONTRACT = '0xa7d8d9ef8d8ce8992df33d8b8cf4aebabd5bd270';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+
+// Seaport item types: 1 is ERC-20, 2 is ERC-721, 4 is ERC-721 with criteria
+function itemSold(makerOffer, transaction) {
+  return {
+    event_type: 'item_sold',
+    payload: {
+      item: { nft_id: `ethereum/${CONTRACT}/78000123` },
+      collection: { slug: 'art-blocks' },
+      maker: { address: MAKER },
+      taker: { address: TAKER },
+      order_hash: '0xorder',
+      transaction: { hash: transaction },
+      event_timestamp: '2026-10-19T12:00:00.000Z',
+      sale_price: '1500000000000000000',
+      payment_token: { address: WETH, symbol: 'WETH', decimals: 18 },
+      quantity: 1,
+      protocol_data: { parameters: { offer: makerOffer } }
+    }
+  };
+}
+
+const LISTING = [{ itemType: 2, token: CONTRACT, identifierOrCriteria: '78000123' }];
+const OFFER = [{ itemType: 1, token: WETH, identifierOrCriteria: '0' }];
+
+test('a listing sells from the maker and an accepted offer sells to the maker', () => {
+  const listed = streamSaleToEvent(itemSold(LISTING, '0x01').payload);
+  assert.strictEqual(listed.seller, MAKER);
+  assert.strictEqual(listed.buyer, TAKER);
+  
+  const offered = streamSaleToEvent(itemSold(OFFER, '0x02').payload);
+  assert.strictEqual(offered.seller, TAKER);
+  assert.strictEqual(offered.buyer, MAKER);
+});
+
+test('a sale without its order is left to polling', () => {
+  const { payload } = itemSold(LISTING, '0x03');
+  delete payload.protocol_data;
+  assert.strictEqual(streamSaleToEvent(payload), null);
+});
+
+test('joins every collection on a local stand-in and processes sales with the right parties', async () => {
+  const server = new WebSocket.Server({ port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  const config = new Config();
+  config.OPENSEA_STREAM_URL = `ws://127.0.0.1:${server.address().port}/socket/websocket`;
+  config.OPENSEA_STREAM_BATCH_WINDOW = 50;
+  
+  const batches = [];
+  const health = [];
+  const processor = { processEventBatch: async events => batches.push(events) };
+  const client = new OpenSeaStreamClient(processor, config, healthy => health.push(healthy));
+  
+  // Reply to every join, then push one sale of each kind once all channels are joined
+  server.on('connection', socket => {
+    let joined = 0;
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      if (message.event !== 'phx_join') return;
+      socket.send(JSON.stringify({ topic: message.topic, event: 'phx_reply', payload: { status: 'ok', response: {} }, ref: message.ref }));
+      if (++joined === config.OPENSEA_COLLECTION_SLUGS.length) {
+        for (const [offer, hash] of [[LISTING, '0x01'], [OFFER, '0x02']]) {
+          socket.send(JSON.stringify({ topic: 'collection:art-blocks', event: 'item_sold', payload: itemSold(offer, hash), ref: null }));
+        }
+      }
+    });
+  });
+  
+  try {
+    client.start();
+    await new Promise((resolve, reject) => {
+      const started = Date.now();
+      const check = setInterval(() => {
+        if (batches.length > 0) {
+          clearInterval(check);
+          resolve();
+        } else if (Date.now() - started > 5000) {
+          clearInterval(check);
+          reject(new Error('No sales processed from the stream'));
+        }
+      }, 20);
+    });
+    
+    assert.deepStrictEqual(health, [true]);
+    assert.strictEqual(batches.length, 1);
+    assert.deepStrictEqual(batches[0].map(event => [event.transaction, event.buyer, event.seller]), [
+      ['0x01', TAKER, MAKER],
+      ['0x02', MAKER, TAKER]
+    ]);
+  } finally {
+    client.stop();
+    await new Promise(resolve => server.close(resolve));
+  }
+  
+  assert.deepStrictEqual(health, [true, false]);
+});
+
+test('stopping drops sales still waiting for their batch window', () => {
+  const config = new Config();
+  config.OPENSEA_STREAM_BATCH_WINDOW = 60000;
+  const client = new OpenSeaStreamClient({ processEventBatch: async () => assert.fail('processed after stop') }, config);
+  
+  client.bufferSale(streamSaleToEvent(itemSold(LISTING, '0x04').payload));
+  client.stop();
+  
+  // A timer left running would also keep the test process alive for a minute
+  assert.strictEqual(client.flushTimer, null);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Config, WashTradeDetector } = require('../index.js');
+
+const COINBASE = '0x71660c4005ba85c37ccec55d0c4493e66fe775d3';
+const BUYER = '0x1111111111111111111111111111111111111111';
+const SELLER = '0x2222222222222222222222222222222222222222';
+
+function createDetector(funders, history = []) {
+  const config = new Config();
+  config.WASH_TRADE_DETECTION_ENABLED = true;
+  config.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wash-trade-'));
+  const api = { getFirstFunder: async address => funders[address] || null };
+  const sales = { querySales: () => history };
+  return new WashTradeDetector(api, sales, config);
+}
+
+function marketplaceSale(overrides = {}) {
+  return {
+    chain: 'ethereum',
+    contract: '0xa7d8d9ef8d8ce8992df33d8b8cf4aebabd5bd270',
+    tokenId: '78000123',
+    txHash: '0xabc',
+    buyer: BUYER,
+    seller: SELLER,
+    marketplace: 'OpenSea',
+    paymentMethod: 'marketplace-event',
+    ...overrides
+  };
+}
+
+test('detection is off by default', async () => {
+  const detector = new WashTradeDetector({ getFirstFunder: async () => assert.fail('looked up a funder') }, { querySales: () => [] }, new Config());
+  
+  assert.strictEqual(await detector.review([marketplaceSale()]), null);
+});
+
+test('a normal sale between two exchange-funded wallets is not held', async () => {
+  const detector = createDetector({ [BUYER]: COINBASE, [SELLER]: COINBASE });
+  const review = await detector.review([marketplaceSale()]);
+  
+  assert.strictEqual(review.flagged, false);
+  assert.deepStrictEqual(review.signals, []);
+});
+
+test('a token sold back between the same two wallets is held', async () => {
+  const earlier = { txHash: '0xdef', buyer: SELLER, seller: BUYER, timestamp: Date.now() - 60 * 60 * 1000 };
+  const detector = createDetector({}, [earlier]);
+  const review = await detector.review([marketplaceSale()]);
+  
+  assert.deepStrictEqual(review.signals.map(signal => signal.signal), ['round-trip']);
+  assert.strictEqual(review.flagged, true);
+  assert.strictEqual(review.action, 'hold');
+});
+
+test('a shared funder outside the ignore list is not enough on its own', async () => {
+  const hotWallet = '0x3333333333333333333333333333333333333333';
+  const detector = createDetector({ [BUYER]: hotWallet, [SELLER]: hotWallet });
+  const review = await detector.review([marketplaceSale()]);
+  
+  assert.deepStrictEqual(review.signals.map(signal => signal.signal), ['shared-funder']);
+  assert.strictEqual(review.flagged, false);
+});
+
+test('a shared funder together with a private sale is held', async () => {
+  const hotWallet = '0x3333333333333333333333333333333333333333';
+  const detector = createDetector({ [BUYER]: hotWallet, [SELLER]: hotWallet });
+  const review = await detector.review([marketplaceSale({ paymentMethod: 'eth-transfer', marketplace: null })]);
+  
+  assert.strictEqual(review.flagged, true);
+  assert.strictEqual(review.action, 'hold');
+});